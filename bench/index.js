@@ -0,0 +1,165 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// hot paths: small set of paths used over and over again,
+// churn: unique paths, that keep path cache at its limit and evicting
+//
+// other versions can be compared against the current one, by providing paths to their source:
+// npm run bench -- ../mr-observer-baseline/src/index.js
+
+const iterations = 1000000;
+const churnPaths = 50000;
+
+const versions = [ { name: 'current', Observer: (await import('../src/index.js')).default } ];
+
+for(const source of process.argv.slice(2)) {
+    const module = await import(pathToFileURL(path.resolve(source)).href);
+    versions.push({ name: 'version ' + versions.length, source: source, Observer: module.default });
+}
+
+const rounds = 5;
+
+// versions are measured in turns, and median of rounds is taken, so noise of a machine affects all versions alike
+const measure = function(setup) {
+    const fns = versions.map((version) => {
+        try {
+            const fn = setup(version.Observer);
+            // warm up
+            fn(iterations / 10);
+            return fn;
+        } catch(ex) {
+            // not supported by a version
+            return null;
+        }
+    });
+
+    const results = fns.map(() => [ ]);
+
+    for(let r = 0; r < rounds; r++) {
+        for(let i = 0; i < fns.length; i++) {
+            if (! fns[i])
+                continue;
+
+            const started = process.hrtime.bigint();
+            fns[i](iterations);
+            const ms = Number(process.hrtime.bigint() - started) / 1e6;
+
+            results[i].push(iterations / ms * 1000);
+        }
+    }
+
+    return results.map((list) => {
+        if (! list.length)
+            return null;
+
+        list.sort((a, b) => a - b);
+        return Math.round(list[Math.floor(list.length / 2)]);
+    });
+};
+
+const makeData = function() {
+    const data = {
+        position: { x: 0, y: 0, z: 0 },
+        items: [ ],
+        entities: { }
+    };
+
+    for(let i = 0; i < 16; i++) {
+        data.items.push({ id: 'item' + i, value: i });
+        data.entities['entity' + i] = { name: 'entity' + i, enabled: true };
+    }
+
+    return data;
+};
+
+const hotPaths = [ 'position.x', 'position.y', 'position.z', 'items.4.value', 'entities.entity8.name', 'items.12.id' ];
+
+const unique = [ ];
+for(let i = 0; i < churnPaths; i++)
+    unique.push(`entities.entity${i % 16}.field${i}`);
+
+const benches = [
+    [ 'get hot', (Observer) => {
+        const obj = new Observer(makeData());
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.get(hotPaths[i % hotPaths.length]);
+        };
+    } ],
+    [ 'set hot', (Observer) => {
+        const obj = new Observer(makeData());
+        obj.on('position.x:set', () => { });
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.set('position.x', i);
+        };
+    } ],
+    [ 'set (no events)', (Observer) => {
+        const obj = new Observer(makeData());
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.set('position.y', i);
+        };
+    } ],
+    [ 'get hot (array path)', (Observer) => {
+        const obj = new Observer(makeData());
+        const path = [ 'items', 4, 'value' ];
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.get(path);
+        };
+    } ],
+    [ 'set churn', (Observer) => {
+        const obj = new Observer(makeData());
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.set(unique[i % churnPaths], i);
+        };
+    } ],
+    [ 'get churn', (Observer) => {
+        const obj = new Observer(makeData());
+        for(let i = 0; i < churnPaths; i++)
+            obj.set(unique[i], i);
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.get(unique[i % churnPaths]);
+        };
+    } ],
+    [ 'get hot (no cache)', (Observer) => {
+        const obj = new Observer(makeData(), { pathCacheSize: 0 });
+        return (n) => {
+            for(let i = 0; i < n; i++)
+                obj.get(hotPaths[i % hotPaths.length]);
+        };
+    } ]
+];
+
+for(let i = 1; i < versions.length; i++)
+    console.log(`${versions[i].name}: ${versions[i].source}`);
+
+console.log(''.padEnd(24) + versions.map((version, i) => version.name.padStart(i ? 26 : 16)).join('') + '\n');
+
+for(const [ name, setup ] of benches) {
+    const results = measure(setup);
+
+    let line = name.padEnd(24);
+    for(let i = 0; i < results.length; i++) {
+        if (results[i] === null) {
+            line += 'n/a'.padStart(i ? 26 : 16);
+        } else if (i) {
+            // current version relative to another one
+            line += `${results[i].toLocaleString()} (${(results[0] / results[i]).toFixed(2)}x)`.padStart(26);
+        } else {
+            line += results[i].toLocaleString().padStart(16);
+        }
+    }
+
+    console.log(line);
+}
+
+console.log('\nops/sec, and current version relative to other versions');
+
+const stats = new versions[0].Observer(makeData());
+for(let i = 0; i < churnPaths; i++)
+    stats.get(unique[i]);
+console.log('\nchurn cache:', stats.pathCacheStats());
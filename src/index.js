@@ -18,7 +18,22 @@ import EventEmitter from '/observer/node_modules/mr-eventemitter/src/index.js';
  * @augments EventEmitter
  * @classdesc Observer that provides sync events when data is changed. For data-centric application this allows to build more flat architecture where different logical parts can subscribe to observer and do not need to interact between each other, by that decoupling logic, improving modularity. Data can be any complexity JSON, and provides specific path or simple query for partial paths using wildcard notation for subscribing to changes.
  * @param {object|array} [data] - Object or an Array for initial data. Defaults to { };
+ * @param {object} [options] - Options.
+ * @param {string} [options.clientId] - Unique id of this client for real-time collaboration. If provided, each local mutation will fire `op:send` event with a serializable operation, and remote operations can be applied using {@link Observer#applyRemote}.
+ * @param {boolean} [options.authority] - If true, this observer orders and transforms operations of all collaboration clients. Defaults to false.
+ * @param {number} [options.rev] - Revision of initial data, for real-time collaboration. Defaults to 0.
+ * @param {number} [options.logSize] - Number of recent operations kept by authority, to transform operations of clients that are behind. Defaults to 1000.
+ * @param {boolean} [options.immutable] - If true, data is never modified in place. Instead, each mutation copies changed nodes up to the root, while unchanged nodes are shared, and all data is frozen. So values provided by `get`, {@link Observer#snapshot} and events are safe to keep. Values that are set become frozen too. Defaults to false.
+ * @param {boolean|string} [options.guard] - Development mode that detects writes to data outside of observer methods, e.g. by modifying values returned by `get` or provided in events. Data is wrapped in proxies, and each write is reported with a path and a stack trace by `violation` event, or if `throw` is provided, by throwing an error. Write is still applied, so behaviour is the same as without the guard. Nodes that have been removed from data are reported with a path they have been read at. Values provided to methods are copied, so later writes to them do not change data. It is ignored with `immutable` option, as data is frozen then. Has no cost when disabled. Defaults to false.
+ * @param {function} [options.permission] - Function that decides if an actor can make a change, see {@link Observer#lock}.
+ * @param {number} [options.pathCacheSize] - Max number of parsed string paths that are cached. Least recently used paths are evicted. 0 disables caching. Defaults to 10000.
+ * @param {object} [options.schema] - JSON Schema that data should follow. Supported keywords: `type`, `enum`, `minimum`, `maximum`, `minLength`, `maxLength`, `items`, `minItems`, `maxItems`, `properties`, `required` and `additionalProperties`. Mutations that do not follow schema are rejected, see `validation:error` event.
  * @property {object|array} data Data that observer is modifying. This data should not be modified by application logic.
+ * @property {object|null} schema JSON Schema that data should follow.
+ * @property {function|null} permission Function that decides if an actor can make a change. It is called with an actor and an operation (same as provided to interceptors, see {@link Observer#intercept}), and change is refused if it returns false.
+ * @property {string|null} clientId Unique id of this client for real-time collaboration.
+ * @property {number} rev Revision of data, that is known to this client for real-time collaboration.
+ * @property {boolean} remote True while remote operation is being applied, so event handlers can tell remote changes from local.
  * @example
  * let planet = new Observer({ age: 4.543, population: 7.594 });
  *
@@ -81,18 +96,64 @@ import EventEmitter from '/observer/node_modules/mr-eventemitter/src/index.js';
  * todos.set('1.complete', true);
  */
 class Observer extends EventEmitter {
-    constructor(data) {
+    constructor(data, options = { }) {
         super();
 
         this.data = data || { };
-        this._pathCache = new Map();
+        this.remote = false;
+        this.clientId = null;
+        this.schema = options.schema || null;
+        this.permission = options.permission || null;
+        this._pathCache = new PathCache((options.pathCacheSize !== undefined) ? options.pathCacheSize : 10000);
+        this._keyedPaths = false;
         this._eventsCache = new Map();
+        this._globstars = 0;
+        this._keyedEvents = 0;
+        this._changeEvents = 0;
+        this._keys = new Map();
+        this._batch = null;
+        this._collab = null;
+        this._scopes = new Set();
+        this._computed = new Map();
+        this._computedWrite = null;
+        this._restoring = false;
+        this._immutable = !! options.immutable;
+        this._snapshot = null;
+        this._writing = 0;
+        this._proxies = new Map();
+        this._interceptors = [ ];
+        this._subscriptions = new Map();
+        this._locks = new Map();
+        this._denied = 0;
+        this._guard = null;
+
+        if (options.clientId !== undefined) {
+            this.clientId = options.clientId.toString();
+            this._collab = {
+                authority: !! options.authority,
+                seq: 0,
+                rev: options.rev || 0,
+                pending: [ ],
+                log: [ ],
+                logSize: options.logSize || 1000
+            };
+        }
+
+        if (this._immutable) {
+            this._freeze();
+        } else if (options.guard) {
+            this._guardData(options.guard === 'throw');
+        }
+    }
+
+    get rev() {
+        return this._collab ? this._collab.rev : 0;
     }
 
     /**
      * @event
      * @name Observer#[path:]set
-     * @description Fired when value have been set/changed on a path. Path can be a specific or using a wildcard notation for broader matches. Also path can be omitted completely to match event for any changes.
+     * @description Fired when value have been set/changed on a path. Path can be a specific or using a wildcard notation for broader matches: `*` matches a single level, and `**` matches zero or more levels. Also path can be omitted completely to match event for any changes.
      * @param {Array.<string|number>} path - Path to the value changed as a mutable array of strings or numbers. Do not modify this array.
      * @param {*} value - New value.
      * @param {*} old - Old value.
@@ -117,6 +178,12 @@ class Observer extends EventEmitter {
      *     setAxis(axis, value);
      * });
      * @example
+     * // using recursive wildcard, which matches zero or more levels,
+     * // so any set within `scene` will trigger this event
+     * obj.on('scene.**:set', function (path, value, old) {
+     *     console.log(`"${path.join('.')}" has been changed`);
+     * });
+     * @example
      * obj.on('set', function (path, value, old) {
      *     // any change of data will trigger this event
      * });
@@ -215,27 +282,165 @@ class Observer extends EventEmitter {
      * });
      */
 
+    /**
+     * @event
+     * @name Observer#[path:]reorder
+     * @description Fired once for bulk array mutations: {@link Observer#splice}, {@link Observer#sort}, {@link Observer#reverse}, {@link Observer#swap}, {@link Observer#insertMany} and {@link Observer#removeMany}, after `remove`, `move` and `insert` events of each affected item. It provides a whole permutation, so a list view can be updated in a single pass.
+     * @param {Array.<string|number>} path - Path to an array as a mutable array of strings or numbers. Do not modify this array.
+     * @param {Array.<number>} order - For each item of an array, an index it had before, or -1 if it has been inserted.
+     * @example
+     * obj.on('todos:reorder', function (path, order) {
+     *     const elements = order.map((index, i) => {
+     *         return (index === -1) ? createElement(obj.get([ 'todos', i ])) : listElements[index];
+     *     });
+     *     list.replaceChildren(...elements);
+     *     listElements = elements;
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#[path:]change
+     * @description Fired once for each mutation on a changed path and each of its parents, so it is possible to know about any change within a subtree. For array mutations, changed path is a path to an inserted or removed item, or to an array for a move. Patch fires it once for each changed path within patched data, and once for a patched path and each of its parents.
+     * @param {Array.<string|number>} path - Full path to the changed value, as a mutable array of strings or numbers. Do not modify this array.
+     * @example
+     * obj.on('scene.entities:change', function (path) {
+     *     // any change within entities, e.g. [ 'scene', 'entities', 42, 'position', 'x' ]
+     *     markDirty();
+     * });
+     * @example
+     * // wildcard notation matches parents as usual
+     * obj.on('entities.*:change', function (path) {
+     *     console.log(`entity "${path[1]}" has been changed`);
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#op
+     * @description Fired once for each applied mutation (set, unset, patch, insert, move, remove), after all related path events. Operation has enough information to be replicated or inverted, for example by {@link ObserverHistory}. If mutation did not change data, it is not fired.
+     * @param {object} op - Operation object, it references actual data and should not be modified.
+     * @param {string} op.type - Type of an operation: `set`, `unset`, `patch`, `insert`, `move`, `remove` or `batch`. Bulk array mutations are `batch` of `remove`, `move` and `insert` operations.
+     * @param {string} op.path - Path of an operation. For array operations it is a path to an array.
+     * @param {*} [op.value] - New value for `set`, `patch` and `insert`, or removed value for `remove`.
+     * @param {*} [op.old] - Old value for `set` and `unset`.
+     * @param {number} [op.index] - Index for `insert` and `remove`.
+     * @param {number} [op.from] - Index from which item was moved.
+     * @param {number} [op.to] - Index to which item was moved.
+     * @param {Array.<object>} [op.ops] - List of `set` operations that patch has been applied with, or list of operations of a transaction.
+     * @example
+     * obj.on('op', function (op) {
+     *     console.log(`${op.type} on "${op.path}"`);
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#op:send
+     * @description Fired for real-time collaboration, when operation should be sent to other peers. Client fires it for local mutations, one at a time: next operation is fired only when previous is acknowledged by authority. Authority fires it for every applied operation, local or from a client, that should be broadcasted to all clients, including the client it came from, as acknowledgement. Patch is sent as `batch` of `set` operations.
+     * @param {object} op - Serializable operation, its values are copies of data.
+     * @param {string} op.type - Type of an operation: `set`, `unset`, `insert`, `move`, `remove` or `batch`.
+     * @param {string} op.path - Path of an operation.
+     * @param {string} op.client - Id of a client that created operation.
+     * @param {number} op.seq - Sequence number of an operation within a client.
+     * @param {number} op.rev - For client: revision operation is based on. For authority: revision of an operation.
+     * @example
+     * obj.on('op:send', function (op) {
+     *     socket.send(JSON.stringify(op));
+     * });
+     *
+     * socket.on('message', function (message) {
+     *     obj.applyRemote(JSON.parse(message));
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#validation:error
+     * @description Fired when mutation has been rejected, as data would not follow the schema. Data is not changed.
+     * @param {Array.<string|number>} path - Path to the invalid value.
+     * @param {string} reason - Description of why value is not valid.
+     * @param {*} value - Value that has been rejected.
+     * @example
+     * obj.on('validation:error', function (path, reason) {
+     *     console.warn(`"${path.join('.')}" ${reason}`);
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#rejected
+     * @description Fired when mutation has been cancelled by an interceptor, see {@link Observer#intercept}. Data is not changed, and if a value within written object has been cancelled, the rest of an object is still written.
+     * @param {object} op - Operation that has been cancelled, same as provided to interceptors.
+     * @example
+     * obj.on('rejected', function (op) {
+     *     console.warn(`${op.type} of "${op.path}" is not allowed`);
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#denied
+     * @description Fired when a change of an actor has been refused, as data is locked by another owner, or `permission` function has denied it. Data is not changed.
+     * @param {object} op - Operation that has been refused, same as provided to interceptors.
+     * @param {*} actor - Actor that has made the change.
+     * @param {*} owner - Owner of a lock that has refused the change, or null if it has been denied by `permission` function.
+     * @example
+     * obj.on('denied', function (op, actor, owner) {
+     *     if (owner !== null) notify(`"${op.path}" is being edited by ${owner}`);
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#lock:change
+     * @description Fired when data is locked or unlocked, see {@link Observer#lock}.
+     * @param {string} path - Locked path in wildcard notation.
+     * @param {*} owner - Owner of a lock, or null if it has been unlocked.
+     * @example
+     * obj.on('lock:change', function (path, owner) {
+     *     ui.showLock(path, owner);
+     * });
+     */
+
+    /**
+     * @event
+     * @name Observer#violation
+     * @description Fired in guard mode (see `guard` option), when data is modified outside of observer methods. Write is still applied, but observer does not know about it, so no events are fired.
+     * @param {Array.<string|number>} path - Path that has been written to.
+     * @param {Error} err - Error with a stack trace of the write.
+     * @example
+     * const obj = new Observer(data, { guard: process.env.NODE_ENV !== 'production' });
+     *
+     * obj.on('violation', function (path, err) {
+     *     console.warn(`"${path.join('.')}" modified out of observer`, err.stack);
+     * });
+     */
+
     /**
      * @function
      * @name Observer#set
      * @description Set data by a specific path. If in process of setting existing object values will be unset, it will emit `unset` events with related paths. New and modified values will trigger `set` events with related paths. If set is against an array and index is higher then length of an array, it will insert null's until set value and trigger `insert` events.
-     * @param {string|number} [path] - Path in data to be set to. If path is not provided, it will set the root of observer.
+     * @param {string|number|Array.<string|number>} [path] - Path in data to be set to. If path is not provided, it will set the root of observer.
      * @param {*} data - Data to be set.
+     * @param {*} [actor] - Who is making the change, e.g. id of a user. If provided, change is checked against locks and `permission` function, and is refused if it is denied, see {@link Observer#lock}.
      * @example
      * obj.set('position.x', 42);
      * obj.set('position', { x: 4, y: 2 });
      */
-    set(path, data) {
+    set(path, data, actor) {
         if (data === undefined) {
             data = path;
             path = '';
         }
 
+        const made = this._makePath(path);
+        const parts = made.parts;
+        path = made.path;
+
         if (path === '' && (typeof(data) !== 'object' || ! (data instanceof Object)))
             return;
 
-        const parts = this._makePathParts(path);
-
         let node = this.data;
         for(let i = 0; i < (parts.length - 1); i++) {
             node = node[parts[i]];
@@ -247,24 +452,76 @@ class Observer extends EventEmitter {
         if (typeof(node) !== 'object' || ! (node instanceof Object))
             return;
 
+        // item by a key that does not exist
+        if (parts[parts.length - 1] === -1)
+            return;
+
+        if (actor !== undefined && ! this._permit({ type: 'set', path: path, value: data }, actor))
+            return;
+
+        if (this._interceptors.length) {
+            const op = this._intercept({ type: 'set', path: path, value: data });
+            if (! op)
+                return;
+            data = op.value;
+        }
+
+        if (this._computed.size && this._isComputed(parts))
+            return;
+
+        if (this.schema && ! this._validateSet(parts, node, data))
+            return;
+
         let nodeLength = -1;
         let old;
         if (path === '') {
             old = this.data;
             this.data = data;
         } else {
-            if (Array.isArray(node))
+            if (this._immutable)
+                node = this._thaw(parts, parts.length - 1);
+
+            if (Array.isArray(node)) {
                 nodeLength = node.length;
 
+                for(let i = nodeLength; i < parts[parts.length - 1]; i++)
+                    node[i] = null;
+            }
+
             old = node[parts[parts.length - 1]];
             node[parts[parts.length - 1]] = data;
         }
 
+        if (this._immutable)
+            this._freeze();
+
         this._checkUnset(path, old, data);
         this._checkSet(path, data, old);
 
-        if (nodeLength !== -1) {
-            let arrayPath = parts.slice(0, -1).join('.');
+        // array has been extended, so operations are inserts (including padding null's), that undo would remove
+        const extended = nodeLength !== -1 && node.length > nodeLength;
+
+        if (data !== old) {
+            // checked here too, as set is the hottest path
+            if (this._changeEvents)
+                this._emitWildcard(path, 'change');
+
+            if (! extended && this._opWanted())
+                this._op({ type: 'set', path: path, value: data, old: old });
+        }
+
+        if (extended) {
+            let arrayPath = formatPath(parts.slice(0, -1));
+
+            if (node.length - nodeLength === 1) {
+                if (this._opWanted())
+                    this._op({ type: 'insert', path: arrayPath, value: data, index: nodeLength });
+            } else if (this._opWanted()) {
+                this.batch(() => {
+                    for(let i = nodeLength; i < node.length; i++)
+                        this._op({ type: 'insert', path: arrayPath, value: node[i], index: i });
+                });
+            }
 
             let i = nodeLength;
             while(i++ < node.length) {
@@ -277,19 +534,27 @@ class Observer extends EventEmitter {
      * @function
      * @name Observer#unset
      * @description Unset data by a specific path. It will emit `unset` events with related paths. If path is not provided, it will reset root of data to empty object. If unset of an array item, it will additionally trigger `move` and `remove` events if necessary.
-     * @param {string|number} [path] - Path in data to be unset. If path is not provided, it will set root of observer to empty object.
+     * @param {string|number|Array.<string|number>} [path] - Path in data to be unset. If path is not provided, it will set root of observer to empty object.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
      * @example
      * obj.unset('position.z');
      */
-    unset(path = '') {
+    unset(path = '', actor) {
         if (path === undefined) {
             let old = this.data;
             this.data = { };
+
+            if (this._immutable)
+                this._freeze();
+
             this._checkUnset(path, old, this.data);
+            this._op({ type: 'set', path: '', value: this.data, old: old });
             return;
         }
 
-        const parts = this._makePathParts(path);
+        const made = this._makePath(path);
+        const parts = made.parts;
+        path = made.path;
 
         let node = this.data;
         for(let i = 0; i < (parts.length - 1); i++) {
@@ -303,8 +568,23 @@ class Observer extends EventEmitter {
         if (old === undefined)
             return;
 
+        if (actor !== undefined && ! this._permit({ type: 'unset', path: path }, actor))
+            return;
+
+        if (this._interceptors.length && ! this._intercept({ type: 'unset', path: path }))
+            return;
+
+        if (this._computed.size && this._isComputed(parts))
+            return;
+
+        if (this.schema && ! this._validateUnset(parts, node))
+            return;
+
         this._checkUnset(path, old);
 
+        if (this._immutable)
+            node = this._thaw(parts, parts.length - 1);
+
         if (Array.isArray(node)) {
             if (! node.length)
                 return;
@@ -313,7 +593,10 @@ class Observer extends EventEmitter {
             const data = node[index];
             node.splice(index, 1);
 
-            let arrayPath = parts.slice(0, -1).join('.');
+            if (this._immutable)
+                this._freeze();
+
+            let arrayPath = formatPath(parts.slice(0, -1));
 
             if (index < node.length) {
                 let i = node.length;
@@ -323,33 +606,48 @@ class Observer extends EventEmitter {
             }
 
             this._emitWildcard(arrayPath, 'remove', data, index);
+            this._emitWildcard(path, 'change');
+
+            if (this._opWanted())
+                this._op({ type: 'remove', path: arrayPath, value: data, index: index });
         } else {
             delete node[parts[parts.length - 1]];
+
+            if (this._immutable)
+                this._freeze();
+
+            this._emitWildcard(path, 'change');
+
+            if (this._opWanted())
+                this._op({ type: 'unset', path: path, old: old });
         }
     }
 
     /**
      * @function
      * @name Observer#patch
-     * @description Patch data by a specific path. In process of setting, it will not unset values that are not provided in patch data. But still can trigger unset events if object is changed to something else, so it will emit `unset` events with related paths. New and modified values will trigger `set` events with related paths.
-     * @param {string|number} [path] - Path in data to be patched. If path is not provided, it will patch the root of observer.
+     * @description Patch data by a specific path. In process of setting, it will not unset values that are not provided in patch data. But still can trigger unset events if object is changed to something else, so it will emit `unset` events with related paths. New and modified values will trigger `set` events with related paths. Items of keyed arrays (see {@link Observer#keyArray}) are merged by a key instead of by position, and items with new keys are added to the end of an array.
+     * @param {string|number|Array.<string|number>} [path] - Path in data to be patched. If path is not provided, it will patch the root of observer.
      * @param {*} data - Data for patching.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
      * @example
      * let obj = new Observer({ position: { x: 4, y: 2 } });
      * obj.patch('position', { z: 7 });
      * // will become { position: { x: 4, y: 2, z: 7 } }
      */
-    patch(path, data) {
+    patch(path, data, actor) {
         if (data === undefined) {
             data = path;
             path = '';
         }
 
+        const made = this._makePath(path);
+        const parts = made.parts;
+        path = made.path;
+
         if (path === '' && (typeof(data) !== 'object' || ! (data instanceof Object)))
             return;
 
-        const parts = this._makePathParts(path);
-
         let node = this.data;
         for(let i = 0; i < (parts.length - 1); i++) {
             node = node[parts[i]];
@@ -361,6 +659,23 @@ class Observer extends EventEmitter {
         if (typeof(node) !== 'object' || ! (node instanceof Object))
             return;
 
+        // item by a key that does not exist
+        if (parts[parts.length - 1] === -1)
+            return;
+
+        if (actor !== undefined && ! this._permit({ type: 'patch', path: path, value: data }, actor))
+            return;
+
+        if (this._interceptors.length) {
+            const op = this._intercept({ type: 'patch', path: path, value: data });
+            if (! op)
+                return;
+            data = op.value;
+        }
+
+        if (this._computed.size && this._isComputed(parts))
+            return;
+
         let current;
 
         if (path === '') {
@@ -369,33 +684,129 @@ class Observer extends EventEmitter {
             current = node[parts[parts.length - 1]];
         }
 
+        if (this._keys.size)
+            data = this._keyPatch(parts, current, data);
+
         let currentIsObject = (typeof(current) === 'object' && current instanceof Object);
         let dataIsObject = (typeof(data) === 'object' && data instanceof Object);
 
+        if (this.schema && ! this._validate(parts, (currentIsObject && dataIsObject) ? mergePatch(current, data) : data))
+            return;
+
+        const ops = [ ];
+
+        if (this._immutable) {
+            this._writing++;
+            node = this._thaw(parts, parts.length - 1);
+            if (currentIsObject && dataIsObject)
+                current = this._thaw(parts, parts.length);
+        }
+
         if (currentIsObject) {
             if (dataIsObject) {
-                this._patchNode(path, current, data);
+                this._patchNode(path, current, data, ops);
             } else {
                 node[parts[parts.length - 1]] = data;
                 this._checkUnset(path, current, data);
                 this._emitWildcard(path, 'set', data, current);
+                ops.push({ type: 'set', path: path, value: data, old: current });
             }
         } else if (dataIsObject) {
             node[parts[parts.length - 1]] = data;
             this._checkSet(path, data, current);
+            ops.push({ type: 'set', path: path, value: data, old: current });
         } else if (current !== data) {
             node[parts[parts.length - 1]] = data;
             this._emitWildcard(path, 'set', data, current);
+            ops.push({ type: 'set', path: path, value: data, old: current });
         }
+
+        if (this._immutable) {
+            this._writing--;
+            this._freeze();
+        }
+
+        if (! ops.length)
+            return;
+
+        // each changed path within patched data is notified once, and patched path with its parents once too
+        if (this._changeEvents) {
+            const changed = new Set();
+
+            for(let i = 0; i < ops.length; i++) {
+                const opParts = this._makePathParts(ops[i].path);
+
+                let stop = opParts.length;
+                while(stop > parts.length && ! changed.has(formatPath(opParts.slice(0, stop)))) {
+                    changed.add(formatPath(opParts.slice(0, stop)));
+                    stop--;
+                }
+
+                if (stop < opParts.length)
+                    this._emitWildcard(ops[i].path, 'change', stop);
+            }
+
+            this._emitWildcard(path, 'change');
+        }
+
+        if (this._opWanted())
+            this._op({ type: 'patch', path: path, value: data, ops: ops });
+    }
+
+    /**
+     * @function
+     * @name Observer#reconcile
+     * @description Replaces data by a specific path with a new data, by changing only what is different. New data is deep-compared with current data, and the smallest list of `set`, `unset`, `insert`, `move` and `remove` operations is applied as a transaction (see {@link Observer#batch}), so only real changes trigger events. Array items that are unchanged but moved, trigger `move` events instead of being replaced. Items of keyed arrays (see {@link Observer#keyArray}) are matched by a key, so they are updated and moved, but never replaced by an item with another key. Use {@link diff} to get a list of operations without applying it. New data is not copied, and is used by observer same as in {@link Observer#set}.
+     * @param {string|number|Array.<string|number>} [path] - Path in data to be reconciled. If path is not provided, it will reconcile the root of observer.
+     * @param {*} data - New data.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}. If any operation is denied, nothing is changed.
+     * @example
+     * let obj = new Observer({ todos: [ { text: 'one' }, { text: 'two' } ], filter: 'all' });
+     * obj.reconcile({ todos: [ { text: 'two' }, { text: 'one', done: true } ] });
+     * // "todos:move", "todos.1.done:set" and "filter:unset" are emitted
+     */
+    reconcile(path, data, actor) {
+        if (data === undefined) {
+            data = path;
+            path = '';
+        }
+
+        const made = this._makePath(path);
+        const parts = made.parts;
+        path = made.path;
+
+        if (this.schema && ! this._validate(parts, data))
+            return;
+
+        const ops = [ ];
+        diffNode(this.get(parts), data, path, ops, this._keys.size ? (arrayPath) => {
+            return this._keyField(this._makePathParts(arrayPath));
+        } : null);
+
+        if (! ops.length)
+            return;
+
+        if (actor !== undefined) {
+            for(let i = 0; i < ops.length; i++) {
+                if (! this._permit(ops[i], actor))
+                    return;
+            }
+        }
+
+        this.batch(() => {
+            for(let i = 0; i < ops.length; i++)
+                this._applyOp(ops[i]);
+        });
     }
 
     /**
      * @function
      * @name Observer#insert
      * @description Insert data by a specific path. Inserting new data will emit `set` event, if any items were moved in array, they will emit `move` event first.
-     * @param {string|number} path - Path in data to be inserted to. If path is empty string or null, it will insert in the root of observer if it is an array.
+     * @param {string|number|Array.<string|number>} path - Path in data to be inserted to. If path is empty string or null, it will insert in the root of observer if it is an array.
      * @param {*} data - Data to be set.
      * @param {number} [index] - Index within array to insert to. By default -1 (the end of an array). 0 - will insert in the beginning. Negative values will count from the end of an array.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
      * @example
      * const primes = new Observer([ 2, 5, 7 ]);
      * primes.insert('', 11);
@@ -410,15 +821,14 @@ class Observer extends EventEmitter {
      * obj.insert('saturn.satellites', 'iapetus');
      * obj.insert('saturn.satellites', 'titan', 0); // insert in the beginning
      */
-    insert(path, data, index = -1) {
+    insert(path, data, index = -1, actor) {
         let parts;
         let node = this.data;
 
         if (path !== '' && path !== null) {
-            if (Number.isInteger(path))
-                path = path.toString();
-
-            parts = this._makePathParts(path);
+            const made = this._makePath(path);
+            parts = made.parts;
+            path = made.path;
 
             for(let i = 0; i < parts.length; i++) {
                 node = node[parts[i]];
@@ -431,15 +841,29 @@ class Observer extends EventEmitter {
         if (! Array.isArray(node))
             return;
 
-        // negative index
-        if (index < -1) {
-            if (index < -node.length) {
-                index = 0;
-            } else {
-                index = node.length + index + 1;
-            }
+        // negative index, or the end
+        index = arrayIndex(index, node.length + 1);
+
+        if (actor !== undefined && ! this._permit({ type: 'insert', path: (parts ? path : ''), value: data, index: index }, actor))
+            return;
+
+        if (this._interceptors.length) {
+            const op = this._intercept({ type: 'insert', path: (parts ? path : ''), value: data, index: index });
+            if (! op)
+                return;
+            data = op.value;
+            index = arrayIndex(op.index, node.length + 1);
         }
 
+        if (this._computed.size && this._isComputed(parts || [ ]))
+            return;
+
+        if (this.schema && ! this._validateInsert(parts || [ ], node, data, index))
+            return;
+
+        if (this._immutable)
+            node = this._thaw(parts || [ ], parts ? parts.length : 0);
+
         let movedSince = null;
 
         if (index === 0) {
@@ -447,7 +871,7 @@ class Observer extends EventEmitter {
             node.unshift(data);
             movedSince = 1;
             index = 0;
-        } else if (index === -1 || index >= node.length) {
+        } else if (index >= node.length) {
             // end
             node.push(data);
             index = node.length - 1;
@@ -457,6 +881,9 @@ class Observer extends EventEmitter {
             movedSince = index + 1;
         }
 
+        if (this._immutable)
+            this._freeze();
+
         if (movedSince !== null) {
             let i = node.length;
             while(i-- > movedSince) {
@@ -466,30 +893,35 @@ class Observer extends EventEmitter {
 
         this._emitWildcard(path, 'insert', data, index);
 
-        this._checkSet((parts ? (path + '.') : '') + index, data, undefined);
+        this._checkSet(joinPath(path, index), data, undefined);
+
+        this._emitWildcard(joinPath(path, index), 'change');
+
+        if (this._opWanted())
+            this._op({ type: 'insert', path: (parts ? path : ''), value: data, index: index });
     }
 
     /**
      * @function
      * @name Observer#move
      * @description Move item by a specific path. Moving item will emit `move` event for affected items in arrays first, and then moved item it self. Indices support negative values, counting will be from the end then.
-     * @param {string|number} path - Path in data to be inserted to. If path is empty string or null, it will insert in the root of observer if it is an array.
+     * @param {string|number|Array.<string|number>} path - Path in data to be inserted to. If path is empty string or null, it will insert in the root of observer if it is an array.
      * @param {number} from - Index from which item to be moved.
      * @param {number} to - Index to which item to be moved.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
      * @example
      * satellites.move('', 1, 3); // from 1 to 3
      * satellites.move('', -1, 0); // from the end to the beginning
      * satellites.move('', 3, -1); // from 3 to the end
      */
-    move(path, from, to) {
+    move(path, from, to, actor) {
         let parts;
         let node = this.data;
 
         if (path !== '' && path !== null) {
-            if (Number.isInteger(path))
-                path = path.toString();
-
-            parts = this._makePathParts(path);
+            const made = this._makePath(path);
+            parts = made.parts;
+            path = made.path;
 
             for(let i = 0; i < parts.length; i++) {
                 node = node[parts[i]];
@@ -502,30 +934,31 @@ class Observer extends EventEmitter {
         if (! Array.isArray(node))
             return;
 
+        if (this._computed.size && this._isComputed(parts || [ ]))
+            return;
+
         // negatives
-        //      from
-        if (from < 0) {
-            if (from < -node.length) {
-                from = 0;
-            } else {
-                from = node.length + from;
-            }
-        } else if (from >= node.length) {
-            from = node.length - 1;
-        }
-        //      to
-        if (to < 0) {
-            if (to < -node.length) {
-                to = 0;
-            } else {
-                to = node.length + to;
-            }
-        } else if (to >= node.length) {
-            to = node.length - 1;
-        }
+        from = arrayIndex(from, node.length);
+        to = arrayIndex(to, node.length);
 
         if (from === to) return;
 
+        if (actor !== undefined && ! this._permit({ type: 'move', path: (parts ? path : ''), value: node[from], from: from, to: to }, actor))
+            return;
+
+        if (this._interceptors.length) {
+            const op = this._intercept({ type: 'move', path: (parts ? path : ''), value: node[from], from: from, to: to });
+            if (! op)
+                return;
+            from = arrayIndex(op.from, node.length);
+            to = arrayIndex(op.to, node.length);
+            if (from === to)
+                return;
+        }
+
+        if (this._immutable)
+            node = this._thaw(parts || [ ], parts ? parts.length : 0);
+
         const data = node[from];
         let movedSince = null;
         let movedTill = null;
@@ -548,6 +981,9 @@ class Observer extends EventEmitter {
             movedDirection = 1;
         }
 
+        if (this._immutable)
+            this._freeze();
+
         // notify of shifted items in between
         if (movedSince !== null) {
             let i = movedTill;
@@ -557,26 +993,31 @@ class Observer extends EventEmitter {
         }
 
         this._emitWildcard(path, 'move', data, from, to);
+
+        this._emitWildcard(parts ? path : '', 'change');
+
+        if (this._opWanted())
+            this._op({ type: 'move', path: (parts ? path : ''), from: from, to: to });
     }
 
     /**
      * @function
      * @name Observer#remove
      * @description Remove item by a specific path. Removing item will emit `unset` event for an affected item in arrays first, then `move` event for affected items, and then `remove` for it self. Indices support negative values, counting will be from the end then.
-     * @param {string|number} path - Path in data to be inserted to. If path is empty string or null, it will insert in the root of observer if it is an array.
+     * @param {string|number|Array.<string|number>} path - Path in data to be inserted to. If path is empty string or null, it will insert in the root of observer if it is an array.
      * @param {number} [index] - Index from which item to be removed. By default removes from the end of an array.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
      * @example
      * planets.remove('', 8); // remove 9th item (sad Pluto)
      */
-    remove(path, index = -1) {
+    remove(path, index = -1, actor) {
         let parts;
         let node = this.data;
 
         if (path !== '' && path !== null) {
-            if (Number.isInteger(path))
-                path = path.toString();
-
-            parts = this._makePathParts(path);
+            const made = this._makePath(path);
+            parts = made.parts;
+            path = made.path;
 
             for(let i = 0; i < parts.length; i++) {
                 node = node[parts[i]];
@@ -589,20 +1030,35 @@ class Observer extends EventEmitter {
         if (! Array.isArray(node) || ! node.length)
             return;
 
-        if (index < 0) {
-            if (index < -node.length) {
-                index = 0;
-            } else {
-                index = node.length + index;
-            }
-        } else if (index >= node.length) {
-            index = node.length - 1;
+        index = arrayIndex(index, node.length);
+
+        if (actor !== undefined && ! this._permit({ type: 'remove', path: (parts ? path : ''), value: node[index], index: index }, actor))
+            return;
+
+        if (this._interceptors.length) {
+            const op = this._intercept({ type: 'remove', path: (parts ? path : ''), value: node[index], index: index });
+            if (! op)
+                return;
+            index = arrayIndex(op.index, node.length);
         }
 
+        if (this._computed.size && this._isComputed(parts || [ ]))
+            return;
+
+        if (this.schema && ! this._validateLength(parts || [ ], node.length - 1))
+            return;
+
         const data = node[index];
-        this._checkUnset((path ? path + '.' : '') + index, data);
+        this._checkUnset(joinPath(path, index), data);
+
+        if (this._immutable)
+            node = this._thaw(parts || [ ], parts ? parts.length : 0);
+
         node.splice(index, 1);
 
+        if (this._immutable)
+            this._freeze();
+
         if (index < node.length) {
             let i = node.length;
             while(i-- > index) {
@@ -611,289 +1067,7125 @@ class Observer extends EventEmitter {
         }
 
         this._emitWildcard(path, 'remove', data, index);
+
+        this._emitWildcard(joinPath(path, index), 'change');
+
+        if (this._opWanted())
+            this._op({ type: 'remove', path: (parts ? path : ''), value: data, index: index });
     }
 
     /**
      * @function
-     * @name Observer#get
-     * @description Get data by a specific path. Returns raw data based on path. If path is not provided will return root data of observer. This data should not be modified by application logic, and is subject to change by obseerver functions.
-     * @param {string|number} [path] - Path of data to be returned.
-     * @returns {*} Data based on provided path.
+     * @name Observer#splice
+     * @description Removes and inserts items in an array, same as `Array.prototype.splice`. It emits `remove`, `move` and `insert` events once for each affected item, and then a single `reorder` event. As it takes any number of items, it has no `actor` argument, see {@link Observer#insertMany} and {@link Observer#removeMany} for changes made by an actor.
+     * @param {string|number|Array.<string|number>} path - Path to an array. If path is empty string or null, it is the root of observer.
+     * @param {number} start - Index to start changing an array from. Negative index counts from the end.
+     * @param {number} [deleteCount] - Number of items to remove. Defaults to all items from a start.
+     * @param {...*} [items] - Items to insert.
+     * @returns {Array} Removed items.
      * @example
-     * let x = obj.get('position.x');
+     * obj.splice('planets', 2, 1, 'earth', 'moon');
+     */
+    splice(path, start, deleteCount, ...items) {
+        return this._splice(path, start, deleteCount, items);
+    }
+
+    /**
+     * @function
+     * @name Observer#insertMany
+     * @description Inserts multiple items into an array, see {@link Observer#splice}.
+     * @param {string|number|Array.<string|number>} path - Path to an array. If path is empty string or null, it is the root of observer.
+     * @param {Array} items - Items to insert.
+     * @param {number} [index] - Index of position for items to be inserted. Negative index counts from the end, -1 inserts at the end. Defaults to -1.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
      * @example
-     * const planets = new Observer([ 'mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune' ])
-     * let planet = planets.get(2); // earth
+     * obj.insertMany('todos', [ { text: 'one' }, { text: 'two' } ], 0);
      */
-    get(path = '') {
-        if (path === undefined) return this.data;
+    insertMany(path, items, index = -1, actor) {
+        const node = this._arrayAt(path);
+        if (! node || ! items.length)
+            return;
+
+        if (index === -1 || index > node.length) {
+            index = node.length;
+        } else if (index < 0) {
+            index = Math.max(node.length + index + 1, 0);
+        }
+
+        this._splice(path, index, 0, items, actor);
+    }
 
+    /**
+     * @function
+     * @name Observer#removeMany
+     * @description Removes multiple items from an array, see {@link Observer#splice}.
+     * @param {string|number|Array.<string|number>} path - Path to an array. If path is empty string or null, it is the root of observer.
+     * @param {Array.<number>} indices - Indices of items to remove, in any order. Negative index counts from the end.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     * @returns {Array} Removed items.
+     * @example
+     * obj.removeMany('todos', [ 0, 4, 5 ]);
+     */
+    removeMany(path, indices, actor) {
         const parts = this._makePathParts(path);
+        const node = this._arrayAt(parts);
+        if (! node)
+            return [ ];
 
-        let node = this.data;
-        for(let part of parts) {
-            node = node[part];
+        const removed = new Array(node.length).fill(false);
+        for(let i = 0; i < indices.length; i++) {
+            const index = (indices[i] < 0) ? node.length + indices[i] : indices[i];
+            if (index >= 0 && index < node.length)
+                removed[index] = true;
+        }
 
-            if (node === null || node === undefined)
-                return node;
+        const data = [ ];
+        const order = [ ];
+        const items = [ ];
+        for(let i = 0; i < node.length; i++) {
+            if (removed[i]) {
+                items.push(node[i]);
+            } else {
+                data.push(node[i]);
+                order.push(i);
+            }
         }
 
-        return node;
+        return this._rearrange(formatPath(parts), parts, node, data, order, actor) ? items : [ ];
     }
 
     /**
      * @function
-     * @name Observer#clear
-     * @description Resets observer, its data to empty object and removes all subscribed events.
+     * @name Observer#sort
+     * @description Sorts items of an array. Sort is stable. It emits `move` event once for each item that changed its position, and then a single `reorder` event.
+     * @param {string|number|Array.<string|number>} path - Path to an array. If path is empty string or null, it is the root of observer.
+     * @param {function} [compareFn] - Function that compares two items, same as for `Array.prototype.sort`. Defaults to the same order as `Array.prototype.sort`: items are compared as strings, and undefined items are at the end.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     * @example
+     * obj.sort('todos', (a, b) => a.priority - b.priority);
      */
-    clear() {
-        this.data = { };
-        this._pathCache.clear();
+    sort(path, compareFn, actor) {
+        const parts = this._makePathParts(path);
+        const node = this._arrayAt(parts);
+        if (! node)
+            return;
+
+        const compare = compareFn || compareDefault;
+
+        const order = new Array(node.length);
+        for(let i = 0; i < node.length; i++)
+            order[i] = i;
+
+        order.sort((a, b) => {
+            return compare(node[a], node[b]);
+        });
+
+        this._rearrange(formatPath(parts), parts, node, order.map((index) => {
+            return node[index];
+        }), order, actor);
+    }
+
+    /**
+     * @function
+     * @name Observer#reverse
+     * @description Reverses order of items of an array, with events same as for {@link Observer#sort}.
+     * @param {string|number|Array.<string|number>} path - Path to an array. If path is empty string or null, it is the root of observer.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     * @example
+     * obj.reverse('planets');
+     */
+    reverse(path, actor) {
+        const parts = this._makePathParts(path);
+        const node = this._arrayAt(parts);
+        if (! node)
+            return;
+
+        const order = new Array(node.length);
+        for(let i = 0; i < node.length; i++)
+            order[i] = node.length - i - 1;
+
+        this._rearrange(formatPath(parts), parts, node, node.slice(0).reverse(), order, actor);
+    }
+
+    /**
+     * @function
+     * @name Observer#swap
+     * @description Swaps two items of an array, with events same as for {@link Observer#sort}.
+     * @param {string|number|Array.<string|number>} path - Path to an array. If path is empty string or null, it is the root of observer.
+     * @param {number} a - Index of an item. Negative index counts from the end.
+     * @param {number} b - Index of another item. Negative index counts from the end.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     * @example
+     * obj.swap('planets', 0, -1);
+     */
+    swap(path, a, b, actor) {
+        const parts = this._makePathParts(path);
+        const node = this._arrayAt(parts);
+        if (! node)
+            return;
+
+        if (a < 0) a = node.length + a;
+        if (b < 0) b = node.length + b;
+
+        if (a === b || a < 0 || b < 0 || a >= node.length || b >= node.length)
+            return;
+
+        const order = new Array(node.length);
+        for(let i = 0; i < node.length; i++)
+            order[i] = i;
+
+        order[a] = b;
+        order[b] = a;
+
+        this._rearrange(formatPath(parts), parts, node, order.map((index) => {
+            return node[index];
+        }), order, actor);
+    }
+
+    /**
+     * @function
+     * @name Observer#keyArray
+     * @description Declares a key field of items of an array, so they have stable identity. Items of any array can be addressed by a value of a field in paths of lookups, mutations and subscriptions, e.g. `entities[id=abc].name`, which is resolved to a current index of an item. Subscriptions by a key follow an item when it is moved, and provide path with a current index of an item, and keys of matched items as an additional last argument of a callback. Additionally, items of declared keyed arrays are merged by a key in {@link Observer#patch} and matched by a key in {@link Observer#reconcile}.
+     * @param {string|number|Array.<string|number>} path - Path to an array. Can contain `*` wildcard, to declare nested arrays of each item.
+     * @param {string|null} field - Name of a key field. Null to remove declaration.
+     * @example
+     * obj.keyArray('entities', 'id');
+     * obj.keyArray('entities.*.components', 'type');
+     *
+     * obj.on('entities[id=abc].name:set', function (path, value, old, keys) {
+     *     // path is [ 'entities', 3, 'name' ], with a current index of an item
+     *     // keys is [ 'abc' ]
+     * });
+     *
+     * obj.patch('entities', [ { id: 'abc', name: 'box' }, { id: 'new', name: 'sphere' } ]);
+     * // item "abc" is patched wherever it is, and item "new" is added
+     */
+    keyArray(path, field) {
+        const parts = indexKeys(parsePath(path));
+        const pattern = formatPath(parts);
+
+        if (field === null || field === undefined) {
+            this._keys.delete(pattern);
+        } else {
+            this._keys.set(pattern, { parts: parts, field: field.toString() });
+        }
+    }
+
+    /**
+     * @function
+     * @name Observer#get
+     * @description Get data by a specific path. Returns raw data based on path. If path is not provided will return root data of observer. This data should not be modified by application logic, and is subject to change by obseerver functions.
+     * @param {string|number|Array.<string|number>} [path] - Path of data to be returned.
+     * @returns {*} Data based on provided path.
+     * @example
+     * let x = obj.get('position.x');
+     * @example
+     * const planets = new Observer([ 'mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune' ])
+     * let planet = planets.get(2); // earth
+     */
+    get(path = '') {
+        if (path === undefined) return this.data;
+
+        const parts = this._makePathParts(path);
+
+        let node = this.data;
+        for(let part of parts) {
+            node = node[part];
+
+            if (node === null || node === undefined)
+                return node;
+        }
+
+        return node;
+    }
+
+    /**
+     * @function
+     * @name Observer#batch
+     * @description Applies all changes within a function as a single transaction. Data is changed immediately, but events are delivered only after function has finished. If function throws, data is restored to its state before transaction, no events are emitted and error is re-thrown. Nested transactions are merged into the outer transaction, but a throwing nested transaction reverts only its own changes. Transaction fires a single `op` event of type `batch` with a list of all its operations.
+     * @param {function} fn - Function that changes data.
+     * @param {object} [options] - Options.
+     * @param {boolean} [options.collapse] - If true, `set` and `unset` events are collapsed to a single net change per path, with the latest value and the old value from before transaction. Paths that end up with the same value do not emit events, including `change` events. Array events are delivered as is. Operations of `batch` op are collapsed same way. Defaults to false.
+     * @returns {*} Value returned by a function.
+     * @example
+     * obj.batch(() => {
+     *     obj.set('position.x', 4);
+     *     obj.set('position.y', 2);
+     *     // no events emitted yet
+     * });
+     * // events for both changes are emitted
+     * @example
+     * try {
+     *     obj.batch(() => {
+     *         obj.set('position.x', 4);
+     *         throw new Error('oops');
+     *     });
+     * } catch(ex) {
+     *     // position.x is not changed, and no events been emitted
+     * }
+     * @example
+     * obj.batch(() => {
+     *     for(let i = 0; i < 100; i++)
+     *         obj.set('progress', i);
+     * }, { collapse: true });
+     * // "progress:set" emitted once, with value 99
+     */
+    batch(fn, options = { }) {
+        const batch = this._batch;
+        let result;
+
+        const scopes = this._scopesState();
+
+        if (batch) {
+            // nested
+            const eventsLength = batch.events.length;
+            const opsLength = batch.ops.length;
+
+            try {
+                result = fn();
+            } catch(ex) {
+                this._batchRevert(batch, eventsLength, opsLength, scopes);
+                throw ex;
+            }
+
+            return result;
+        }
+
+        this._batch = {
+            events: [ ],
+            ops: [ ],
+            silent: false
+        };
+
+        try {
+            result = fn();
+        } catch(ex) {
+            this._batchRevert(this._batch, 0, 0, scopes);
+            this._batch = null;
+            throw ex;
+        }
+
+        const events = options.collapse ? collapseEvents(this._batch.events) : this._batch.events;
+        const ops = options.collapse ? collapseOps(this._batch.ops) : this._batch.ops;
+        this._batch = null;
+
+        for(let i = 0; i < events.length; i++) {
+            const evt = events[i];
+            if (typeof(evt) === 'function') {
+                evt();
+            } else {
+                this._emitWildcard(evt[0], evt[1], evt[2], evt[3], evt[4], evt[5]);
+            }
+        }
+
+        if (ops.length)
+            this._op({ type: 'batch', path: '', ops: ops });
+
+        return result;
+    }
+
+    /**
+     * @function
+     * @name Observer#applyPatch
+     * @description Applies [JSON Patch (RFC 6902)](https://tools.ietf.org/html/rfc6902) document. Operations are mapped to `set`, `unset`, `insert`, `move` and `remove` methods, so related events are emitted. Patch is applied as a transaction (see {@link Observer#batch}), so if any operation fails, including `test` operation and operations denied to an actor, data is not changed, no events are emitted and error is thrown.
+     * @param {Array.<object>} patch - List of JSON Patch operations.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     * @example
+     * obj.applyPatch([
+     *     { op: 'replace', path: '/position/x', value: 8 },
+     *     { op: 'add', path: '/planets/-', value: 'mars' },
+     *     { op: 'move', from: '/planets/0', path: '/planets/2' }
+     * ]);
+     */
+    applyPatch(patch, actor) {
+        this.batch(() => {
+            for(let i = 0; i < patch.length; i++) {
+                const denied = this._denied;
+                this._applyPatchOp(patch[i], actor);
+
+                if (this._denied !== denied)
+                    throw new Error(`change of "${patch[i].path}" is denied`);
+            }
+        });
+    }
+
+    /**
+     * @function
+     * @name Observer#applyRemote
+     * @description Applies operation received from another peer, as provided by `op:send` event. Events fired while operation is applied can tell it is remote by `remote` property of an observer, and `op` event provides operation with `remote` flag. For real-time collaboration, operations are transformed against concurrent operations, so array inserts, moves and removes by different clients lead all peers to the same data. Authority transforms operation of a client against operations it has missed, and fires `op:send` to broadcast it. Client uses operations with its own id as acknowledgement, and transforms other operations against its pending operations. Concurrent changes of the same path are resolved by the order of client ids.
+     * @param {object} op - Serializable operation.
+     * @example
+     * // client
+     * const obj = new Observer(data, { clientId: 'alice', rev: rev });
+     * obj.on('op:send', (op) => socket.send(JSON.stringify(op)));
+     * socket.on('message', (message) => obj.applyRemote(JSON.parse(message)));
+     *
+     * obj.on('*.name:set', (path, value) => {
+     *     if (obj.remote) showNotification(`${path[0]} has been renamed`);
+     * });
+     * @example
+     * // authority
+     * const obj = new Observer(data, { clientId: 'server', authority: true });
+     * obj.on('op:send', (op) => {
+     *     for(const client of clients)
+     *         client.send(JSON.stringify(op));
+     * });
+     * onMessage((message) => obj.applyRemote(JSON.parse(message)));
+     */
+    applyRemote(op) {
+        const collab = this._collab;
+
+        if (! collab) {
+            this._applyRemote(op);
+            return;
+        }
+
+        if (collab.authority) {
+            const start = collab.rev - collab.log.length;
+            if (op.rev < start)
+                throw new Error(`operation revision ${op.rev} is too old`);
+
+            let item = op;
+            for(let i = op.rev - start; i < collab.log.length && item; i++) {
+                const entry = collab.log[i];
+                item = transformOp(item, entry, item.client < entry.client);
+            }
+
+            if (item)
+                this._applyRemote(item);
+
+            this._collabCommit(Object.assign(item ? compactOp(item) : { type: 'batch', path: '', ops: [ ] }, {
+                client: op.client,
+                seq: op.seq
+            }));
+            return;
+        }
+
+        // acknowledgement
+        if (op.client === this.clientId) {
+            collab.pending.shift();
+            collab.rev = op.rev;
+
+            if (collab.pending.length)
+                this._collabSend();
+            return;
+        }
+
+        let item = op;
+        for(let i = 0; i < collab.pending.length && item; i++) {
+            const pending = collab.pending[i];
+            const transformed = transformOp(item, pending, item.client < pending.client);
+            collab.pending[i] = transformOp(pending, item, pending.client < item.client) || Object.assign({ }, pending, { type: 'batch', path: '', ops: [ ] });
+            item = transformed;
+        }
+
+        if (item)
+            this._applyRemote(item);
+
+        collab.rev = op.rev;
+    }
+
+    /**
+     * @function
+     * @name Observer#validate
+     * @description Validates all data against the schema. It does not throw or fire events.
+     * @returns {Array.<object>} List of errors, each with `path` as an array of strings or numbers and `reason` string. Empty if data is valid or there is no schema.
+     * @example
+     * const errors = obj.validate();
+     * for(const error of errors)
+     *     console.log(`"${error.path.join('.')}" ${error.reason}`);
+     */
+    validate() {
+        const errors = [ ];
+        if (this.schema)
+            validateSchema(this.schema, this.data, [ ], errors);
+        return errors;
+    }
+
+    /**
+     * @function
+     * @name Observer#query
+     * @description Finds all current values that match a path in wildcard notation. Path can include `*` for any key, `**` for any number of keys, and predicates on keys, e.g. `entities.*[enabled=true].name`, which match only objects that have a value of a field. Values of predicates are typed: `true`, `false`, `null` and numbers match only such values, and other values, or values in quotes, e.g. `[id="42"]`, match strings.
+     * @param {string|Array.<string>} path - Path in wildcard notation.
+     * @returns {Array.<object>} List of matches in order of data, each with `path` as an array of strings or numbers, and `value`.
+     * @example
+     * obj.query('planets.*.population');
+     * // [ { path: [ 'planets', 2, 'population' ], value: 8000000000 } ]
+     */
+    query(path) {
+        const result = [ ];
+        const parts = parsePath(path);
+
+        collectValues(this.data, parts, 0, result, [ ]);
+
+        // same path can be matched multiple ways by recursive wildcards
+        if (parts.indexOf('**') !== parts.lastIndexOf('**')) {
+            const paths = new Set();
+            return result.filter((match) => {
+                const key = formatPath(match.path);
+                if (paths.has(key))
+                    return false;
+                paths.add(key);
+                return true;
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * @function
+     * @name Observer#liveQuery
+     * @description Creates a query, that keeps its results up to date, see {@link Observer#query}.
+     * @param {string|Array.<string>} path - Path in wildcard notation.
+     * @returns {ObserverQuery} Live query.
+     * @example
+     * const names = obj.liveQuery('entities.*[enabled=true].name');
+     *
+     * names.on('add', (path, value) => {
+     *     list.add(path[1], value);
+     * });
+     * names.on('remove', (path) => {
+     *     list.remove(path[1]);
+     * });
+     *
+     * // later
+     * names.destroy();
+     */
+    liveQuery(path) {
+        return new ObserverQuery(this, path);
+    }
+
+    /**
+     * @function
+     * @name Observer#scope
+     * @description Creates a view of a subtree, with the same API as observer, but with paths relative to the scope. If an index of an array item the scope goes through is shifted by `insert`, `move` or `remove`, scope will follow its item. View should be destroyed when not needed anymore, which will remove all its events.
+     * @param {string|number|Array.<string|number>} [path] - Path to a root of the scope.
+     * @returns {ObserverScope} View of a subtree.
+     * @example
+     * const light = obj.scope('entities.42.components.light');
+     * light.set('intensity', 2); // sets "entities.42.components.light.intensity"
+     * light.on('color.*:set', (path, value) => {
+     *     // path is relative to the scope: [ 'color', 'r' ]
+     * });
+     *
+     * // later
+     * light.destroy();
+     */
+    scope(path = '') {
+        return new ObserverScope(this, path);
+    }
+
+    /**
+     * @function
+     * @name Observer#intercept
+     * @description Adds an interceptor, that is called before `set`, `unset`, `patch`, `insert`, `move` or `remove` changes data by a matching path, and can change or cancel a mutation. Interceptor is called with an operation, and can change its `value` (or `index`, `from` and `to` of array operations), return another operation to apply instead, or return `false` to cancel it. Changed indices are kept within an array, same as arguments of array methods. Cancelled mutations fire `rejected` event. Interceptors are called in order they have been added, and are not called for remote operations, writes of computed values, reverts of failed transactions and undo or redo of {@link ObserverHistory}. Values within objects and arrays that are written by `set` and `patch` are intercepted too, as `set` operations of their paths, and keys removed by `set` as `unset` operations, so interceptors of deeper paths are called for writes of their parents. Changes of many array items, by {@link Observer#splice}, {@link Observer#insertMany}, {@link Observer#removeMany}, {@link Observer#sort}, {@link Observer#reverse} and {@link Observer#swap}, are intercepted as `remove`, `move` and `insert` operations of each affected item, in that order. Values of inserted items can be changed, and if any operation is cancelled, whole change is cancelled.
+     * @param {string} path - Path of an operation to match, wildcard notation can be used. For array operations it is a path to an array.
+     * @param {function} fn - Interceptor, that is called with an operation with `type`, `path` and `value`, and `index`, `from` or `to` for array operations.
+     * @returns {object} Interceptor with `off` method to remove it.
+     * @example
+     * obj.intercept('volume', (op) => {
+     *     op.value = Math.min(Math.max(op.value, 0), 1);
+     * });
+     *
+     * obj.intercept('config.**', (op) => {
+     *     return false; // config is read-only
+     * });
+     */
+    intercept(path, fn) {
+        const interceptor = {
+            parts: indexKeys(parsePath(path)),
+            fn: fn,
+            off: () => {
+                const index = this._interceptors.indexOf(interceptor);
+                if (index !== -1)
+                    this._interceptors.splice(index, 1);
+            }
+        };
+
+        this._interceptors.push(interceptor);
+        return interceptor;
+    }
+
+    /**
+     * @function
+     * @name Observer#lock
+     * @description Locks data by a path (including deeper and parent paths) for an owner. While it is locked, changes by other actors are refused with `denied` event, see `actor` argument of {@link Observer#set} and other methods. Changes without an actor are not checked, so application logic and remote operations are not affected. Array changes (insert, move and remove) affect all items, so they are refused if any item is locked. Path with a key, e.g. `entities[id=a]`, locks only an item with that key, wherever it is in an array.
+     * @param {string|Array.<string>} path - Path in wildcard notation.
+     * @param {*} owner - Owner of a lock, e.g. id of a user.
+     * @returns {boolean} True if data is locked by the owner, false if it is already locked by another owner.
+     * @example
+     * if (obj.lock([ 'entities', id ], userId)) {
+     *     // user can edit an entity, others cannot
+     *     obj.set([ 'entities', id, 'name' ], 'box', userId);
+     *     obj.unlock([ 'entities', id ], userId);
+     * }
+     */
+    lock(path, owner) {
+        path = formatPath(indexKeys(parsePath(path)));
+
+        for(const [ locked, lockOwner ] of this._locks) {
+            if (lockOwner !== owner && pathsOverlap(locked, path, this.data))
+                return false;
+        }
+
+        if (this._locks.get(path) === owner)
+            return true;
+
+        this._locks.set(path, owner);
+        this.emit('lock:change', path, owner);
+        return true;
+    }
+
+    /**
+     * @function
+     * @name Observer#unlock
+     * @description Unlocks data by a path, that has been locked using {@link Observer#lock}.
+     * @param {string|Array.<string>} path - Path in wildcard notation, same as used to lock.
+     * @param {*} [owner] - Owner of a lock. If provided, lock of another owner is not unlocked.
+     * @returns {boolean} True if data has been unlocked.
+     * @example
+     * obj.unlock([ 'entities', id ], userId);
+     */
+    unlock(path, owner) {
+        path = formatPath(indexKeys(parsePath(path)));
+
+        if (! this._locks.has(path) || (owner !== undefined && this._locks.get(path) !== owner))
+            return false;
+
+        this._locks.delete(path);
+        this.emit('lock:change', path, null);
+        return true;
+    }
+
+    /**
+     * @function
+     * @name Observer#lockOwner
+     * @description Returns owner of a lock, that affects data by a path.
+     * @param {string|Array.<string>} path - Path.
+     * @returns {*} Owner of a lock, or null if data is not locked.
+     * @example
+     * const owner = obj.lockOwner('entities.box.name');
+     * input.disabled = owner !== null && owner !== userId;
+     */
+    lockOwner(path) {
+        path = formatPath(indexKeys(parsePath(path)));
+
+        for(const [ locked, owner ] of this._locks) {
+            if (pathsOverlap(locked, path, this.data))
+                return owner;
+        }
+
+        return null;
+    }
+
+    /**
+     * @function
+     * @name Observer#computed
+     * @description Defines a value that is derived from other values. Function is called with current values of dependencies, and its result is written to a path, which should have an existing parent. It is recomputed when any of dependencies change, and emits usual events only when result is different. Computed path (including deeper paths) is read-only, so other mutations of it are ignored, and if it is removed or overwritten by replacing its parent, it is recomputed. Dependencies can use wildcard notation, then an array of all matching values is provided to a function. If computed values depend on each other in a circle, an error is thrown. Defining computed value on the same path again replaces previous definition.
+     * @param {string|number|Array.<string|number>} path - Path to write result to.
+     * @param {Array.<string>} deps - List of paths of dependencies.
+     * @param {function} fn - Function that is called with values of dependencies as arguments, and returns a result.
+     * @returns {object} Computed value definition, with `destroy` method to stop recomputing it. Value is kept in data.
+     * @example
+     * const obj = new Observer({ items: [ { price: 4 }, { price: 2 } ], tax: 0.2, total: 0 });
+     *
+     * obj.computed('total', [ 'items.*.price', 'tax' ], (prices, tax) => {
+     *     return prices.reduce((a, b) => a + b, 0) * (1 + tax);
+     * });
+     *
+     * obj.get('total'); // 7.2
+     * obj.insert('items', { price: 4 }); // emits "total:set"
+     * obj.set('total', 0); // ignored
+     */
+    computed(path, deps, fn) {
+        path = formatPath(parsePath(path));
+
+        const computed = {
+            path: path,
+            deps: deps.map((dep) => {
+                return formatPath(parsePath(dep));
+            }),
+            fn: fn,
+            events: [ ],
+            destroy: null
+        };
+
+        const cycle = this._computedCycle(computed, computed, [ path ]);
+        if (cycle)
+            throw new Error(`computed "${path}" has circular dependency: ${cycle.join(' -> ')}`);
+
+        if (this._computed.has(path))
+            this._computed.get(path).destroy();
+
+        this._computed.set(path, computed);
+
+        computed.destroy = () => {
+            if (this._computed.get(path) !== computed)
+                return;
+
+            this._computed.delete(path);
+
+            for(let i = 0; i < computed.events.length; i++)
+                computed.events[i].off();
+            computed.events = [ ];
+        };
+
+        const update = () => {
+            this._computedUpdate(computed);
+        };
+
+        // unset events are fired before value is removed, so update waits for a change event
+        let unset = false;
+        const updateUnset = () => {
+            unset = true;
+        };
+        const updateChange = () => {
+            if (! unset)
+                return;
+
+            unset = false;
+            this._computedUpdate(computed);
+        };
+
+        for(let d = 0; d < computed.deps.length; d++) {
+            const dep = computed.deps[d];
+            const parts = parsePath(dep);
+
+            // changes of dependency or deeper paths
+            computed.events.push(this.on(dep + ':change', update));
+
+            // dependency replaced or shifted by changes of its parents
+            for(let i = 1; i < parts.length; i++) {
+                const parent = formatPath(parts.slice(0, i));
+                computed.events.push(this.on(parent + ':set', update));
+                computed.events.push(this.on(parent + ':unset', updateUnset));
+                computed.events.push(this.on(parent + ':change', updateChange));
+                computed.events.push(this.on(parent + ':insert', update));
+                computed.events.push(this.on(parent + ':move', update));
+                computed.events.push(this.on(parent + ':remove', update));
+            }
+        }
+
+        // value removed or overwritten by replacing its parent
+        const restore = () => {
+            if (this._computedWrite !== computed)
+                this._computedUpdate(computed);
+        };
+        computed.events.push(this.on(path + ':set', restore));
+        computed.events.push(this.on(path + ':unset', restore));
+
+        this._computedUpdate(computed);
+
+        return computed;
+    }
+
+    /**
+     * @function
+     * @name Observer#onChanges
+     * @description Subscribes to `set` and `unset` events of a path, and delivers them asynchronously, in a single callback per flush. If a path changes multiple times before a flush, it is listed once, with its latest value and the old value from its first change. Paths that are changed back to their old value are not listed. Array items shifted by `insert`, `move` or `remove` are not listed, but items inserted or removed are.
+     * @param {string} [path] - Path to match changes, wildcard notation can be used. If not provided, all changes are matched.
+     * @param {function} callback - Callback, that is called with a list of changes, each with `path` as an array of strings or numbers, `value` and `old`.
+     * @param {object} [options] - Options.
+     * @param {string|function} [options.schedule] - When to flush changes: `microtask`, `frame` (uses `requestAnimationFrame`, or a 16ms timer where it is not available) or a function that is called with a flush function to call later. Defaults to `microtask`.
+     * @returns {object} Subscription with `off` method to stop it and discard changes not delivered yet, and `flush` method to deliver changes straight away.
+     * @example
+     * obj.onChanges('entities.*.position.*', (changes) => {
+     *     for(const change of changes)
+     *         render(change.path, change.value);
+     * }, { schedule: 'frame' });
+     *
+     * for(let i = 0; i < 10000; i++)
+     *     obj.set(`entities.${i}.position.x`, i); // callback is called once
+     */
+    onChanges(path, callback, options) {
+        if (typeof(path) === 'function') {
+            options = callback;
+            callback = path;
+            path = '';
+        }
+
+        options = options || { };
+
+        let schedule = options.schedule || 'microtask';
+        let changes = new Map();
+
+        if (typeof(schedule) !== 'function') {
+            if (schedule !== 'frame') {
+                schedule = queueMicrotask;
+            } else if (typeof(requestAnimationFrame) === 'function') {
+                schedule = (fn) => requestAnimationFrame(fn);
+            } else {
+                // there are no frames, e.g. in Node.js or a worker
+                schedule = (fn) => setTimeout(fn, 16);
+            }
+        }
+        let scheduled = false;
+
+        const flush = () => {
+            scheduled = false;
+
+            if (! changes.size)
+                return;
+
+            const list = [ ];
+            for(const change of changes.values()) {
+                if (change.value !== change.old)
+                    list.push(change);
+            }
+            changes = new Map();
+
+            if (list.length)
+                callback(list);
+        };
+
+        const add = (pathParts, value, old) => {
+            const key = formatPath(pathParts);
+            const change = changes.get(key);
+
+            if (change) {
+                change.value = value;
+            } else {
+                changes.set(key, {
+                    path: pathParts.slice(0),
+                    value: value,
+                    old: old
+                });
+            }
+
+            if (scheduled)
+                return;
+
+            scheduled = true;
+            schedule(flush);
+        };
+
+        path = formatPath(parsePath(path));
+        const prefix = path ? path + ':' : '';
+        const evtSet = this.on(prefix + 'set', (pathParts, value, old) => {
+            add(pathParts, value, old);
+        });
+        const evtUnset = this.on(prefix + 'unset', (pathParts, old) => {
+            add(pathParts, undefined, old);
+        });
+
+        return {
+            flush: flush,
+            off: () => {
+                evtSet.off();
+                evtUnset.off();
+                changes = new Map();
+            }
+        };
+    }
+
+    /**
+     * @function
+     * @name Observer#watch
+     * @description Returns an async iterable of changes matching a path. Changes are collected from the moment of a call, and are delivered in order, each as a record with `type` (`set`, `unset`, `insert`, `move` or `remove`), `path` as an array of strings or numbers, and `value`. Records of `set` and `unset` have `old` value, `insert` and `remove` have `index`, and `move` has `from` and `to`. Values are copied, as they are read later. Iteration is finished when a signal is aborted or a loop is exited, and events are unsubscribed then.
+     * @param {string} [path] - Path to match changes, wildcard notation can be used, e.g. `jobs.*.status`. It can end with a type of a change, e.g. `jobs:insert`, to match only that type. If not provided, all changes are matched.
+     * @param {object} [options] - Options.
+     * @param {AbortSignal} [options.signal] - Signal to finish iteration.
+     * @returns {AsyncIterable<object>} Async iterable of changes.
+     * @example
+     * const controller = new AbortController();
+     *
+     * for await (const change of obj.watch('jobs.*.status', { signal: controller.signal })) {
+     *     console.log(`job ${change.path[1]} is ${change.value}`);
+     * }
+     */
+    watch(path = '', options = { }) {
+        const match = path.toString().match(/(^|:)(set|unset|insert|move|remove)$/);
+        const types = match ? [ match[2] ] : [ 'set', 'unset', 'insert', 'move', 'remove' ];
+
+        if (match)
+            path = path.slice(0, match.index);
+
+        path = formatPath(parsePath(path));
+
+        const records = [ ];
+        const pending = [ ];
+        const signal = options.signal;
+        let done = false;
+
+        const events = types.map((type) => {
+            return this.on(path ? path + ':' + type : type, (pathParts, value, old, to) => {
+                const record = {
+                    type: type,
+                    path: pathParts.slice(0),
+                    value: clone(value)
+                };
+
+                if (type === 'set') {
+                    record.old = clone(old);
+                } else if (type === 'unset') {
+                    record.value = undefined;
+                    record.old = clone(value);
+                } else if (type === 'move') {
+                    record.from = old;
+                    record.to = to;
+                } else {
+                    record.index = old;
+                }
+
+                if (pending.length) {
+                    pending.shift()({ value: record, done: false });
+                } else {
+                    records.push(record);
+                }
+            });
+        });
+
+        const stop = () => {
+            if (done)
+                return;
+
+            done = true;
+
+            for(let i = 0; i < events.length; i++)
+                events[i].off();
+
+            if (signal)
+                signal.removeEventListener('abort', stop);
+
+            while(pending.length)
+                pending.shift()({ value: undefined, done: true });
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                stop();
+            } else {
+                signal.addEventListener('abort', stop);
+            }
+        }
+
+        const iterator = {
+            next: () => {
+                if (records.length)
+                    return Promise.resolve({ value: records.shift(), done: false });
+
+                if (done)
+                    return Promise.resolve({ value: undefined, done: true });
+
+                return new Promise((resolve) => {
+                    pending.push(resolve);
+                });
+            },
+            return: () => {
+                stop();
+                records.length = 0;
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]: () => {
+                return iterator;
+            }
+        };
+
+        return iterator;
+    }
+
+    /**
+     * @function
+     * @name Observer#when
+     * @description Waits until a value by a path satisfies a predicate. Predicate is checked against the current value straight away, and then on each `change` of a path, including changes of its descendants, and when any of its parents is replaced. Events are unsubscribed when waiting is finished.
+     * @param {string|number|Array.<string|number>} path - Path of a value.
+     * @param {function|*} predicate - Function that is called with a value and returns true when waiting is finished, or a value to wait for.
+     * @param {object} [options] - Options.
+     * @param {number} [options.timeout] - Time in milliseconds, after which a Promise is rejected.
+     * @param {AbortSignal} [options.signal] - Signal to reject a Promise.
+     * @returns {Promise<*>} Resolves to a value that satisfies a predicate.
+     * @example
+     * await obj.when('job.status', 'done', { timeout: 60000 });
+     *
+     * const progress = await obj.when('job.progress', (value) => value >= 50);
+     */
+    when(path, predicate, options = { }) {
+        const parts = parsePath(path);
+        const check = (typeof(predicate) === 'function') ? predicate : (value) => {
+            return value === predicate;
+        };
+
+        return new Promise((resolve, reject) => {
+            const value = this.get(parts);
+            if (check(value)) {
+                resolve(value);
+                return;
+            }
+
+            const signal = options.signal;
+            let timeout = null;
+
+            if (signal && signal.aborted) {
+                reject(signal.reason || new Error('aborted'));
+                return;
+            }
+
+            const finish = (fn, value) => {
+                evtChange.off();
+                if (evtParents)
+                    evtParents.off();
+
+                if (timeout !== null)
+                    clearTimeout(timeout);
+
+                if (signal)
+                    signal.removeEventListener('abort', abort);
+
+                fn(value);
+            };
+
+            const update = () => {
+                const value = this.get(parts);
+
+                try {
+                    if (! check(value))
+                        return;
+                } catch(ex) {
+                    finish(reject, ex);
+                    return;
+                }
+
+                finish(resolve, value);
+            };
+
+            const abort = () => {
+                finish(reject, signal.reason || new Error('aborted'));
+            };
+
+            const name = formatPath(parts);
+            const evtChange = this.on(name ? name + ':change' : 'change', update);
+            // replacing a parent does not emit change events of its descendants
+            const evtParents = parts.length ? this.on('change', (pathParts) => {
+                if (pathParts.length >= parts.length)
+                    return;
+
+                for(let i = 0; i < pathParts.length; i++) {
+                    if (! (parts[i] instanceof KeyedPart) && String(parts[i]) !== String(pathParts[i]))
+                        return;
+                }
+
+                update();
+            }) : null;
+
+            if (options.timeout !== undefined) {
+                timeout = setTimeout(() => {
+                    finish(reject, new Error(`waiting for "${name}" has timed out after ${options.timeout}ms`));
+                }, options.timeout);
+            }
+
+            if (signal)
+                signal.addEventListener('abort', abort);
+        });
+    }
+
+    /**
+     * @function
+     * @name Observer#persist
+     * @description Restores data from a storage, and then keeps saving changes to it. Changes are written after a delay, incrementally if storage supports it, and from time to time whole data is saved to compact incremental changes. If storage is empty, current data is saved. Storage errors are fired as `persist:error` event.
+     * @param {object} storage - Storage adapter, see {@link ObserverMemoryStorage}, {@link ObserverWebStorage} and {@link ObserverFileStorage}. Adapter should implement `load()`, that resolves to null or an object with `data` and list of operations `ops` to apply to data, and `save(data)`. Optionally it can implement `append(ops)` to save operations since the last save.
+     * @param {object} [options] - Options.
+     * @param {number} [options.debounce] - Delay in milliseconds after the last change, before changes are written. Defaults to 100.
+     * @param {number} [options.compact] - Max number of saved operations, before whole data is saved instead. 0 saves whole data each time. Defaults to 1000.
+     * @param {Array.<string>} [options.include] - List of paths that are persisted (including deeper paths). Wildcard `*` can be used. Defaults to all data.
+     * @param {Array.<string>} [options.exclude] - List of paths that are not persisted (including deeper paths). Wildcard `*` can be used.
+     * @returns {Promise<object>} Resolves when data is restored, to persistence with `flush` method to write changes straight away, and `destroy` method to write changes and stop persisting. Both return a Promise that resolves when writing is finished.
+     * @example
+     * const obj = new Observer({ settings: { volume: 1 }, selection: [ ] });
+     *
+     * obj.persist(new ObserverWebStorage('app'), { exclude: [ 'selection' ] }).then(() => {
+     *     // data is restored
+     * });
+     *
+     * obj.on('persist:error', (err) => {
+     *     console.error(err);
+     * });
+     */
+    persist(storage, options = { }) {
+        const debounce = (options.debounce !== undefined) ? options.debounce : 100;
+        const compact = (options.compact !== undefined) ? options.compact : 1000;
+        const include = options.include ? options.include.map((path) => {
+            return formatPath(parsePath(path));
+        }) : null;
+        const exclude = options.exclude ? options.exclude.map((path) => {
+            return formatPath(parsePath(path));
+        }) : null;
+
+        return Promise.resolve().then(() => {
+            return storage.load();
+        }).then((stored) => {
+            if (stored) {
+                if (include || exclude) {
+                    this.set(restoreData(this.data, stored.data, include, exclude));
+                } else {
+                    this.set(stored.data);
+                }
+
+                if (stored.ops && stored.ops.length)
+                    this._applyOp({ type: 'batch', path: '', ops: stored.ops });
+            }
+
+            let ops = [ ];
+            let full = ! stored;
+            let journal = (stored && stored.ops) ? stored.ops.length : 0;
+            let timer = null;
+            let queue = Promise.resolve();
+
+            const write = () => {
+                clearTimeout(timer);
+                timer = null;
+
+                if (! full && ! ops.length)
+                    return queue;
+
+                let task;
+
+                if (full || ! storage.append || (journal + ops.length) > compact) {
+                    const data = persistData(this.data, include, exclude);
+                    task = () => {
+                        return storage.save(data);
+                    };
+                    journal = 0;
+                } else {
+                    const items = ops;
+                    task = () => {
+                        return storage.append(items);
+                    };
+                    journal += items.length;
+                }
+
+                ops = [ ];
+                full = false;
+
+                queue = queue.then(task).catch((err) => {
+                    this.emit('persist:error', err);
+                });
+
+                return queue;
+            };
+
+            const evt = this.on('op', (op) => {
+                if (include || exclude) {
+                    if (! persistOps(op, include, exclude, ops))
+                        full = true;
+                } else {
+                    ops.push(compactOp(op));
+                }
+
+                clearTimeout(timer);
+                timer = setTimeout(write, debounce);
+            });
+
+            if (full)
+                write();
+
+            return {
+                flush: write,
+                destroy: () => {
+                    evt.off();
+                    return write();
+                }
+            };
+        });
+    }
+
+    /**
+     * @function
+     * @name Observer#snapshot
+     * @description Returns frozen data, that is not affected by further changes. If observer is created with `immutable` option, it is current data itself, otherwise it is a deep copy of data.
+     * @returns {object|array} Frozen data.
+     * @example
+     * const obj = new Observer({ position: { x: 4, y: 2 } }, { immutable: true });
+     * const before = obj.snapshot();
+     * obj.set('position.x', 8);
+     * before.position.x; // 4
+     * before === obj.snapshot(); // false
+     */
+    snapshot() {
+        if (this._immutable)
+            return this._snapshot;
+
+        return deepFreeze(clone(this.data));
+    }
+
+    /**
+     * @function
+     * @name Observer#proxy
+     * @description Returns a [Proxy](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy) over data by a path, that can be read and modified as plain data. Assignment, `delete` and mutating array methods are routed through {@link Observer#set}, {@link Observer#unset}, {@link Observer#insert}, {@link Observer#remove} and other methods, so all usual events are fired. Reads of objects and arrays return child proxies, that are cached. Proxy is bound to a path, not to an object, so it always reflects current data by its path. It is an additional layer, and {@link Observer#get} with {@link Observer#set} are faster.
+     * @param {string|number|Array.<string|number>} [path] - Path to an object or an array. If path is not provided, it is the root of observer.
+     * @returns {Proxy|undefined} Proxy, or undefined if there is no object or array by a path.
+     * @example
+     * const state = obj.proxy();
+     *
+     * state.position.x = 5; // "position.x:set"
+     * delete state.position.z; // "position.z:unset"
+     * state.position.y = undefined; // "position.y:unset"
+     * state.planets.push('pluto'); // "planets:insert"
+     * state.planets.sort(); // "planets:move" and "planets:reorder"
+     */
+    proxy(path = '') {
+        const parts = this._makePathParts(path);
+        const node = this.get(parts);
+
+        if (typeof(node) !== 'object' || ! (node instanceof Object))
+            return undefined;
+
+        const key = formatPath(parsePath(path));
+        let proxy = this._proxies.get(key);
+
+        if (! proxy || Array.isArray(proxy) !== Array.isArray(node)) {
+            proxy = createProxy(this, parsePath(path), Array.isArray(node));
+            this._proxies.set(key, proxy);
+        }
+
+        return proxy;
+    }
+
+    /**
+     * @function
+     * @name Observer#group
+     * @description Creates a group of events, that can be removed together, e.g. when a component is destroyed.
+     * @param {object} [options] - Options.
+     * @param {AbortSignal} [options.signal] - Signal that removes all events of the group when aborted.
+     * @param {object} [options.owner] - Owner of all events of the group, see `owner` option of {@link Observer#on}.
+     * @returns {ObserverGroup} Group of events.
+     * @example
+     * const events = obj.group();
+     * events.on('position:set', this.onPosition, this);
+     * events.on('rotation:set', this.onRotation, this);
+     *
+     * // remove all events of the group
+     * events.off();
+     */
+    group(options) {
+        return new ObserverGroup(this, options);
+    }
+
+    /**
+     * @function
+     * @name Observer#subscriptions
+     * @description Lists events that are subscribed to, with a number of handlers of each, to find events that have not been removed.
+     * @returns {Array.<object>} List of events, each with `name` (including a path and a type, e.g. `position.x:set`) and `count` of handlers.
+     * @example
+     * for(const { name, count } of obj.subscriptions())
+     *     console.log(`${name}: ${count}`);
+     */
+    subscriptions() {
+        const result = [ ];
+        for(const [ name, count ] of this._subscriptions)
+            result.push({ name: name, count: count });
+        return result;
+    }
+
+    /**
+     * @function
+     * @name Observer#pathCacheStats
+     * @description Returns statistics of a cache of parsed string paths, to tune `pathCacheSize` option.
+     * @returns {object} Statistics with `size` (number of cached paths), `limit` (max number of cached paths), `misses` (number of paths that have been parsed, as they were not cached) and `evictions` (number of paths evicted to keep cache within a limit). Hits are not counted, to keep lookups fast.
+     * @example
+     * const stats = obj.pathCacheStats();
+     * console.log(`paths parsed: ${stats.misses}, evicted: ${stats.evictions}`);
+     */
+    pathCacheStats() {
+        return this._pathCache.stats();
+    }
+
+    /**
+     * @function
+     * @name Observer#clear
+     * @description Resets observer, its data to empty object and removes all subscribed events.
+     */
+    clear() {
+        this.data = { };
+        this._pathCache.clear();
+        this._computed.clear();
+        this.off();
+
+        if (this._immutable)
+            this._freeze();
+    }
+
+    /**
+     * @function
+     * @name Observer#on
+     * @description Subscribes to an event. Event names with a path and a type, e.g. `position.x:set`, subscribe to changes of data, see events of {@link Observer}.
+     * @param {string|Array.<string>} name - Name of an event.
+     * @param {function} callback - Callback of an event.
+     * @param {object} [scope] - Scope for a callback.
+     * @param {boolean|object} [options] - If true, callback is called only once. Or options object.
+     * @param {boolean} [options.once] - If true, callback is called only once.
+     * @param {AbortSignal} [options.signal] - Signal that removes the event when aborted.
+     * @param {object} [options.owner] - Owner that is held weakly, and is used as a scope for a callback. When owner is garbage collected, event is removed. Callback should not reference the owner, e.g. it can be a method of the owner.
+     * @param {function} [options.filter] - Function that is called with `path`, `value` and `old` arguments of an event, and callback is not called if it returns false.
+     * @param {boolean} [options.distinct] - If true, `set` events are ignored when a value is deep equal to old value, or to the last value of the same path that callback has been called with, e.g. when a value is unset and set back.
+     * @param {number} [options.debounce] - Delay in milliseconds, callback is called with the last arguments once events stop for that long. Each path is debounced separately, so it works with wildcards.
+     * @param {number} [options.throttle] - Interval in milliseconds, callback is called straight away and then at most once per interval, with the last arguments. Each path is throttled separately.
+     * @param {boolean} [options.immediate] - If true, callback of `set` or `change` event is called straight away for each existing value matching a path, with `path` and `value` arguments.
+     * @returns {object} Event handler with `off` method.
+     * @example
+     * obj.on('entities.*.position:set', (path, value) => {
+     *     render(path[1], value);
+     * }, null, { throttle: 100, distinct: true, immediate: true });
+     * @example
+     * const controller = new AbortController();
+     * obj.on('position.x:set', (path, value) => { }, null, { signal: controller.signal });
+     * controller.abort(); // event is removed
+     * @example
+     * class Label {
+     *     constructor(obj) {
+     *         obj.on('name:set', this.render, null, { owner: this });
+     *     }
+     *     render(path, value) {
+     *         this.text = value;
+     *     }
+     * }
+     */
+    on(name, callback, scope, options = false) {
+        let once = options;
+        let signal = null;
+        let owner = null;
+        let limits = null;
+        let immediate = false;
+
+        if (typeof(options) === 'object' && options !== null) {
+            once = !! options.once;
+            signal = options.signal || null;
+            owner = options.owner || null;
+            immediate = !! options.immediate;
+
+            if (options.filter || options.distinct || options.debounce || options.throttle)
+                limits = options;
+        }
+
+        if (owner && typeof(WeakRef) !== 'undefined') {
+            const ref = new WeakRef(owner);
+            const fn = callback;
+            callback = function() {
+                const target = ref.deref();
+                if (target)
+                    return fn.apply(target, arguments);
+            };
+        } else if (owner) {
+            scope = owner;
+            owner = null;
+        }
+
+        let path;
+
+        if (Array.isArray(name)) {
+            path = name.slice(0, -1);
+            name = path.length ? formatPattern(path) + ':' + name[name.length - 1] : name[name.length - 1];
+        } else if (observerEvents.has(name)) {
+            // not a change of data
+            path = '';
+        } else {
+            path = name.replace(/:(set|unset|insert|move|remove|change|reorder)$/, '');
+
+            // same path can be written differently
+            if (path !== name)
+                name = formatPattern(indexKeys(parsePath(path))) + name.slice(path.length);
+        }
+
+        // array items by a key are not resolved, and are matched on emit
+        const parsed = indexKeys(parsePath(path));
+        const keyed = parsed.some((part) => {
+            return part instanceof KeyedPart;
+        });
+        const pathParts = parsed.map((part) => {
+            return (part instanceof KeyedPart) ? part.toString() : part;
+        });
+        const globstar = pathParts.indexOf('**') !== -1;
+        const change = name === 'change' || (path !== '' && name.endsWith(':change'));
+
+        if (globstar)
+            this._globstars++;
+
+        if (keyed)
+            this._keyedEvents++;
+
+        if (change)
+            this._changeEvents++;
+
+        let i = pathParts.length;
+        let node = this._eventsCache;
+        while(i--) {
+            const part = pathParts[i];
+            let map;
+
+            if (node.has(part)) {
+                map = node.get(part);
+            } else {
+                map = new Map();
+                map.counter = 0;
+                map.end = 0;
+                // escaped once, to build names of emitted events
+                map.key = escapeKey(part);
+                node.set(part, map);
+
+                if (parsed[i] instanceof KeyedPart) {
+                    if (! node.keyed)
+                        node.keyed = new Map();
+                    node.keyed.set(part, parsed[i]);
+                }
+            }
+            node = map;
+
+            map.counter++
+            if (i === 0)
+                node.end++;
+        }
+
+        const single = !! once;
+
+        // once means once the callback is called, not when event is emitted
+        if (once && limits) {
+            const fn = callback;
+            callback = function() {
+                evt.off();
+                return fn.apply(this, arguments);
+            };
+            once = false;
+        }
+
+        const listener = callback;
+        let pending = null;
+
+        if (limits) {
+            pending = new Map();
+            callback = limitCallback(callback, limits, /(^|:)set$/.test(name), pending);
+        }
+
+        const evt = super.on(name, callback, scope, once);
+        const abort = () => {
+            evt.off();
+        };
+
+        // owner should not be referenced by the handler
+        const weak = !! (owner && ownerRegistry);
+        let destroyed = false;
+
+        this._subscriptions.set(name, (this._subscriptions.get(name) || 0) + 1);
+
+        evt._destroy = evt.destroy;
+        evt.destroy = () => {
+            if (destroyed)
+                return;
+
+            destroyed = true;
+
+            const count = this._subscriptions.get(name);
+            if (count === 1) {
+                this._subscriptions.delete(name);
+            } else {
+                this._subscriptions.set(name, count - 1);
+            }
+
+            if (signal)
+                signal.removeEventListener('abort', abort);
+
+            if (weak)
+                ownerRegistry.unregister(evt);
+
+            if (pending) {
+                for(const entry of pending.values())
+                    clearTimeout(entry.timer);
+                pending.clear();
+            }
+
+            let i = pathParts.length;
+            let node = this._eventsCache;
+            while(i--) {
+                const part = pathParts[i];
+                let map = node.get(part);
+                map.counter--;
+
+                if (! map.counter) {
+                    node.delete(part);
+
+                    if (node.keyed && node.keyed.delete(part) && ! node.keyed.size)
+                        node.keyed = null;
+                    break;
+                }
+
+                node = map;
+
+                if (i === 0)
+                    node.end--;
+            }
+
+            if (globstar)
+                this._globstars--;
+
+            if (keyed)
+                this._keyedEvents--;
+
+            if (change)
+                this._changeEvents--;
+
+            evt._destroy.call(this);
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                evt.off();
+            } else {
+                signal.addEventListener('abort', abort);
+            }
+        }
+
+        if (weak)
+            ownerRegistry.register(owner, evt, evt);
+
+        if (immediate && ! destroyed)
+            this._onImmediate(name, evt, listener, scope || this, single, limits && limits.filter);
+
+        return evt;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_onImmediate
+     * @description Calls callback of `set` or `change` event for each existing value matching its path, see `immediate` option of {@link Observer#on}.
+     * @param {string} name - Name of an event.
+     * @param {object} evt - Event handler.
+     * @param {function} callback - Callback of an event.
+     * @param {object} scope - Scope for a callback.
+     * @param {boolean} once - If true, event is removed after callback is called.
+     * @param {function|null} filter - Function that decides if callback is called.
+     */
+    _onImmediate(name, evt, callback, scope, once, filter) {
+        const type = /(^|:)(set|change)$/.exec(name);
+        if (! type)
+            return;
+
+        const results = this.query(name.slice(0, name.length - type[0].length));
+
+        for(let i = 0; i < results.length; i++) {
+            const { path, value } = results[i];
+
+            if (filter && filter(path, value, undefined) === false)
+                continue;
+
+            if (type[2] === 'set') {
+                callback.call(scope, path, value, undefined);
+            } else {
+                callback.call(scope, path);
+            }
+
+            if (once) {
+                evt.off();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_emitWildcard
+     * @description Scans cache for event paths and emits related events taking in account wildcards. For `change` type, it emits events for a path and all its parents, unless number of parts to stop at is provided, and nothing is done if `change` is not subscribed.
+     * @param {string|number} path - Path.
+     * @param {string} type - Type of a change: `set`, `unset`, `insert`, `move`, `remove`, `change`.
+     * @param {*} value - Value for an event. For `change` type, it is a number of parts of a path, which `change` events stop at, as parents have been notified already.
+     * @param {*} [old] - Old value for an event.
+     * @param {*} [to] - Additional argument for an event.
+     * @param {array} [items] - Data along a path, captured when event has been deferred, see {@link Observer#_pathItems}.
+     */
+    _emitWildcard(path, type, value, old, to, items) {
+        if (type === 'change' && ! this._changeEvents)
+            return;
+
+        if (this._batch) {
+            if (! this._batch.silent)
+                this._batch.events.push([ path, type, value, old, to, this._keyedEvents ? this._pathItems(this._makePathParts(path), type, value) : null ]);
+            return;
+        }
+
+        // nothing is subscribed
+        if (! this._eventsCache.size && ! this._subscriptions.size)
+            return;
+
+        // values provided to event handlers are part of data, or have been
+        if (this._guard && type !== 'change' && type !== 'reorder') {
+            value = guardValue(this._guard, value);
+            old = guardValue(this._guard, old);
+        }
+
+        const pathParts = this._makePathParts(path);
+        // same event can be matched multiple ways by recursive wildcards
+        const emitted = this._globstars ? new Set() : null;
+
+        if (this._keyedEvents && ! items)
+            items = this._pathItems(pathParts, type, value);
+
+        if (type === 'change') {
+            const stop = value || 0;
+
+            for(let i = pathParts.length; i > stop; i--) {
+                if (! this._eventsCache.has(pathParts[i - 1]) && ! this._eventsCache.has('*') && ! this._eventsCache.has('**') && ! this._keyedEvents)
+                    continue;
+
+                this._emitWildcardDeeper(this._eventsCache, '', pathParts, i, 1, type, undefined, undefined, undefined, emitted, items);
+            }
+
+            if (value === undefined)
+                this.emit(type, pathParts);
+            return;
+        }
+
+        this._emitWildcardDeeper(this._eventsCache, '', pathParts, pathParts.length, 1, type, value, old, to, emitted, items);
+        this.emit(type, pathParts, value, old, to);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_pathItems
+     * @description Collects data along a path, to match keyed parts of subscriptions and interceptors.
+     * @param {Array.<string|number>} pathParts - Path as an array.
+     * @param {string} [type] - Type of a change.
+     * @param {*} [value] - Value for an event, that is used for the last key of `set` and `unset` events.
+     * @returns {array} Data for each key of a path.
+     */
+    _pathItems(pathParts, type, value) {
+        const items = new Array(pathParts.length);
+
+        let node = this.data;
+        for(let i = 0; i < pathParts.length; i++) {
+            node = (typeof(node) === 'object' && node instanceof Object) ? node[pathParts[i]] : undefined;
+            items[i] = node;
+        }
+
+        if (pathParts.length && (type === 'set' || type === 'unset'))
+            items[pathParts.length - 1] = value;
+
+        return items;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_emitWildcardDeeper
+     * @description Each node scan against an events cache.
+     * @param {object} node - Node in events cache to be scanned.
+     * @param {string} path - Constructed event path as a string.
+     * @param {Array.<string|number>} pathParts - Original path as an array of string.
+     * @param {number} length - Number of parts of original path to be matched, less than its length to match parents.
+     * @param {number} depth - Depth of a scan.
+     * @param {string} type - Type of a change: `set` or `unset`.
+     * @param {*} value - Value for an event.
+     * @param {*} old - Old value for an event.
+     * @param {*} to - Additional argument for an event.
+     * @param {Set.<string>|null} emitted - Names of already emitted events, if recursive wildcards are subscribed.
+     * @param {array|null} items - Data along a path, if keyed events are subscribed.
+     * @param {array} [keys] - Values of key fields of matched keyed parts of an event path.
+     */
+    _emitWildcardDeeper(node, path, pathParts, length, depth, type, value, old, to, emitted, items, keys) {
+        if (node.end && (depth - 1) === length) {
+            const name = path + ':' + type;
+
+            if (emitted && emitted.has(name)) {
+                // matched already
+            } else if (keys) {
+                if (emitted)
+                    emitted.add(name);
+                this._emitKeyed(name, type, pathParts, value, old, to, keys);
+            } else {
+                if (emitted)
+                    emitted.add(name);
+                this.emit(name, pathParts, value, old, to);
+            }
+        }
+
+        const part = pathParts[length - depth];
+
+        // specific
+        const specific = node.get(part);
+        if (specific !== undefined)
+            this._emitWildcardDeeper(specific, (path ? specific.key + '.' + path : specific.key), pathParts, length, depth + 1, type, value, old, to, emitted, items, keys);
+
+        // wildcard
+        if (node.has('*')) {
+            this._emitWildcardDeeper(node.get('*'), (path ? '*.' + path : '*'), pathParts, length, depth + 1, type, value, old, to, emitted, items, keys);
+        }
+
+        // recursive wildcard, matches zero or more parts
+        if (this._globstars && node.has('**')) {
+            const deeper = node.get('**');
+            const pathDeeper = (path ? '**.' + path : '**');
+
+            for(let d = depth; d <= (length + 1); d++)
+                this._emitWildcardDeeper(deeper, pathDeeper, pathParts, length, d, type, value, old, to, emitted, items, keys);
+        }
+
+        // array item or object value by a key
+        if (node.keyed && items) {
+            for(const [ key, keyed ] of node.keyed) {
+                const item = items[length - depth];
+                if (keyed.match(item))
+                    this._emitWildcardDeeper(node.get(key), (path ? key + '.' + path : key), pathParts, length, depth + 1, type, value, old, to, emitted, items, [ item[keyed.field] ].concat(keys || [ ]));
+            }
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_emitKeyed
+     * @description Emits an event of a subscription with array items by a key, with keys of matched items appended after arguments of an event type.
+     * @param {string} name - Event name.
+     * @param {string} type - Type of a change.
+     * @param {Array.<string|number>} pathParts - Path of a change.
+     * @param {*} value - Value for an event.
+     * @param {*} old - Old value for an event.
+     * @param {*} to - Additional argument for an event.
+     * @param {array} keys - Values of key fields of matched items, in order of a path.
+     */
+    _emitKeyed(name, type, pathParts, value, old, to, keys) {
+        switch(type) {
+            case 'change':
+                this.emit(name, pathParts, keys);
+                break;
+            case 'unset':
+            case 'reorder':
+                this.emit(name, pathParts, value, keys);
+                break;
+            case 'move':
+                this.emit(name, pathParts, value, old, to, keys);
+                break;
+            default:
+                this.emit(name, pathParts, value, old, keys);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_makePathParts
+     * @description Returns list of keys based on provided path, see {@link parsePath}. Keys that are array indices are converted to numbers, and array items by a key are resolved to their current indices. Uses caching to reduce parsing of string paths.
+     * @param {string|number|Array.<string|number>} path - Path.
+     * @returns {Array.<string|number>} List of keys based on provided path.
+     */
+    _makePathParts(path, generateLefts = false) {
+        let parts;
+
+        if (Array.isArray(path)) {
+            parts = indexKeys(parsePath(path));
+            if (! this._keyedPaths)
+                this._keyedPaths = hasKeyedPart(parts);
+        } else {
+            parts = this._parsedPath(path).parts;
+        }
+
+        // paths are checked for keyed parts only after such path has been used
+        if (this._keyedPaths && hasKeyedPart(parts))
+            return this._resolveKeys(parts);
+
+        return parts;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_makePath
+     * @description Same as {@link Observer#_makePathParts}, and also returns a formatted path for events and operations, see {@link pathString}. Formatted paths are cached with parts of string paths, so methods that change data do not format them on each call.
+     * @param {string|number|Array.<string|number>} path - Path.
+     * @returns {object} Object with `parts` as a list of keys, and `path` as a formatted path.
+     */
+    _makePath(path) {
+        let parts;
+
+        if (Array.isArray(path)) {
+            parts = this._makePathParts(path);
+        } else {
+            const parsed = this._parsedPath(path);
+            const keyed = this._keyedPaths && hasKeyedPart(parsed.parts);
+
+            if (parsed.path !== null && ! keyed)
+                return parsed;
+
+            parts = keyed ? this._resolveKeys(parsed.parts) : parsed.parts;
+        }
+
+        return { parts: parts, path: pathString(path, parts) };
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_parsedPath
+     * @description Parses a string path, or returns it from a cache.
+     * @param {string|number} path - Path.
+     * @returns {object} Object with `parts` as a list of keys, and `path` as a formatted path, or null if it is not cached. It is shared and should not be modified.
+     */
+    _parsedPath(path) {
+        let parsed = this._pathCache.get(path);
+
+        if (parsed === undefined) {
+            const parts = indexKeys(parsePath(path));
+            parsed = { parts: parts, path: null };
+
+            if (this._pathCache.limit) {
+                parsed.path = pathString(path, parts);
+                this._pathCache.set(path, parsed);
+            }
+
+            if (! this._keyedPaths)
+                this._keyedPaths = hasKeyedPart(parts);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_resolveKeys
+     * @description Resolves array items and object values by a key in a path to their current indices or keys.
+     * @param {Array.<string|number|KeyedPart>} parts - List of keys.
+     * @returns {Array.<string|number>} List of keys, with -1 for items that do not exist.
+     */
+    _resolveKeys(parts) {
+        const result = parts.slice(0);
+
+        let node = this.data;
+        for(let i = 0; i < result.length; i++) {
+            if (result[i] instanceof KeyedPart)
+                result[i] = result[i].keyIn(node);
+
+            node = (typeof(node) === 'object' && node instanceof Object) ? node[result[i]] : undefined;
+        }
+
+        return result;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_keyField
+     * @description Finds a key field of an array, declared by {@link Observer#keyArray}.
+     * @param {Array.<string|number>} parts - Path to an array.
+     * @returns {string|null} Key field, or null if array is not keyed.
+     */
+    _keyField(parts) {
+        for(const keyed of this._keys.values()) {
+            if (keyed.parts.length !== parts.length)
+                continue;
+
+            let i = parts.length;
+            while(i--) {
+                if (keyed.parts[i] !== '*' && keyed.parts[i] !== parts[i])
+                    break;
+            }
+
+            if (i === -1)
+                return keyed.field;
+        }
+
+        return null;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_keyPatch
+     * @description Converts keyed arrays in patch data to patches of items by their current indices, so items are merged by a key. Items with new keys are added to the end of an array.
+     * @param {Array.<string|number>} parts - Path of patched data.
+     * @param {*} current - Current data.
+     * @param {*} data - Data for patching.
+     * @returns {*} Data for patching.
+     */
+    _keyPatch(parts, current, data) {
+        if (typeof(data) !== 'object' || ! (data instanceof Object) || typeof(current) !== 'object' || ! (current instanceof Object))
+            return data;
+
+        if (Array.isArray(current) && Array.isArray(data)) {
+            const field = this._keyField(parts);
+
+            if (field) {
+                const result = { };
+                let length = current.length;
+
+                for(let i = 0; i < data.length; i++) {
+                    const item = data[i];
+                    let index = -1;
+
+                    if (typeof(item) === 'object' && item instanceof Object && item[field] !== undefined) {
+                        index = current.findIndex((node) => {
+                            return typeof(node) === 'object' && node instanceof Object && node[field] === item[field];
+                        });
+                    }
+
+                    if (index === -1) {
+                        result[length++] = item;
+                    } else {
+                        result[index] = this._keyPatch(parts.concat(index), current[index], item);
+                    }
+                }
+
+                return result;
+            }
+        }
+
+        const result = Array.isArray(data) ? [ ] : { };
+        for(let key in data) {
+            const index = Array.isArray(current) ? indexKeys([ key ])[0] : key;
+            result[key] = this._keyPatch(parts.concat(index), current[index], data[key]);
+        }
+
+        return result;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_opWanted
+     * @description Checks if operation of a mutation is used by `op` event, a transaction, scopes or real-time collaboration, so it is not created otherwise.
+     * @returns {boolean} True if operation should be created.
+     */
+    _opWanted() {
+        return this._batch !== null || this._collab !== null || this._scopes.size !== 0 || this._subscriptions.has('op');
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_op
+     * @description Emits `op` event for an applied mutation.
+     * @param {object} op - Operation.
+     */
+    _op(op) {
+        if (this._batch) {
+            // scopes are restored after a revert, instead of following it
+            if (! this._batch.silent) {
+                for(const view of this._scopes)
+                    view._onOp(op);
+
+                this._batch.ops.push(op);
+            }
+            return;
+        }
+
+        for(const view of this._scopes)
+            view._onOp(op);
+
+        if (this.remote) {
+            op.remote = true;
+        } else if (this._collab) {
+            this._collabLocal(op);
+        }
+
+        this.emit('op', op);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_collabLocal
+     * @description Queues local operation to be sent, or if this is an authority, commits it straight away.
+     * @param {object} op - Operation.
+     */
+    _collabLocal(op) {
+        const collab = this._collab;
+        const item = compactOp(op);
+        item.client = this.clientId;
+        item.seq = ++collab.seq;
+
+        if (collab.authority) {
+            this._collabCommit(item);
+            return;
+        }
+
+        collab.pending.push(item);
+        if (collab.pending.length === 1)
+            this._collabSend();
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_collabSend
+     * @description Sends the oldest pending operation, based on current revision.
+     */
+    _collabSend() {
+        const collab = this._collab;
+        const item = Object.assign({ }, collab.pending[0], { rev: collab.rev });
+        collab.pending[0] = item;
+        this.emit('op:send', item);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_collabCommit
+     * @description Assigns revision to an operation applied by authority, and sends it to all clients.
+     * @param {object} item - Serializable operation.
+     */
+    _collabCommit(item) {
+        const collab = this._collab;
+        item.rev = ++collab.rev;
+
+        collab.log.push(item);
+        if (collab.log.length > collab.logSize)
+            collab.log.splice(0, collab.log.length - collab.logSize);
+
+        this.emit('op:send', item);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_applyRemote
+     * @description Applies operation, flagging it and its events as remote.
+     * @param {object} op - Operation.
+     */
+    _applyRemote(op) {
+        const remote = this.remote;
+        this.remote = true;
+
+        try {
+            this._applyOp(op);
+        } finally {
+            this.remote = remote;
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_batchRevert
+     * @description Reverts operations of a transaction, discards its events, and restores paths of scopes.
+     * @param {object} batch - Transaction.
+     * @param {number} eventsLength - Number of events to keep.
+     * @param {number} opsLength - Number of operations to keep.
+     * @param {Array.<Array>|null} scopes - State of scopes before a transaction, see {@link Observer#_scopesState}.
+     */
+    _batchRevert(batch, eventsLength, opsLength, scopes) {
+        const ops = invertOps(batch.ops.slice(opsLength));
+        const silent = batch.silent;
+        batch.silent = true;
+
+        try {
+            for(let i = 0; i < ops.length; i++)
+                this._applyOp(ops[i]);
+        } finally {
+            batch.silent = silent;
+        }
+
+        batch.events.length = eventsLength;
+        batch.ops.length = opsLength;
+
+        if (scopes)
+            this._scopesRestore(scopes);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_scopesState
+     * @description Saves paths of scopes, as they follow array changes and can be detached within a transaction, that might be reverted.
+     * @returns {Array.<Array>|null} List of scopes with their path and detached state, or null if there are no scopes.
+     */
+    _scopesState() {
+        if (! this._scopes.size)
+            return null;
+
+        const scopes = [ ];
+        for(const view of this._scopes)
+            scopes.push([ view, view._parts.slice(0), view.detached ]);
+
+        return scopes;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_scopesRestore
+     * @description Restores paths of scopes, saved by {@link Observer#_scopesState}.
+     * @param {Array.<Array>} scopes - State of scopes.
+     */
+    _scopesRestore(scopes) {
+        for(let i = 0; i < scopes.length; i++) {
+            const [ view, parts, detached ] = scopes[i];
+
+            if (! this._scopes.has(view))
+                continue;
+
+            view.detached = detached;
+
+            if (formatPath(parts) !== view.path) {
+                view._parts = parts;
+                view._rebase();
+            }
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_applyOp
+     * @description Applies operation using public methods, so all related events are emitted.
+     * @param {object} op - Operation in the same format as provided by `op` event.
+     */
+    _applyOp(op) {
+        switch(op.type) {
+            case 'set':
+                this.set(op.path, op.value);
+                break;
+            case 'unset':
+                this.unset(op.path);
+                break;
+            case 'batch':
+                this.batch(() => {
+                    for(let i = 0; i < op.ops.length; i++)
+                        this._applyOp(op.ops[i]);
+                });
+                break;
+            case 'patch':
+                if (op.ops) {
+                    for(let i = 0; i < op.ops.length; i++)
+                        this._applyOp(op.ops[i]);
+                } else {
+                    this.patch(op.path, op.value);
+                }
+                break;
+            case 'insert':
+                this.insert(op.path, op.value, op.index);
+                break;
+            case 'move':
+                this.move(op.path, op.from, op.to);
+                break;
+            case 'remove':
+                this.remove(op.path, op.index);
+                break;
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_schemaAt
+     * @description Finds schema for a path.
+     * @param {Array.<string|number>} parts - Path as a list of keys.
+     * @returns {object|boolean|undefined} Schema, false if path is not allowed or undefined if any value is allowed.
+     */
+    _schemaAt(parts) {
+        let schema = this.schema;
+
+        for(let i = 0; i < parts.length; i++) {
+            if (schema === false)
+                return false;
+
+            if (! schema || schema === true)
+                return undefined;
+
+            if (schema.properties && schema.properties.hasOwnProperty(parts[i])) {
+                schema = schema.properties[parts[i]];
+            } else if (schema.items !== undefined) {
+                schema = schema.items;
+            } else {
+                schema = schema.additionalProperties;
+            }
+        }
+
+        return schema;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_validate
+     * @description Validates value for a path against the schema, and fires `validation:error` if it is not valid. Operations reverted by failed transaction are not validated.
+     * @param {Array.<string|number>} parts - Path as a list of keys.
+     * @param {*} value - Value to be validated.
+     * @returns {boolean} True if value is valid.
+     */
+    _validate(parts, value) {
+        if (this._batch && this._batch.silent)
+            return true;
+
+        const errors = [ ];
+        validateSchema(this._schemaAt(parts), value, parts.slice(), errors);
+
+        if (! errors.length)
+            return true;
+
+        this.emit('validation:error', errors[0].path, errors[0].reason, value);
+        return false;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_validateSet
+     * @description Validates value to be set. If it is set beyond the length of an array, new length of an array and null's it is padded with are validated too.
+     * @param {Array.<string|number>} parts - Path as a list of keys.
+     * @param {object|array} node - Object or an array that will contain value.
+     * @param {*} value - Value to be set.
+     * @returns {boolean} True if value can be set.
+     */
+    _validateSet(parts, node, value) {
+        const index = +parts[parts.length - 1];
+
+        if (Array.isArray(node) && index >= node.length) {
+            const arrayParts = parts.slice(0, -1);
+
+            if (! this._validateLength(arrayParts, index + 1))
+                return false;
+
+            for(let i = node.length; i < index; i++) {
+                if (! this._validate(arrayParts.concat(i), null))
+                    return false;
+            }
+        }
+
+        return this._validate(parts, value);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_validateUnset
+     * @description Validates if value of a path can be unset, as it might be required or removing it from an array would make array too short.
+     * @param {Array.<string|number>} parts - Path as a list of keys.
+     * @param {object|array} node - Object or an array that contains value.
+     * @returns {boolean} True if value can be unset.
+     */
+    _validateUnset(parts, node) {
+        if (this._batch && this._batch.silent)
+            return true;
+
+        if (Array.isArray(node))
+            return this._validateLength(parts.slice(0, -1), node.length - 1);
+
+        const schema = this._schemaAt(parts.slice(0, -1));
+        const key = parts[parts.length - 1];
+
+        if (schema && schema.required && schema.required.indexOf(key) !== -1) {
+            this.emit('validation:error', parts, 'is required', undefined);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_validateInsert
+     * @description Validates value to be inserted into an array, and length of an array.
+     * @param {Array.<string|number>} parts - Path to an array as a list of keys.
+     * @param {array} node - Array.
+     * @param {*} value - Value to be inserted.
+     * @param {number} index - Index at which value will be inserted.
+     * @returns {boolean} True if value can be inserted.
+     */
+    _validateInsert(parts, node, value, index) {
+        return this._validateLength(parts, node.length + 1) && this._validate(parts.concat(index), value);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_validateLength
+     * @description Validates new length of an array against `minItems` and `maxItems` of the schema.
+     * @param {Array.<string|number>} parts - Path to an array as a list of keys.
+     * @param {number} length - New length of an array.
+     * @returns {boolean} True if length is valid.
+     */
+    _validateLength(parts, length) {
+        if (this._batch && this._batch.silent)
+            return true;
+
+        const schema = this._schemaAt(parts);
+        if (! schema || schema === true)
+            return true;
+
+        let reason = null;
+        if (schema.minItems !== undefined && length < schema.minItems) {
+            reason = `should have at least ${schema.minItems} items`;
+        } else if (schema.maxItems !== undefined && length > schema.maxItems) {
+            reason = `should have at most ${schema.maxItems} items`;
+        }
+
+        if (reason === null)
+            return true;
+
+        this.emit('validation:error', parts, reason, undefined);
+        return false;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_makePointerParts
+     * @description Returns list of unescaped keys based on provided JSON Pointer (RFC 6901).
+     * @param {string} pointer - JSON Pointer, for example: `/planets/0/name`.
+     * @returns {Array.<string>} List of keys.
+     */
+    _makePointerParts(pointer) {
+        if (pointer === '')
+            return [ ];
+
+        if (typeof(pointer) !== 'string' || pointer[0] !== '/')
+            throw new Error(`invalid JSON Pointer "${pointer}"`);
+
+        const parts = pointer.slice(1).split('/');
+        for(let i = 0; i < parts.length; i++) {
+            if (parts[i].indexOf('~') !== -1)
+                parts[i] = parts[i].replace(/~1/g, '/').replace(/~0/g, '~');
+        }
+        return parts;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_pointerPath
+     * @description Converts list of keys of JSON Pointer to a path.
+     * @param {Array.<string>} parts - List of keys.
+     * @returns {string} Path.
+     */
+    _pointerPath(parts) {
+        return formatPath(parts);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_pointerGet
+     * @description Gets value by list of keys of JSON Pointer. Only existing array indices and own properties are resolved.
+     * @param {Array.<string>} parts - List of keys.
+     * @returns {*} Value or undefined if it does not exist.
+     */
+    _pointerGet(parts) {
+        let node = this.data;
+        for(let i = 0; i < parts.length; i++) {
+            if (Array.isArray(node)) {
+                const index = pointerIndex(parts[i], node.length - 1);
+                if (index === -1)
+                    return undefined;
+                node = node[index];
+            } else if (typeof(node) === 'object' && node instanceof Object && node.hasOwnProperty(parts[i])) {
+                node = node[parts[i]];
+            } else {
+                return undefined;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_applyPatchOp
+     * @description Applies single JSON Patch operation.
+     * @param {object} op - JSON Patch operation.
+     * @param {*} [actor] - Who is making the change.
+     */
+    _applyPatchOp(op, actor) {
+        const parts = this._makePointerParts(op.path);
+
+        switch(op.op) {
+            case 'add':
+                this._patchAdd(parts, op.value, actor);
+                break;
+            case 'remove':
+                this._patchRemove(parts, actor);
+                break;
+            case 'replace':
+                if (this._pointerGet(parts) === undefined)
+                    throw new Error(`path "${op.path}" does not exist`);
+                if (op.value === undefined)
+                    throw new Error(`value is missing for "${op.path}"`);
+                if (! parts.length) {
+                    this._patchAdd(parts, op.value, actor);
+                } else {
+                    this.set(this._pointerPath(parts), op.value, actor);
+                }
+                break;
+            case 'move': {
+                const from = this._makePointerParts(op.from);
+                const value = this._pointerGet(from);
+                if (value === undefined)
+                    throw new Error(`path "${op.from}" does not exist`);
+
+                if (from.length === parts.length && from.every((part, i) => part === parts[i]))
+                    break;
+
+                if (from.length < parts.length && from.every((part, i) => part === parts[i]))
+                    throw new Error(`path "${op.from}" can not be moved into its own child "${op.path}"`);
+
+                const parentParts = parts.slice(0, -1);
+                const parent = this._pointerGet(parentParts);
+
+                // within the same array
+                if (Array.isArray(parent) && from.length === parts.length && parentParts.every((part, i) => part === from[i])) {
+                    const last = parts[parts.length - 1];
+                    const to = (last === '-') ? parent.length - 1 : pointerIndex(last, parent.length - 1);
+                    if (to === -1)
+                        throw new Error(`index "${last}" is out of bounds`);
+
+                    this.move(this._pointerPath(parentParts), pointerIndex(from[from.length - 1], parent.length - 1), to, actor);
+                    break;
+                }
+
+                this._patchRemove(from, actor);
+                this._patchAdd(parts, value, actor);
+                break;
+            }
+            case 'copy': {
+                const value = this._pointerGet(this._makePointerParts(op.from));
+                if (value === undefined)
+                    throw new Error(`path "${op.from}" does not exist`);
+
+                this._patchAdd(parts, clone(value), actor);
+                break;
+            }
+            case 'test':
+                if (! equals(this._pointerGet(parts), op.value))
+                    throw new Error(`test failed for "${op.path}"`);
+                break;
+            default:
+                throw new Error(`unknown operation "${op.op}"`);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_patchAdd
+     * @description Applies JSON Patch `add` operation. Adding to an array inserts value, otherwise value is set.
+     * @param {Array.<string>} parts - List of keys.
+     * @param {*} value - Value to be added.
+     * @param {*} [actor] - Who is making the change.
+     */
+    _patchAdd(parts, value, actor) {
+        if (value === undefined)
+            throw new Error(`value is missing for "/${parts.join('/')}"`);
+
+        if (! parts.length) {
+            if (typeof(value) !== 'object' || ! (value instanceof Object))
+                throw new Error('root can be replaced only with an object or an array');
+
+            this.set('', value, actor);
+            return;
+        }
+
+        const parentParts = parts.slice(0, -1);
+        const parent = this._pointerGet(parentParts);
+        const last = parts[parts.length - 1];
+
+        if (Array.isArray(parent)) {
+            const index = (last === '-') ? parent.length : pointerIndex(last, parent.length);
+            if (index === -1)
+                throw new Error(`index "${last}" is out of bounds`);
+
+            this.insert(this._pointerPath(parentParts), value, index, actor);
+        } else if (typeof(parent) === 'object' && parent instanceof Object) {
+            this.set(this._pointerPath(parts), value, actor);
+        } else {
+            throw new Error(`path "/${parentParts.join('/')}" does not exist`);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_patchRemove
+     * @description Applies JSON Patch `remove` operation. Removing from an array removes an item, otherwise value is unset.
+     * @param {Array.<string>} parts - List of keys.
+     * @param {*} [actor] - Who is making the change.
+     */
+    _patchRemove(parts, actor) {
+        if (! parts.length)
+            throw new Error('root can not be removed');
+
+        if (this._pointerGet(parts) === undefined)
+            throw new Error(`path "/${parts.join('/')}" does not exist`);
+
+        const parentParts = parts.slice(0, -1);
+        const parent = this._pointerGet(parentParts);
+
+        if (Array.isArray(parent)) {
+            this.remove(this._pointerPath(parentParts), pointerIndex(parts[parts.length - 1], parent.length - 1), actor);
+        } else {
+            this.unset(this._pointerPath(parts), actor);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_arrayAt
+     * @description Returns an array by a path.
+     * @param {string|number|Array.<string|number>} path - Path.
+     * @returns {array|null} Array, or null if there is no array by a path.
+     */
+    _arrayAt(path) {
+        const parts = this._makePathParts(path);
+
+        let node = this.data;
+        for(let i = 0; i < parts.length; i++) {
+            node = node[parts[i]];
+
+            if (node === undefined || node === null)
+                return null;
+        }
+
+        return Array.isArray(node) ? node : null;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_splice
+     * @description Removes and inserts items in an array, same as `Array.prototype.splice`.
+     * @param {string|number|Array.<string|number>} path - Path to an array.
+     * @param {number} start - Index to start changing an array from.
+     * @param {number} [deleteCount] - Number of items to remove.
+     * @param {Array} items - Items to insert.
+     * @param {*} [actor] - Who is making the change.
+     * @returns {Array} Removed items.
+     */
+    _splice(path, start, deleteCount, items, actor) {
+        const parts = this._makePathParts(path);
+        const node = this._arrayAt(parts);
+        if (! node)
+            return [ ];
+
+        if (start < 0) {
+            start = Math.max(node.length + start, 0);
+        } else {
+            start = Math.min(start, node.length);
+        }
+
+        if (deleteCount === undefined) {
+            deleteCount = node.length - start;
+        } else {
+            deleteCount = Math.min(Math.max(deleteCount, 0), node.length - start);
+        }
+
+        const data = node.slice(0, start);
+        const order = [ ];
+        for(let i = 0; i < start; i++)
+            order.push(i);
+
+        for(let i = 0; i < items.length; i++) {
+            data.push(items[i]);
+            order.push(-1);
+        }
+
+        for(let i = start + deleteCount; i < node.length; i++) {
+            data.push(node[i]);
+            order.push(i);
+        }
+
+        const removed = node.slice(start, start + deleteCount);
+        return this._rearrange(formatPath(parts), parts, node, data, order, actor) ? removed : [ ];
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_rearrange
+     * @description Replaces items of an array. Emits `remove`, `move` and `insert` events once for each affected item, and a single `reorder` event. Change is applied as a transaction of `remove`, `move` and `insert` operations, in that order. Each operation is checked for permissions of an actor and intercepted before a change, and if any of them is denied or cancelled, whole change is refused.
+     * @param {string} path - Path to an array.
+     * @param {Array.<string|number>} parts - Path to an array as an array.
+     * @param {array} node - Array.
+     * @param {array} data - New items of an array.
+     * @param {Array.<number>} order - For each new item, an index it had before, or -1 if it is inserted.
+     * @param {*} [actor] - Who is making the change.
+     * @returns {boolean} False if change has been rejected.
+     */
+    _rearrange(path, parts, node, data, order, actor) {
+        const kept = [ ];
+        const removed = [ ];
+        const present = new Array(node.length).fill(false);
+        let changed = data.length !== node.length;
+
+        for(let i = 0; i < order.length; i++) {
+            if (order[i] !== -1)
+                present[order[i]] = true;
+            if (order[i] !== i)
+                changed = true;
+        }
+
+        if (! changed)
+            return true;
+
+        for(let i = 0; i < node.length; i++) {
+            if (present[i]) {
+                kept.push(i);
+            } else {
+                removed.push(i);
+            }
+        }
+
+        // moves of kept items, after removes and before inserts
+        const moves = [ ];
+        for(let i = 0, t = 0; i < order.length; i++) {
+            if (order[i] === -1)
+                continue;
+
+            const from = kept.indexOf(order[i], t);
+            if (from !== t) {
+                kept.splice(from, 1);
+                kept.splice(t, 0, order[i]);
+                moves.push({ type: 'move', path: path, from: from, to: t });
+            }
+            t++;
+        }
+
+        if (actor !== undefined || this._interceptors.length) {
+            const ops = [ ];
+
+            for(let i = 0; i < removed.length; i++)
+                ops.push({ type: 'remove', path: path, value: node[removed[i]], index: removed[i] });
+
+            for(let i = 0; i < moves.length; i++)
+                ops.push({ type: 'move', path: path, value: node[kept[moves[i].to]], from: moves[i].from, to: moves[i].to });
+
+            for(let i = 0; i < data.length; i++) {
+                if (order[i] === -1)
+                    ops.push({ type: 'insert', path: path, value: data[i], index: i });
+            }
+
+            if (actor !== undefined) {
+                for(let i = 0; i < ops.length; i++) {
+                    if (! this._permit(ops[i], actor))
+                        return false;
+                }
+            }
+
+            if (this._interceptors.length) {
+                data = data.slice(0);
+
+                for(let i = 0; i < ops.length; i++) {
+                    const index = ops[i].index;
+                    const op = this._intercept(ops[i]);
+                    if (! op)
+                        return false;
+
+                    if (op.type === 'insert')
+                        data[index] = op.value;
+                }
+            }
+        }
+
+        if (this._computed.size && this._isComputed(parts))
+            return false;
+
+        if (this.schema) {
+            if (data.length !== node.length && ! this._validateLength(parts, data.length))
+                return false;
+
+            for(let i = 0; i < data.length; i++) {
+                if (order[i] === -1 && ! this._validate(parts.concat(i), data[i]))
+                    return false;
+            }
+        }
+
+        const old = node.slice(0);
+
+        this.batch(() => {
+            for(let i = 0; i < removed.length; i++)
+                this._checkUnset(joinPath(path, removed[i]), old[removed[i]]);
+
+            if (this._immutable)
+                node = this._thaw(parts, parts.length);
+
+            node.length = data.length;
+            for(let i = 0; i < data.length; i++)
+                node[i] = data[i];
+
+            if (this._immutable)
+                this._freeze();
+
+            // events
+            for(let i = removed.length - 1; i >= 0; i--)
+                this._emitWildcard(path, 'remove', old[removed[i]], removed[i]);
+
+            for(let i = 0; i < data.length; i++) {
+                if (order[i] !== -1 && order[i] !== i)
+                    this._emitWildcard(path, 'move', data[i], order[i], i);
+            }
+
+            for(let i = 0; i < data.length; i++) {
+                if (order[i] !== -1)
+                    continue;
+
+                this._emitWildcard(path, 'insert', data[i], i);
+                this._checkSet(joinPath(path, i), data[i], undefined);
+            }
+
+            this._emitWildcard(path, 'reorder', order);
+            this._emitWildcard(path, 'change');
+
+            // operations
+            for(let i = removed.length - 1; i >= 0; i--)
+                this._op({ type: 'remove', path: path, value: old[removed[i]], index: removed[i] });
+
+            for(let i = 0; i < moves.length; i++)
+                this._op(moves[i]);
+
+            for(let i = 0; i < data.length; i++) {
+                if (order[i] === -1)
+                    this._op({ type: 'insert', path: path, value: data[i], index: i });
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_permit
+     * @description Checks if an actor can apply an operation, based on locks and `permission` function. Fires `denied` event if it cannot.
+     * @param {object} op - Operation.
+     * @param {*} actor - Actor that is applying an operation.
+     * @returns {boolean} True if operation can be applied.
+     */
+    _permit(op, actor) {
+        if (this._isRestoring())
+            return true;
+
+        for(const [ locked, owner ] of this._locks) {
+            if (owner !== actor && pathsOverlap(locked, op.path, this.data)) {
+                this._denied++;
+                this.emit('denied', op, actor, owner);
+                return false;
+            }
+        }
+
+        if (this.permission && this.permission(actor, op) === false) {
+            this._denied++;
+            this.emit('denied', op, actor, null);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_isRestoring
+     * @description Checks if observer is restoring its previous state, by reverting a failed transaction or by undo and redo of {@link ObserverHistory}. Such changes have already passed interceptors and permissions, and if they were refused, data would be left in a partial state.
+     * @returns {boolean} True if previous state is being restored.
+     */
+    _isRestoring() {
+        return this._restoring || (this._batch !== null && this._batch.silent);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_intercept
+     * @description Calls interceptors that match a path of an operation, see {@link Observer#intercept}.
+     * @param {object} op - Operation.
+     * @returns {object|null} Operation to apply, or null if it has been cancelled.
+     */
+    _intercept(op) {
+        if (this.remote || this._computedWrite || this._isRestoring())
+            return op;
+
+        const parts = this._makePathParts(op.path);
+        const interceptors = this._interceptors.slice(0);
+        let items = null;
+
+        for(let i = 0; i < interceptors.length; i++) {
+            const interceptor = interceptors[i];
+
+            if (! items && interceptor.parts.some((part) => part instanceof KeyedPart))
+                items = this._pathItems(parts);
+
+            if (! matchPattern(interceptor.parts, 0, parts, 0, items))
+                continue;
+
+            const result = interceptor.fn(op);
+
+            if (result === false) {
+                this.emit('rejected', op);
+                return null;
+            }
+
+            if (typeof(result) === 'object' && result !== null)
+                op = result;
+        }
+
+        if ((op.type === 'set' || op.type === 'patch') && typeof(op.value) === 'object' && op.value instanceof Object)
+            op.value = this._interceptWithin(op, parts);
+
+        return op;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_interceptWithin
+     * @description Calls interceptors that match paths within a value of `set` or `patch` operation, as if each value within it has been set separately, so writes of parents are intercepted same as writes of their values. Keys that are removed by `set` are intercepted as `unset` operations. Value is copied where it is changed, and cancelled changes keep current data.
+     * @param {object} op - Operation.
+     * @param {Array.<string|number>} parts - Path of an operation as an array.
+     * @returns {object|array} Value to apply.
+     */
+    _interceptWithin(op, parts) {
+        const items = this._pathItems(parts, 'set', op.value);
+        const states = [ ];
+
+        for(let i = 0; i < this._interceptors.length; i++) {
+            const interceptor = this._interceptors[i];
+            const state = patternStates(interceptor.parts, parts, items);
+
+            if (state.length)
+                states.push([ interceptor, state ]);
+        }
+
+        if (! states.length)
+            return op.value;
+
+        const current = parts.length ? this._pathItems(parts)[parts.length - 1] : this.data;
+        return this._interceptNode(op.path, op.type, op.value, current, states);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_interceptNode
+     * @description Calls interceptors for each key of a value, and then deeper, see {@link Observer#_interceptWithin}.
+     * @param {string} path - Path of a value.
+     * @param {string} type - Type of an operation: `set` or `patch`.
+     * @param {object|array} value - Value.
+     * @param {*} current - Current data by a path.
+     * @param {Array.<Array>} states - List of interceptors with indices of parts of their paths, from which matching is continued.
+     * @returns {object|array} Same value, or its copy if it has been changed.
+     */
+    _interceptNode(path, type, value, current, states) {
+        const currentIsObject = typeof(current) === 'object' && current instanceof Object;
+        const keys = Object.keys(value);
+        let result = value;
+
+        // keys that are not set anymore
+        if (type === 'set' && currentIsObject && ! Array.isArray(value)) {
+            for(const key in current) {
+                if (! value.hasOwnProperty(key))
+                    keys.push(key);
+            }
+        }
+
+        for(let k = 0; k < keys.length; k++) {
+            const key = Array.isArray(value) ? parseInt(keys[k], 10) : keys[k];
+            const unset = ! value.hasOwnProperty(key);
+            const data = unset ? undefined : value[key];
+            const old = currentIsObject ? current[key] : undefined;
+            const next = [ ];
+
+            for(let i = 0; i < states.length; i++) {
+                const state = advancePattern(states[i][0].parts, states[i][1], key, unset ? old : data);
+                if (state.length)
+                    next.push([ states[i][0], state ]);
+            }
+
+            if (! next.length)
+                continue;
+
+            const keyPath = joinPath(path, key);
+            let op = unset ? { type: 'unset', path: keyPath } : { type: 'set', path: keyPath, value: data };
+            let cancelled = false;
+
+            for(let i = 0; i < next.length; i++) {
+                if (! patternMatched(next[i][0].parts, next[i][1]))
+                    continue;
+
+                const res = next[i][0].fn(op);
+
+                if (res === false) {
+                    this.emit('rejected', op);
+                    cancelled = true;
+                    break;
+                }
+
+                if (typeof(res) === 'object' && res !== null)
+                    op = res;
+            }
+
+            let changed;
+
+            if (cancelled) {
+                if (Array.isArray(value)) {
+                    // in arrays undefined becomes null, as in JSON.stringify
+                    changed = (old === undefined) ? null : old;
+                } else if (type === 'patch' || old === undefined) {
+                    // key is left as it is
+                    if (result === value)
+                        result = copyNode(value);
+                    delete result[key];
+                    continue;
+                } else {
+                    changed = old;
+                }
+            } else if (unset) {
+                continue;
+            } else {
+                changed = op.value;
+
+                if (typeof(changed) === 'object' && changed instanceof Object)
+                    changed = this._interceptNode(keyPath, type, changed, old, next);
+            }
+
+            if (changed !== data) {
+                if (result === value)
+                    result = copyNode(value);
+                result[key] = changed;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_thaw
+     * @description Replaces frozen nodes from the root down to a path with their copies, so they can be modified.
+     * @param {Array.<string|number>} parts - Path as an array.
+     * @param {number} length - Number of path parts to go through.
+     * @returns {object|array} Modifiable node at the path.
+     */
+    _thaw(parts, length) {
+        if (Object.isFrozen(this.data))
+            this.data = copyNode(this.data);
+
+        let node = this.data;
+        for(let i = 0; i < length; i++) {
+            let child = node[parts[i]];
+
+            if (Object.isFrozen(child)) {
+                child = copyNode(child);
+                node[parts[i]] = child;
+            }
+
+            node = child;
+        }
+
+        return node;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_freeze
+     * @description Freezes new and copied nodes, and makes data available as a snapshot. Nodes are not frozen while patch is in progress.
+     */
+    _freeze() {
+        if (this._writing)
+            return;
+
+        this._snapshot = deepFreeze(this.data);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_guardData
+     * @description Wraps data in proxies that report writes, and allows writes only while mutation methods are running, but not while event handlers are called. Values provided to mutation methods are copied, as writes to them would not be noticed.
+     * @param {boolean} throws - True if violations should throw, instead of firing `violation` event.
+     */
+    _guardData(throws) {
+        const guard = {
+            observer: this,
+            throws: throws,
+            writing: 0,
+            proxies: new WeakMap(),
+            parents: new WeakMap(),
+            keys: new WeakMap(),
+            root: this.data,
+            handler: null
+        };
+        guard.handler = createGuardHandler(guard);
+        this._guard = guard;
+
+        Object.defineProperty(this, 'data', {
+            get: () => {
+                return guardValue(guard, guard.root);
+            },
+            set: (data) => {
+                guard.root = guardTargets.get(data) || data;
+            }
+        });
+
+        const methods = [ 'set', 'unset', 'patch', 'insert', 'move', 'remove', 'clear', '_splice', '_rearrange' ];
+        // index of an argument with values, that are stored in data
+        const values = { set: 1, patch: 1, insert: 1, _splice: 3 };
+
+        for(let i = 0; i < methods.length; i++) {
+            const method = this[methods[i]];
+            const index = values[methods[i]];
+
+            this[methods[i]] = function() {
+                if (index !== undefined && arguments.length > index)
+                    arguments[index] = clone(guardTargets.get(arguments[index]) || arguments[index]);
+
+                guard.writing++;
+                try {
+                    return method.apply(this, arguments);
+                } finally {
+                    guard.writing--;
+                }
+            };
+        }
+
+        // event handlers are application logic
+        const emit = this.emit;
+        this.emit = function() {
+            const writing = guard.writing;
+            guard.writing = 0;
+            try {
+                return emit.apply(this, arguments);
+            } finally {
+                guard.writing = writing;
+            }
+        };
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_isComputed
+     * @description Checks if path is within a computed value, and so is read-only.
+     * @param {Array.<string|number>} parts - Path as an array.
+     * @returns {boolean} True if path is read-only.
+     */
+    _isComputed(parts) {
+        const path = formatPath(parts);
+
+        for(const computed of this._computed.values()) {
+            if (computed === this._computedWrite)
+                continue;
+
+            if (path === computed.path || path.startsWith(computed.path + '.'))
+                return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_computedUpdate
+     * @description Recomputes a computed value, and writes it if it is different.
+     * @param {object} computed - Computed value definition.
+     */
+    _computedUpdate(computed) {
+        const args = [ ];
+        for(let i = 0; i < computed.deps.length; i++) {
+            const dep = computed.deps[i];
+
+            if (dep.indexOf('*') === -1) {
+                args.push(this.get(dep));
+            } else {
+                const values = [ ];
+                collectValues(this.data, parsePath(dep), 0, values);
+                args.push(values);
+            }
+        }
+
+        const value = computed.fn.apply(this, args);
+        if (equals(value, this.get(computed.path)))
+            return;
+
+        const write = this._computedWrite;
+        this._computedWrite = computed;
+
+        try {
+            if (value === undefined) {
+                this.unset(computed.path);
+            } else {
+                this.set(computed.path, value);
+            }
+        } finally {
+            this._computedWrite = write;
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_computedCycle
+     * @description Searches for computed values that depend on a node, and so on, until it comes back to a new computed value.
+     * @param {object} computed - New computed value definition.
+     * @param {object} node - Computed value definition to search dependants of.
+     * @param {Array.<string>} chain - Paths of computed values from the new one to the node.
+     * @returns {Array.<string>|null} Paths of computed values in a circle, or null if there is none.
+     */
+    _computedCycle(computed, node, chain) {
+        const dependants = [ computed ];
+        for(const other of this._computed.values()) {
+            // previous definition is replaced
+            if (other.path !== computed.path)
+                dependants.push(other);
+        }
+
+        for(let i = 0; i < dependants.length; i++) {
+            const dependant = dependants[i];
+
+            const depends = dependant.deps.some((dep) => {
+                return pathsOverlap(dep, node.path);
+            });
+
+            if (! depends)
+                continue;
+
+            if (dependant === computed)
+                return chain.concat(computed.path);
+
+            if (chain.indexOf(dependant.path) !== -1)
+                continue;
+
+            const cycle = this._computedCycle(computed, dependant, chain.concat(dependant.path));
+            if (cycle)
+                return cycle;
+        }
+
+        return null;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_checkSet
+     * @description Check if data should generate `set` events based on new and old data.
+     * @param {string|number} path - Path.
+     * @param {*} data - New data to be set.
+     * @param {*} old - Previous data.
+     */
+    _checkSet(path, data, old) {
+        const dataIsObject = (typeof(data) === 'object' && data instanceof Object);
+        const oldIsObject = (typeof(old) === 'object' && old instanceof Object);
+
+        if (dataIsObject) {
+            for(let key in data) {
+                this._checkSet(joinPath(path, key), data[key], oldIsObject ? old[key] : undefined);
+            }
+        }
+
+        if (data !== old && ((dataIsObject && ! oldIsObject) || (! dataIsObject && oldIsObject) || (! dataIsObject && ! oldIsObject))) {
+            this._emitWildcard(path, 'set', data, old);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_checkUnset
+     * @description Check if data should generate `unset` events based on old and new data.
+     * @param {string|number} path - Path.
+     * @param {*} old - Previous data.
+     * @param {*} data - New data.
+     */
+    _checkUnset(path, old, data) {
+        if (typeof(old) === 'object' && old instanceof Object) {
+            const dataIsObject = (typeof(data) === 'object' && data instanceof Object);
+
+            for(let key in old) {
+                this._checkUnset(joinPath(path, key), old[key], dataIsObject ? data[key] : undefined);
+            }
+        }
+
+        if (data === undefined) {
+            this._emitWildcard(path, 'unset', old);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name Observer#_patchNode
+     * @description Patch node of data based on path and new data.
+     * @param {string|number} path - Path.
+     * @param {object} node - Node of current data.
+     * @param {*} data - New partial data to be used for patching.
+     * @param {Array.<object>} ops - List to which applied operations are added.
+     */
+    _patchNode(path, node, data, ops) {
+        // update existing data first
+        for(let key in node) {
+            if (data[key] === undefined)
+                continue;
+
+            let current = node[key];
+            let currentIsObject = (typeof(current) === 'object' && current instanceof Object);
+            let pathDeeper = joinPath(path, key);
+
+            if (currentIsObject) {
+                if (typeof(data[key]) === 'object' && data[key] instanceof Object) {
+                    if (Object.isFrozen(current)) {
+                        current = copyNode(current);
+                        node[key] = current;
+                    }
+
+                    this._patchNode(pathDeeper, current, data[key], ops);
+                } else {
+                    node[key] = data[key];
+                    this._checkUnset(pathDeeper, current, data[key]);
+                    this._emitWildcard(pathDeeper, 'set', data[key], current);
+                    ops.push({ type: 'set', path: pathDeeper, value: data[key], old: current });
+                }
+            } else if (current !== data[key]) {
+                node[key] = data[key];
+                this._checkSet(pathDeeper, data[key], current);
+                ops.push({ type: 'set', path: pathDeeper, value: data[key], old: current });
+            }
+        }
+
+        // add new data
+        for(let key in data) {
+            if (node.hasOwnProperty(key))
+                continue;
+
+            let value = data[key];
+            let pathDeeper = joinPath(path, key);
+
+            node[key] = value;
+            this._checkSet(pathDeeper, value, undefined);
+            ops.push({ type: 'set', path: pathDeeper, value: value, old: undefined });
+
+            if (Array.isArray(node)) {
+                this._emitWildcard(path, 'insert', node[key], parseInt(key, 10));
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ * @description Bounded cache of parsed paths. Paths are kept in two generations: when the current generation is full, it becomes the previous one and the previous one is evicted, while paths used from the previous generation are moved to the current one. So least recently used paths are evicted, without reordering entries on every hit.
+ * @param {number} limit - Max number of cached paths.
+ */
+class PathCache {
+    constructor(limit) {
+        this.limit = limit;
+        this.misses = 0;
+        this.evictions = 0;
+        this._current = new Map();
+        this._previous = new Map();
+    }
+
+    /**
+     * @private
+     * @description Returns a cached parsed path.
+     * @param {string|number} path - Path.
+     * @returns {object|undefined} Parsed path, or undefined if path is not cached.
+     */
+    get(path) {
+        const parsed = this._current.get(path);
+        if (parsed !== undefined)
+            return parsed;
+
+        return this._promote(path);
+    }
+
+    /**
+     * @private
+     * @description Moves a path that has been used recently from older paths to the current ones, so it is not evicted.
+     * @param {string|number} path - Path.
+     * @returns {object|undefined} Parsed path, or undefined if path is not cached.
+     */
+    _promote(path) {
+        const parsed = this._previous.get(path);
+
+        if (parsed === undefined) {
+            this.misses++;
+            return undefined;
+        }
+
+        this._previous.delete(path);
+        this.set(path, parsed);
+        return parsed;
+    }
+
+    /**
+     * @private
+     * @description Adds a parsed path to the cache.
+     * @param {string|number} path - Path.
+     * @param {object} parsed - Parsed path.
+     */
+    set(path, parsed) {
+        if (! this.limit)
+            return;
+
+        if (this._current.size >= Math.ceil(this.limit / 2)) {
+            this.evictions += this._previous.size;
+            this._previous = this._current;
+            this._current = new Map();
+        }
+
+        this._current.set(path, parsed);
+    }
+
+    /**
+     * @private
+     * @description Removes all cached paths.
+     */
+    clear() {
+        this._current.clear();
+        this._previous.clear();
+    }
+
+    /**
+     * @private
+     * @description Returns statistics of the cache, see {@link Observer#pathCacheStats}.
+     * @returns {object} Statistics.
+     */
+    stats() {
+        return {
+            size: this._current.size + this._previous.size,
+            limit: this.limit,
+            misses: this.misses,
+            evictions: this.evictions
+        };
+    }
+}
+
+/**
+ * @private
+ * @description Key of a path, that addresses an array item or an object value by a value of its field, e.g. `[id=abc]`. In subscriptions and queries it is a wildcard with a predicate, and matches all items that have a value of a field. Value is typed: `true`, `false`, `null` and numbers match only such values, and other values, or values in quotes, e.g. `[id="42"]`, match strings.
+ */
+class KeyedPart {
+    constructor(field, value) {
+        this.field = field;
+        this.value = value;
+    }
+
+    /**
+     * @private
+     * @description Checks if an array item has a key.
+     * @param {*} item - Array item.
+     * @returns {boolean} True if item has a key.
+     */
+    match(item) {
+        return typeof(item) === 'object' && item instanceof Object && item[this.field] === this.value;
+    }
+
+    /**
+     * @private
+     * @description Finds an index of the first array item, or a key of the first object value with a key.
+     * @param {*} node - Array or object.
+     * @returns {number|string} Index or key, or -1 if there is no item with a key.
+     */
+    keyIn(node) {
+        if (Array.isArray(node)) {
+            for(let i = 0; i < node.length; i++) {
+                if (this.match(node[i]))
+                    return i;
+            }
+        } else if (typeof(node) === 'object' && node instanceof Object) {
+            for(const key in node) {
+                if (this.match(node[key]))
+                    return key;
+            }
+        }
+        return -1;
+    }
+
+    toString() {
+        if (typeof(this.value) === 'string' && parseKeyValue(this.value) !== this.value)
+            return '[' + this.field + '="' + this.value + '"]';
+
+        return '[' + this.field + '=' + this.value + ']';
+    }
+}
+
+/**
+ * @private
+ * @description Parses a value of a keyed part of a path, see {@link KeyedPart}.
+ * @param {string} value - Value as written in a path.
+ * @returns {string|number|boolean|null} Typed value.
+ */
+function parseKeyValue(value) {
+    const quote = value[0];
+
+    if ((quote === '"' || quote === '\'') && value.length > 1 && value[value.length - 1] === quote)
+        return value.slice(1, -1);
+
+    if (value === 'true')
+        return true;
+
+    if (value === 'false')
+        return false;
+
+    if (value === 'null')
+        return null;
+
+    if (value.trim() !== '' && isFinite(value))
+        return Number(value);
+
+    return value;
+}
+
+/**
+ * @private
+ * @description Characters of escapes and bracket notation in a path.
+ */
+const pathNotation = /[\\[]/;
+
+/**
+ * @private
+ * @description Parses a path to a list of keys. Keys are separated by dots, and backslash escapes the next character, e.g. `files.a\.txt`. Bracket notation can be used too, with quotes for keys with special characters, e.g. `list[3]` or `map["x.y"]`. Array item by a value of its field is written as `list[id=abc]` or `list.*[id=abc]`, and is parsed to {@link KeyedPart}. Path can also be an array of keys.
+ * @param {string|number|Array.<string|number>|null} path - Path.
+ * @returns {Array.<string|KeyedPart>} List of keys.
+ */
+function parsePath(path) {
+    if (path === '' || path === null || path === undefined)
+        return [ ];
+
+    if (Array.isArray(path)) {
+        return path.map((key) => {
+            return (key instanceof KeyedPart) ? key : key.toString();
+        });
+    }
+
+    if (typeof(path) !== 'string')
+        path = path.toString();
+
+    // most paths are keys separated by dots
+    if (! pathNotation.test(path))
+        return path.split('.');
+
+    const parts = [ ];
+    let part = '';
+    let pending = true;
+
+    for(let i = 0; i < path.length; i++) {
+        const char = path[i];
+
+        if (char === '\\') {
+            part += path.charAt(++i);
+            pending = true;
+        } else if (char === '.') {
+            parts.push(part);
+            part = '';
+            pending = true;
+        } else if (char === '[') {
+            const quote = path[i + 1];
+            let key = '';
+            let end = -1;
+
+            if (quote === '"' || quote === '\'') {
+                let c = i + 2;
+                while(c < path.length && path[c] !== quote) {
+                    if (path[c] === '\\') c++;
+                    key += path.charAt(c);
+                    c++;
+                }
+
+                if (path[c + 1] === ']')
+                    end = c + 1;
+            } else {
+                end = path.indexOf(']', i);
+                if (end !== -1) {
+                    key = path.slice(i + 1, end);
+
+                    // array item by a key
+                    const equal = key.indexOf('=');
+                    if (equal !== -1)
+                        key = new KeyedPart(key.slice(0, equal), parseKeyValue(key.slice(equal + 1)));
+                }
+            }
+
+            // not a bracket notation
+            if (end === -1) {
+                part += char;
+                pending = true;
+                continue;
+            }
+
+            // wildcard with a predicate, e.g. `*[enabled=true]`, is the same as a keyed part
+            if (part && ! (part === '*' && key instanceof KeyedPart))
+                parts.push(part);
+
+            parts.push(key);
+            part = '';
+            pending = false;
+            i = end;
+
+            if (path[i + 1] === '.')
+                i++;
+        } else {
+            part += char;
+            pending = true;
+        }
+    }
+
+    if (pending)
+        parts.push(part);
+
+    return parts;
+}
+
+/**
+ * @private
+ * @description Converts an index of an array item to a valid one. Negative index counts from the end, and index out of an array is clamped to it.
+ * @param {number} index - Index.
+ * @param {number} length - Number of valid indices.
+ * @returns {number} Index from 0 to length - 1.
+ */
+function arrayIndex(index, length) {
+    if (index < 0)
+        return (index < -length) ? 0 : length + index;
+
+    return (index >= length) ? length - 1 : index;
+}
+
+/**
+ * @private
+ * @description Checks if a path has keys by a value of a field, see {@link KeyedPart}.
+ * @param {Array.<string|number|KeyedPart>} parts - List of keys.
+ * @returns {boolean} True if a path has a keyed part.
+ */
+function hasKeyedPart(parts) {
+    for(let i = 0; i < parts.length; i++) {
+        if (parts[i] instanceof KeyedPart)
+            return true;
+    }
+    return false;
+}
+
+/**
+ * @private
+ * @description Key that is an array index.
+ */
+const indexKey = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * @private
+ * @description Converts keys that are array indices to numbers.
+ * @param {Array.<string>} parts - List of keys.
+ * @returns {Array.<string|number>} Same list.
+ */
+function indexKeys(parts) {
+    for(let i = 0; i < parts.length; i++) {
+        // most keys do not start with a digit
+        const code = (typeof(parts[i]) === 'string') ? parts[i].charCodeAt(0) : NaN;
+        if (code >= 48 && code <= 57 && indexKey.test(parts[i]))
+            parts[i] = parseInt(parts[i], 10);
+    }
+    return parts;
+}
+
+/**
+ * @private
+ * @description Events fired by an observer itself, that are named same as events of data changes, so they are not subscribed to as paths.
+ */
+const observerEvents = new Set([ 'lock:change' ]);
+
+/**
+ * @private
+ * @description Characters of a key that are escaped in a path.
+ */
+const keySpecial = /[\\.[*]/;
+
+/**
+ * @private
+ * @description Escapes a key to be used in a path.
+ * @param {string|number} key - Key.
+ * @returns {string} Escaped key.
+ */
+function escapeKey(key) {
+    if (typeof(key) !== 'string')
+        return key.toString();
+
+    // most keys have nothing to escape
+    if (! keySpecial.test(key))
+        return key;
+
+    return key.replace(/[\\.[*]/g, '\\$&');
+}
+
+/**
+ * @private
+ * @description Converts a list of keys to a path string, that is used in events and operations. Dots, backslashes, brackets and asterisks in keys are escaped.
+ * @param {Array.<string|number>} parts - List of keys.
+ * @returns {string} Path.
+ */
+function formatPath(parts) {
+    let path = '';
+    for(let i = 0; i < parts.length; i++)
+        path += (i ? '.' : '') + escapeKey(parts[i]);
+    return path;
+}
+
+/**
+ * @private
+ * @description Characters of a string path, that make it different from its formatted path.
+ */
+const pathSpecial = /[\\[*]/;
+
+/**
+ * @private
+ * @description Returns formatted path for a path provided to a method, see {@link formatPath}. String paths without backslashes, brackets and asterisks are formatted already, so they are returned as is.
+ * @param {string|number|Array.<string|number>} path - Path as provided.
+ * @param {Array.<string|number>} parts - List of keys of a path.
+ * @returns {string} Path.
+ */
+function pathString(path, parts) {
+    if (typeof(path) === 'string' && ! pathSpecial.test(path))
+        return path;
+
+    return formatPath(parts);
+}
+
+/**
+ * @private
+ * @description Converts a list of keys in wildcard notation to a path string, that is used in event names. Same as {@link formatPath}, but `*` and `**` keys are not escaped, as they are wildcards.
+ * @param {Array.<string|number>} parts - List of keys.
+ * @returns {string} Path.
+ */
+function formatPattern(parts) {
+    let path = '';
+    for(let i = 0; i < parts.length; i++)
+        path += (i ? '.' : '') + ((parts[i] === '*' || parts[i] === '**') ? parts[i] : escapeKey(parts[i]));
+    return path;
+}
+
+/**
+ * @private
+ * @description Appends a key to a path string.
+ * @param {string|null} path - Path.
+ * @param {string|number} key - Key.
+ * @returns {string} Path.
+ */
+function joinPath(path, key) {
+    return path ? path + '.' + escapeKey(key) : escapeKey(key);
+}
+
+/**
+ * @private
+ * @description Compares two items same as `Array.prototype.sort` without a compare function: items are converted to strings, and undefined items are sorted to the end.
+ * @param {*} a - Item.
+ * @param {*} b - Another item.
+ * @returns {number} Negative if first item goes first, positive if second item goes first, or 0.
+ */
+function compareDefault(a, b) {
+    if (a === undefined)
+        return (b === undefined) ? 0 : 1;
+
+    if (b === undefined)
+        return -1;
+
+    a = String(a);
+    b = String(b);
+    return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+/**
+ * @private
+ * @description Paths of proxies created by {@link createProxy}, so proxies can be assigned as values.
+ */
+const proxyPaths = new WeakMap();
+
+/**
+ * @private
+ * @description Creates a proxy over data by a path, see {@link Observer#proxy}. Target of a proxy is not data itself, so frozen data of immutable observer can be proxied too.
+ * @param {Observer} observer - Observer.
+ * @param {Array.<string|KeyedPart>} parts - Path of data.
+ * @param {boolean} isArray - True if data is an array.
+ * @returns {Proxy} Proxy.
+ */
+function createProxy(observer, parts, isArray) {
+    const children = new Map();
+
+    const node = () => {
+        const value = observer.get(parts);
+        return (typeof(value) === 'object' && value instanceof Object) ? value : (isArray ? [ ] : { });
+    };
+
+    const unwrap = (value) => {
+        const path = proxyPaths.get(value);
+        return path ? clone(path.observer.get(path.parts)) : value;
+    };
+
+    const methods = isArray ? {
+        push(...items) {
+            observer.insertMany(parts, items.map(unwrap));
+            return node().length;
+        },
+        pop() {
+            const item = node()[node().length - 1];
+            observer.remove(parts, -1);
+            return item;
+        },
+        shift() {
+            const item = node()[0];
+            observer.remove(parts, 0);
+            return item;
+        },
+        unshift(...items) {
+            observer.insertMany(parts, items.map(unwrap), 0);
+            return node().length;
+        },
+        splice(start, deleteCount, ...items) {
+            if (deleteCount === undefined && arguments.length > 1)
+                deleteCount = 0;
+
+            return observer._splice(parts, start, deleteCount, items.map(unwrap));
+        },
+        sort(compareFn) {
+            observer.sort(parts, compareFn);
+            return proxy;
+        },
+        reverse() {
+            observer.reverse(parts);
+            return proxy;
+        }
+    } : null;
+
+    const proxy = new Proxy(isArray ? [ ] : { }, {
+        get(target, key) {
+            if (methods && methods.hasOwnProperty(key))
+                return methods[key];
+
+            const data = node();
+            const value = data[key];
+
+            if (typeof(key) === 'symbol' || typeof(value) !== 'object' || ! (value instanceof Object) || ! data.hasOwnProperty(key))
+                return value;
+
+            let child = children.get(key);
+            if (! child || Array.isArray(child) !== Array.isArray(value)) {
+                child = createProxy(observer, parts.concat(key), Array.isArray(value));
+                children.set(key, child);
+            }
+
+            return child;
+        },
+        set(target, key, value) {
+            if (typeof(key) === 'symbol')
+                return true;
+
+            const data = node();
+
+            if (Array.isArray(data) && key === 'length') {
+                if (value < data.length)
+                    observer._splice(parts, value, data.length - value, [ ]);
+                return true;
+            }
+
+            // undefined is not a value in JSON, so it removes a key, and in arrays it becomes null, as in JSON.stringify
+            if (value === undefined) {
+                if (Array.isArray(data)) {
+                    observer.set(parts.concat(key), null);
+                } else {
+                    observer.unset(parts.concat(key));
+                }
+                return true;
+            }
+
+            observer.set(parts.concat(key), unwrap(value));
+            return true;
+        },
+        deleteProperty(target, key) {
+            if (typeof(key) !== 'symbol')
+                observer.unset(parts.concat(key));
+            return true;
+        },
+        has(target, key) {
+            return key in node();
+        },
+        ownKeys(target) {
+            return Reflect.ownKeys(node());
+        },
+        getOwnPropertyDescriptor(target, key) {
+            const data = node();
+            const descriptor = Reflect.getOwnPropertyDescriptor(data, key);
+
+            if (! descriptor)
+                return undefined;
+
+            // length of an array is not configurable
+            if (Array.isArray(data) && key === 'length')
+                return { value: data.length, writable: true, enumerable: false, configurable: false };
+
+            return { value: this.get(target, key), writable: true, enumerable: descriptor.enumerable, configurable: true };
+        },
+        defineProperty(target, key, descriptor) {
+            if (descriptor.hasOwnProperty('value'))
+                this.set(target, key, descriptor.value);
+            return true;
+        }
+    });
+
+    proxyPaths.set(proxy, { observer: observer, parts: parts });
+    return proxy;
+}
+
+/**
+ * @private
+ * @description Wraps callback of an event, to filter, debounce or throttle its calls, see {@link Observer#on}.
+ * @param {function} callback - Callback of an event.
+ * @param {object} options - Options with `filter`, `distinct`, `debounce` and `throttle`.
+ * @param {boolean} set - True if it is a callback of `set` event, so `distinct` option applies.
+ * @param {Map} pending - Timers by a path, that are cleared when event is removed.
+ * @returns {function} Callback to subscribe with.
+ */
+function limitCallback(callback, options, set, pending) {
+    // last values by a path, copied as data can be modified in place
+    const distinct = (set && options.distinct) ? new Map() : null;
+
+    return function(path, value, old) {
+        if (options.filter && options.filter(path, value, old) === false)
+            return;
+
+        const key = Array.isArray(path) ? formatPath(path) : '';
+
+        if (distinct) {
+            if (equals(value, old) || (distinct.has(key) && equals(value, distinct.get(key))))
+                return;
+
+            distinct.set(key, clone(value));
+        }
+
+        if (! options.debounce && ! options.throttle)
+            return callback.apply(this, arguments);
+
+        let entry = pending.get(key);
+
+        if (options.debounce) {
+            if (entry)
+                clearTimeout(entry.timer);
+
+            entry = { timer: null, scope: this, args: arguments };
+            entry.timer = setTimeout(() => {
+                pending.delete(key);
+                callback.apply(entry.scope, entry.args);
+            }, options.debounce);
+            pending.set(key, entry);
+            return;
+        }
+
+        // throttled, call with the last arguments when interval ends
+        if (entry) {
+            entry.scope = this;
+            entry.args = arguments;
+            return;
+        }
+
+        entry = { timer: null, scope: null, args: null };
+
+        const tick = () => {
+            if (! entry.args) {
+                pending.delete(key);
+                return;
+            }
+
+            const args = entry.args;
+            entry.args = null;
+            entry.timer = setTimeout(tick, options.throttle);
+            callback.apply(entry.scope, args);
+        };
+
+        entry.timer = setTimeout(tick, options.throttle);
+        pending.set(key, entry);
+        callback.apply(this, arguments);
+    };
+}
+
+/**
+ * @private
+ * @description Removes events, owners of which have been garbage collected, see `owner` option of {@link Observer#on}.
+ */
+const ownerRegistry = (typeof(FinalizationRegistry) !== 'undefined') ? new FinalizationRegistry((evt) => {
+    evt.off();
+}) : null;
+
+/**
+ * @private
+ * @description Targets of proxies created by {@link guardValue}.
+ */
+const guardTargets = new WeakMap();
+
+/**
+ * @private
+ * @description Returns a proxy of a node of data for guard mode, see {@link Observer#_guardData}. Proxies are created once per node.
+ * @param {object} guard - Guard of an observer.
+ * @param {*} value - Value.
+ * @returns {*} Proxy of a node, or a value if it is not an object or is frozen.
+ */
+function guardValue(guard, value) {
+    if (typeof(value) !== 'object' || ! (value instanceof Object) || Object.isFrozen(value) || guardTargets.has(value))
+        return value;
+
+    let proxy = guard.proxies.get(value);
+    if (! proxy) {
+        proxy = new Proxy(value, guard.handler);
+        guard.proxies.set(value, proxy);
+        guardTargets.set(proxy, value);
+    }
+
+    return proxy;
+}
+
+/**
+ * @private
+ * @description Creates proxy handler for guard mode, that provides nodes as proxies, and reports writes outside of observer methods.
+ * @param {object} guard - Guard of an observer.
+ * @returns {object} Proxy handler.
+ */
+function createGuardHandler(guard) {
+    const check = (target, key) => {
+        if (guard.writing)
+            return;
+
+        const path = findPath(guard.root, target, [ ]) || guardPath(guard, target);
+        if (typeof(key) === 'string')
+            path.push(/^(0|[1-9][0-9]*)$/.test(key) ? parseInt(key, 10) : key);
+
+        const err = new Error(`"${formatPath(path)}" is modified outside of observer`);
+
+        if (guard.throws)
+            throw err;
+
+        guard.observer.emit('violation', path, err);
+    };
+
+    return {
+        get: (target, key) => {
+            const value = target[key];
+
+            // remember where a node has been read, for a path if it is removed from data later
+            if (typeof(value) === 'object' && value instanceof Object) {
+                guard.parents.set(value, target);
+                guard.keys.set(value, key);
+            }
+
+            return guardValue(guard, value);
+        },
+        set: (target, key, value) => {
+            check(target, key);
+            target[key] = guardTargets.get(value) || value;
+            return true;
+        },
+        deleteProperty: (target, key) => {
+            check(target, key);
+            return delete target[key];
+        },
+        defineProperty: (target, key, descriptor) => {
+            check(target, key);
+            return Reflect.defineProperty(target, key, descriptor);
+        }
+    };
+}
+
+/**
+ * @private
+ * @description Returns path of a node that is not within data anymore, e.g. a removed array item, by parents it has been read from.
+ * @param {object} guard - Guard of an observer.
+ * @param {object} target - Node.
+ * @returns {Array.<string|number>} Path of a node when it has been read, or an empty array if it is unknown.
+ */
+function guardPath(guard, target) {
+    const path = [ ];
+
+    while(target !== guard.root && guard.parents.has(target)) {
+        const key = guard.keys.get(target);
+        path.unshift((Array.isArray(guard.parents.get(target)) && /^(0|[1-9][0-9]*)$/.test(key)) ? parseInt(key, 10) : key);
+        target = guard.parents.get(target);
+    }
+
+    return path;
+}
+
+/**
+ * @private
+ * @description Finds path of a node within data.
+ * @param {*} node - Data to search in.
+ * @param {object} target - Node to find.
+ * @param {Array.<string|number>} path - Path of data, that is extended while searching.
+ * @returns {Array.<string|number>|null} Path of a node, or null if it is not found.
+ */
+function findPath(node, target, path) {
+    if (node === target)
+        return path.slice(0);
+
+    if (typeof(node) !== 'object' || ! (node instanceof Object))
+        return null;
+
+    for(let key in node) {
+        path.push(Array.isArray(node) ? parseInt(key, 10) : key);
+        const result = findPath(guardTargets.get(node[key]) || node[key], target, path);
+        path.pop();
+
+        if (result)
+            return result;
+    }
+
+    return null;
+}
+
+/**
+ * @private
+ * @description Deep copy of JSON data, so it is not affected by further changes.
+ * @param {*} value - Value to be copied.
+ * @returns {*} Copy of a value.
+ */
+function clone(value) {
+    if (typeof(value) !== 'object' || ! (value instanceof Object))
+        return value;
+
+    if (Array.isArray(value)) {
+        const result = new Array(value.length);
+        for(let i = 0; i < value.length; i++)
+            result[i] = clone(value[i]);
+        return result;
+    }
+
+    const result = { };
+    for(let key in value)
+        result[key] = clone(value[key]);
+    return result;
+}
+
+/**
+ * @function
+ * @name diff
+ * @description Compares two JSON values, and returns the smallest list of operations that turns first value into the second one. Operations are same as provided by `op` event of {@link Observer}: `set`, `unset`, `insert`, `move` and `remove`, and should be applied in order. Array items that are unchanged but moved are represented by `move` operations, and changed items are updated in place. Values in operations are not copied.
+ * @param {*} a - Current value.
+ * @param {*} b - New value.
+ * @returns {Array.<object>} List of operations, with paths relative to the compared values.
+ * @example
+ * diff({ list: [ 'a', 'b' ], x: 1 }, { list: [ 'b', 'a' ] });
+ * // [ { type: 'move', path: 'list', from: 1, to: 0 }, { type: 'unset', path: 'x', old: 1 } ]
+ */
+function diff(a, b) {
+    const ops = [ ];
+    diffNode(a, b, '', ops);
+    return ops;
+}
+
+/**
+ * @private
+ * @description Adds operations that turn a value into another value to a list.
+ * @param {*} a - Current value.
+ * @param {*} b - New value.
+ * @param {string} path - Path of a value.
+ * @param {Array.<object>} ops - List of operations.
+ * @param {function|null} [keyOf] - Function that returns a key field of an array by its path, or null.
+ */
+function diffNode(a, b, path, ops, keyOf = null) {
+    if (equals(a, b))
+        return;
+
+    if (b === undefined) {
+        ops.push({ type: 'unset', path: path, old: a });
+        return;
+    }
+
+    const aIsObject = typeof(a) === 'object' && a instanceof Object;
+    const bIsObject = typeof(b) === 'object' && b instanceof Object;
+
+    if (! aIsObject || ! bIsObject || Array.isArray(a) !== Array.isArray(b)) {
+        ops.push({ type: 'set', path: path, value: b, old: a });
+        return;
+    }
+
+    if (Array.isArray(a)) {
+        diffArray(a, b, path, ops, keyOf);
+        return;
+    }
+
+    for(let key in a)
+        diffNode(a[key], b[key], joinPath(path, key), ops, keyOf);
+
+    for(let key in b) {
+        if (a[key] === undefined)
+            diffNode(undefined, b[key], joinPath(path, key), ops, keyOf);
+    }
+}
+
+/**
+ * @private
+ * @description Adds operations that turn an array into another array to a list. Equal items, or items with the same key in keyed arrays, are matched and moved, with the least number of moves. The rest of items is updated in place, removed or inserted, and items of keyed arrays are never updated to have another key.
+ * @param {array} a - Current array.
+ * @param {array} b - New array.
+ * @param {string} path - Path of an array.
+ * @param {Array.<object>} ops - List of operations.
+ * @param {function|null} keyOf - Function that returns a key field of an array by its path, or null.
+ */
+function diffArray(a, b, path, ops, keyOf) {
+    // for each new item, an index of an old item it is made of, or -1
+    const source = new Array(b.length).fill(-1);
+    const used = new Array(a.length).fill(false);
+
+    let start = 0;
+    while(start < a.length && start < b.length && equals(a[start], b[start])) {
+        source[start] = start;
+        used[start] = true;
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while(endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+        endA--;
+        endB--;
+        source[endB] = endA;
+        used[endA] = true;
+    }
+
+    // new items that are updated in place
+    const updated = [ ];
+    const field = keyOf ? keyOf(path) : null;
+
+    if (field) {
+        for(let j = start; j < endB; j++) {
+            if (typeof(b[j]) !== 'object' || ! (b[j] instanceof Object) || b[j][field] === undefined)
+                continue;
+
+            for(let i = start; i < endA; i++) {
+                if (! used[i] && typeof(a[i]) === 'object' && a[i] instanceof Object && a[i][field] === b[j][field]) {
+                    source[j] = i;
+                    used[i] = true;
+                    updated.push(j);
+                    break;
+                }
+            }
+        }
+    }
+
+    for(let j = start; j < endB; j++) {
+        if (source[j] !== -1)
+            continue;
+
+        for(let i = start; i < endA; i++) {
+            if (! used[i] && equals(a[i], b[j])) {
+                source[j] = i;
+                used[i] = true;
+                break;
+            }
+        }
+    }
+
+    const free = [ ];
+    for(let i = start; i < endA; i++) {
+        if (! used[i])
+            free.push(i);
+    }
+
+    // pair the rest of items, to be updated in place
+    let paired = 0;
+    for(let j = start; j < endB && paired < free.length && ! field; j++) {
+        if (source[j] === -1) {
+            source[j] = free[paired++];
+            used[source[j]] = true;
+            updated.push(j);
+        }
+    }
+
+    for(let i = free.length - 1; i >= paired; i--)
+        ops.push({ type: 'remove', path: path, value: a[free[i]], index: free[i] });
+
+    // old indices of kept items, in order they are during moves
+    const current = [ ];
+    for(let i = 0; i < a.length; i++) {
+        if (used[i])
+            current.push(i);
+    }
+
+    const target = source.filter((i) => {
+        return i !== -1;
+    });
+
+    // items of the longest increasing subsequence stay in place
+    const stable = longestIncreasing(target);
+
+    for(let t = 0; t < target.length; t++) {
+        if (stable.has(target[t]))
+            continue;
+
+        const from = current.indexOf(target[t]);
+        const after = (t === 0) ? -1 : current.indexOf(target[t - 1]);
+        const to = (from > after) ? after + 1 : after;
+
+        if (from !== to) {
+            current.splice(from, 1);
+            current.splice(to, 0, target[t]);
+            ops.push({ type: 'move', path: path, from: from, to: to });
+        }
+    }
+
+    for(let j = 0; j < b.length; j++) {
+        if (source[j] === -1)
+            ops.push({ type: 'insert', path: path, value: b[j], index: j });
+    }
+
+    for(let i = 0; i < updated.length; i++)
+        diffNode(a[source[updated[i]]], b[updated[i]], joinPath(path, updated[i]), ops, keyOf);
+}
+
+/**
+ * @private
+ * @description Finds the longest increasing subsequence of numbers.
+ * @param {Array.<number>} list - List of numbers.
+ * @returns {Set.<number>} Numbers of the subsequence.
+ */
+function longestIncreasing(list) {
+    const tails = [ ];
+    const previous = new Array(list.length);
+
+    for(let i = 0; i < list.length; i++) {
+        let low = 0;
+        let high = tails.length;
+        while(low < high) {
+            const middle = (low + high) >> 1;
+            if (list[tails[middle]] < list[i]) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        previous[i] = (low > 0) ? tails[low - 1] : -1;
+        tails[low] = i;
+    }
+
+    const result = new Set();
+    let i = tails.length ? tails[tails.length - 1] : -1;
+    while(i !== -1) {
+        result.add(list[i]);
+        i = previous[i];
+    }
+
+    return result;
+}
+
+/**
+ * @private
+ * @description Deep comparison of JSON data.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if values are equal.
+ */
+function equals(a, b) {
+    if (a === b)
+        return true;
+
+    if (typeof(a) !== 'object' || ! (a instanceof Object) || typeof(b) !== 'object' || ! (b instanceof Object))
+        return false;
+
+    if (Array.isArray(a)) {
+        if (! Array.isArray(b) || a.length !== b.length)
+            return false;
+
+        for(let i = 0; i < a.length; i++) {
+            if (! equals(a[i], b[i]))
+                return false;
+        }
+        return true;
+    }
+
+    if (Array.isArray(b))
+        return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length)
+        return false;
+
+    for(let i = 0; i < keys.length; i++) {
+        if (! b.hasOwnProperty(keys[i]) || ! equals(a[keys[i]], b[keys[i]]))
+            return false;
+    }
+    return true;
+}
+
+/**
+ * @private
+ * @description Shallow copy of an object or an array.
+ * @param {object|array} node - Object or an array.
+ * @returns {object|array} Copy.
+ */
+function copyNode(node) {
+    return Array.isArray(node) ? node.slice() : Object.assign({ }, node);
+}
+
+/**
+ * @private
+ * @description Freezes data deeply. Frozen nodes are expected to be frozen deeply already, so they are not visited.
+ * @param {*} node - Data.
+ * @returns {*} Same data.
+ */
+function deepFreeze(node) {
+    if (typeof(node) !== 'object' || ! (node instanceof Object) || Object.isFrozen(node))
+        return node;
+
+    Object.freeze(node);
+
+    for(const key in node)
+        deepFreeze(node[key]);
+
+    return node;
+}
+
+/**
+ * @private
+ * @description Checks if a path matches a path in wildcard notation.
+ * @param {Array.<string|number|KeyedPart>} pattern - Path in wildcard notation as an array, can include `*`, `**` and keyed parts.
+ * @param {number} p - Index of a part of a pattern to match.
+ * @param {Array.<string|number>} parts - Path as an array.
+ * @param {number} i - Index of a part of a path to match.
+ * @param {array|null} items - Data along a path, required if pattern has keyed parts.
+ * @returns {boolean} True if path matches.
+ */
+function matchPattern(pattern, p, parts, i, items) {
+    if (p === pattern.length)
+        return i === parts.length;
+
+    const part = pattern[p];
+
+    if (part === '**') {
+        for(let k = i; k <= parts.length; k++) {
+            if (matchPattern(pattern, p + 1, parts, k, items))
+                return true;
+        }
+        return false;
+    }
+
+    if (i === parts.length)
+        return false;
+
+    if (part instanceof KeyedPart) {
+        if (! part.match(items[i]))
+            return false;
+    } else if (part !== '*' && part !== parts[i]) {
+        return false;
+    }
+
+    return matchPattern(pattern, p + 1, parts, i + 1, items);
+}
+
+/**
+ * @private
+ * @description Collects values that match a path in wildcard notation, in order of data.
+ * @param {*} node - Data to search in.
+ * @param {Array.<string|KeyedPart>} parts - Path as an array, can include `*`, `**` and keyed parts.
+ * @param {number} index - Index of a path part to match against a node.
+ * @param {Array} result - List to add matching values to.
+ * @param {Array.<string|number>} [path] - Path to a node. If provided, matches are added as objects with `path` and `value`.
+ */
+function collectValues(node, parts, index, result, path) {
+    if (index === parts.length) {
+        if (node !== undefined)
+            result.push(path ? { path: path.slice(0), value: node } : node);
+        return;
+    }
+
+    const part = parts[index];
+
+    // recursive wildcard matches zero keys, so primitive values too, same as in events
+    if (part === '**')
+        collectValues(node, parts, index + 1, result, path);
+
+    if (typeof(node) !== 'object' || ! (node instanceof Object))
+        return;
+
+    if (part === '*' || part === '**' || part instanceof KeyedPart) {
+        for(const key in node) {
+            if (part instanceof KeyedPart && ! part.match(node[key]))
+                continue;
+
+            if (path)
+                path.push(Array.isArray(node) ? parseInt(key, 10) : key);
+
+            collectValues(node[key], parts, (part === '**') ? index : index + 1, result, path);
+
+            if (path)
+                path.pop();
+        }
+    } else {
+        if (path)
+            path.push(Array.isArray(node) ? indexKeys([ part ])[0] : part);
+
+        collectValues(node[part], parts, index + 1, result, path);
+
+        if (path)
+            path.pop();
+    }
+}
+
+/**
+ * @private
+ * @description Finds indices of parts of a path in wildcard notation, from which matching can be continued after a path has been matched.
+ * @param {Array.<string|KeyedPart>} pattern - Path in wildcard notation as an array, can include `*`, `**` and keyed parts.
+ * @param {Array.<string|number>} parts - Path as an array.
+ * @param {array} items - Data along a path.
+ * @returns {Array.<number>} List of indices of parts of a pattern, empty if path cannot match.
+ */
+function patternStates(pattern, parts, items) {
+    let states = [ 0 ];
+
+    for(let i = 0; i < parts.length && states.length; i++)
+        states = advancePattern(pattern, states, parts[i], items[i]);
+
+    return states;
+}
+
+/**
+ * @private
+ * @description Matches one more key of a path against a path in wildcard notation, see {@link patternStates}.
+ * @param {Array.<string|KeyedPart>} pattern - Path in wildcard notation as an array.
+ * @param {Array.<number>} states - Indices of parts of a pattern, from which matching is continued.
+ * @param {string|number} key - Key of a path.
+ * @param {*} item - Data by a key.
+ * @returns {Array.<number>} Indices of parts of a pattern, from which matching can be continued after a key.
+ */
+function advancePattern(pattern, states, key, item) {
+    const next = [ ];
+
+    for(let s = 0; s < states.length; s++) {
+        let p = states[s];
+
+        while(p < pattern.length) {
+            const part = pattern[p];
+
+            // recursive wildcard consumes a key, or matches zero keys
+            if (part === '**') {
+                if (next.indexOf(p) === -1)
+                    next.push(p);
+                p++;
+                continue;
+            }
+
+            if ((part instanceof KeyedPart ? part.match(item) : (part === '*' || part === String(key))) && next.indexOf(p + 1) === -1)
+                next.push(p + 1);
+            break;
+        }
+    }
+
+    return next;
+}
+
+/**
+ * @private
+ * @description Checks if a path has been matched completely by a path in wildcard notation, see {@link patternStates}.
+ * @param {Array.<string|KeyedPart>} pattern - Path in wildcard notation as an array.
+ * @param {Array.<number>} states - Indices of parts of a pattern, from which matching is continued.
+ * @returns {boolean} True if path matches.
+ */
+function patternMatched(pattern, states) {
+    for(let s = 0; s < states.length; s++) {
+        let p = states[s];
+
+        // recursive wildcards match zero keys
+        while(pattern[p] === '**')
+            p++;
+
+        if (p === pattern.length)
+            return true;
+    }
+
+    return false;
+}
+
+/**
+ * @private
+ * @description Checks if a path starts with another path.
+ * @param {Array.<string|number>} parts - Path as an array.
+ * @param {Array.<string|number>} prefix - Path as an array.
+ * @returns {boolean} True if path starts with a prefix, or is the same.
+ */
+function pathStartsWith(parts, prefix) {
+    if (prefix.length > parts.length)
+        return false;
+
+    for(let i = 0; i < prefix.length; i++) {
+        if (String(parts[i]) !== String(prefix[i]))
+            return false;
+    }
+
+    return true;
+}
+
+/**
+ * @private
+ * @description Compares two paths by order of data, same as order of {@link collectValues}. Array items are in order of indices, object keys are in order of enumeration, and parents are before their children.
+ * @param {Array.<string|number>} a - Path as an array.
+ * @param {Array.<string|number>} b - Path as an array.
+ * @param {*} data - Data of paths.
+ * @returns {number} Negative if path `a` is first, positive if path `b` is first, or 0 if they are the same.
+ */
+function comparePaths(a, b, data) {
+    let node = data;
+
+    for(let i = 0; i < a.length && i < b.length; i++) {
+        if (String(a[i]) !== String(b[i])) {
+            if (Array.isArray(node))
+                return parseInt(a[i], 10) - parseInt(b[i], 10);
+
+            const keys = Object.keys(node);
+            return keys.indexOf(String(a[i])) - keys.indexOf(String(b[i]));
+        }
+
+        node = node[a[i]];
+    }
+
+    return a.length - b.length;
+}
+
+/**
+ * @private
+ * @description Shifts an index of an array item in a path, by an array operation on that array.
+ * @param {Array.<string|number>} parts - Path as an array, that is changed.
+ * @param {Array.<string|number>} array - Path of an array.
+ * @param {object} op - Array operation: `insert`, `move` or `remove`.
+ * @returns {boolean} False if an item of a path has been removed.
+ */
+function shiftPath(parts, array, op) {
+    if (parts.length <= array.length || ! pathStartsWith(parts, array))
+        return true;
+
+    const index = transformIndex(parseInt(parts[array.length], 10), op);
+    if (index === -1)
+        return false;
+
+    parts[array.length] = index;
+    return true;
+}
+
+/**
+ * @private
+ * @description Collects operations of batch and patch operations, in order they have been applied.
+ * @param {object} op - Operation.
+ * @param {Array.<object>} result - List to add operations to.
+ */
+function flattenOps(op, result) {
+    if (op.type === 'batch' || op.type === 'patch') {
+        for(let i = 0; i < op.ops.length; i++)
+            flattenOps(op.ops[i], result);
+    } else {
+        result.push(op);
+    }
+}
+
+/**
+ * @private
+ * @description Checks if two paths in wildcard notation can match the same path, or one can be within another. Keyed parts, see {@link KeyedPart}, match any key, unless data is provided, then they are resolved against items of data.
+ * @param {string} a - Path.
+ * @param {string} b - Path.
+ * @param {*} [data] - Data to resolve keyed parts against.
+ * @returns {boolean} True if paths overlap.
+ */
+function pathsOverlap(a, b, data) {
+    const partsA = parsePath(a);
+    const partsB = parsePath(b);
+    const length = Math.min(partsA.length, partsB.length);
+
+    // node is known while both paths lead to the same one
+    let known = data !== undefined;
+    let node = data;
+
+    for(let i = 0; i < length; i++) {
+        const partA = partsA[i];
+        const partB = partsB[i];
+
+        if (partA === '**' || partB === '**')
+            return true;
+
+        if (partA === '*' || partB === '*') {
+            known = false;
+            continue;
+        }
+
+        const keyedA = partA instanceof KeyedPart;
+        const keyedB = partB instanceof KeyedPart;
+        let key = partA;
+
+        if (keyedA && keyedB) {
+            if (partA.field === partB.field) {
+                if (partA.value !== partB.value)
+                    return false;
+            } else if (known && partA.keyIn(node) !== partB.keyIn(node)) {
+                return false;
+            }
+
+            if (known)
+                key = partA.keyIn(node);
+        } else if (keyedA || keyedB) {
+            if (! known)
+                continue;
+
+            // keyed part matches an item by an index, when it has a key
+            key = keyedA ? partB : partA;
+            if (! (keyedA ? partA : partB).match((node instanceof Object) ? node[key] : undefined))
+                return false;
+        } else if (partA !== partB) {
+            return false;
+        }
+
+        if (known)
+            node = (typeof(node) === 'object' && node instanceof Object) ? node[key] : undefined;
+    }
+
+    return true;
+}
+
+/**
+ * @private
+ * @description Calls a function for each value that matches a path in wildcard notation.
+ * @param {*} node - Data to search in.
+ * @param {Array.<string>} parts - Path as an array, can include `*`.
+ * @param {number} index - Index of a path part to match against a node.
+ * @param {Array.<string>} path - Path to a node.
+ * @param {function} fn - Function that is called with a path and a value.
+ */
+function matchPaths(node, parts, index, path, fn) {
+    if (typeof(node) !== 'object' || ! (node instanceof Object))
+        return;
+
+    const part = parts[index];
+    const keys = (part === '*') ? Object.keys(node) : (node.hasOwnProperty(part) ? [ part ] : [ ]);
+
+    for(let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+
+        if (index === parts.length - 1) {
+            fn(path.concat(key), node[key]);
+        } else {
+            matchPaths(node[key], parts, index + 1, path.concat(key), fn);
+        }
+    }
+}
+
+/**
+ * @private
+ * @description Sets value by a path, creating missing objects and arrays, following types of source data. Undefined value deletes the path.
+ * @param {object|array} target - Data to modify.
+ * @param {object|array} source - Data to follow types of.
+ * @param {Array.<string>} path - Path as an array.
+ * @param {*} value - Value.
+ */
+function setPath(target, source, path, value) {
+    let node = target;
+
+    for(let i = 0; i < (path.length - 1); i++) {
+        const key = path[i];
+        source = (typeof(source) === 'object' && source instanceof Object) ? source[key] : undefined;
+
+        if (typeof(node[key]) !== 'object' || ! (node[key] instanceof Object))
+            node[key] = Array.isArray(source) ? [ ] : { };
+
+        node = node[key];
+    }
+
+    if (value === undefined) {
+        delete node[path[path.length - 1]];
+    } else {
+        node[path[path.length - 1]] = value;
+    }
+}
+
+/**
+ * @private
+ * @description Creates a copy of data to be persisted.
+ * @param {object|array} data - Data.
+ * @param {Array.<string>|null} include - Paths to be persisted.
+ * @param {Array.<string>|null} exclude - Paths not to be persisted.
+ * @returns {object|array} Copy of data.
+ */
+function persistData(data, include, exclude) {
+    let result;
+
+    if (include) {
+        result = Array.isArray(data) ? [ ] : { };
+        for(let i = 0; i < include.length; i++) {
+            matchPaths(data, parsePath(include[i]), 0, [ ], (path, value) => {
+                setPath(result, data, path, clone(value));
+            });
+        }
+    } else {
+        result = clone(data);
+    }
+
+    if (exclude) {
+        for(let i = 0; i < exclude.length; i++) {
+            matchPaths(result, parsePath(exclude[i]), 0, [ ], (path) => {
+                setPath(result, result, path, undefined);
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @private
+ * @description Creates data restored from persisted data, keeping paths that are not persisted from current data.
+ * @param {object|array} current - Current data.
+ * @param {object|array} stored - Persisted data.
+ * @param {Array.<string>|null} include - Paths that are persisted.
+ * @param {Array.<string>|null} exclude - Paths that are not persisted.
+ * @returns {object|array} Restored data.
+ */
+function restoreData(current, stored, include, exclude) {
+    let result;
+
+    if (include) {
+        result = clone(current);
+        for(let i = 0; i < include.length; i++) {
+            const parts = parsePath(include[i]);
+            matchPaths(result, parts, 0, [ ], (path) => {
+                setPath(result, result, path, undefined);
+            });
+            matchPaths(stored, parts, 0, [ ], (path, value) => {
+                setPath(result, stored, path, clone(value));
+            });
+        }
+    } else {
+        result = clone(stored);
+    }
+
+    if (exclude) {
+        for(let i = 0; i < exclude.length; i++) {
+            const parts = parsePath(exclude[i]);
+            matchPaths(result, parts, 0, [ ], (path) => {
+                setPath(result, result, path, undefined);
+            });
+            matchPaths(current, parts, 0, [ ], (path, value) => {
+                setPath(result, current, path, clone(value));
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @private
+ * @description Collects serializable operations to be persisted. Operations within paths that are not persisted are skipped.
+ * @param {object} op - Operation.
+ * @param {Array.<string>|null} include - Paths to be persisted.
+ * @param {Array.<string>|null} exclude - Paths not to be persisted.
+ * @param {Array.<object>} result - List to add operations to.
+ * @returns {boolean} False if operation is on a parent of a path that is persisted differently, so whole data should be saved instead.
+ */
+function persistOps(op, include, exclude, result) {
+    if (op.type === 'patch' || op.type === 'batch') {
+        for(let i = 0; i < op.ops.length; i++) {
+            if (! persistOps(op.ops[i], include, exclude, result))
+                return false;
+        }
+        return true;
+    }
+
+    const length = parsePath(op.path).length;
+
+    if (exclude) {
+        for(let i = 0; i < exclude.length; i++) {
+            if (! pathsOverlap(op.path, exclude[i]))
+                continue;
+
+            // within excluded path
+            if (parsePath(exclude[i]).length <= length)
+                return true;
+
+            return false;
+        }
+    }
+
+    if (include) {
+        let included = false;
+
+        for(let i = 0; i < include.length; i++) {
+            if (! pathsOverlap(op.path, include[i]))
+                continue;
+
+            // parent of included path
+            if (parsePath(include[i]).length > length)
+                return false;
+
+            included = true;
+        }
+
+        if (! included)
+            return true;
+    }
+
+    result.push(compactOp(op));
+    return true;
+}
+
+/**
+ * @private
+ * @description Returns JSON Schema type of a value.
+ * @param {*} value - Value.
+ * @returns {string} Type: `null`, `array`, `integer`, `number`, `string`, `boolean` or `object`.
+ */
+function schemaType(value) {
+    if (value === null)
+        return 'null';
+
+    if (Array.isArray(value))
+        return 'array';
+
+    if (typeof(value) === 'number')
+        return Number.isInteger(value) ? 'integer' : 'number';
+
+    return typeof(value);
+}
+
+/**
+ * @private
+ * @description Validates value against JSON Schema, collecting errors.
+ * @param {object|boolean|undefined} schema - Schema, false if value is not allowed, or undefined if any value is allowed.
+ * @param {*} value - Value to be validated.
+ * @param {Array.<string|number>} path - Path to a value.
+ * @param {Array.<object>} errors - List to which errors are added.
+ */
+function validateSchema(schema, value, path, errors) {
+    if (schema === undefined || schema === true)
+        return;
+
+    if (schema === false) {
+        errors.push({ path: path, reason: 'is not allowed' });
+        return;
+    }
+
+    const type = schemaType(value);
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+        if (types.indexOf(type) === -1 && ! (type === 'integer' && types.indexOf('number') !== -1)) {
+            errors.push({ path: path, reason: `should be of type "${types.join('|')}"` });
+            return;
+        }
+    }
+
+    if (schema.enum !== undefined && ! schema.enum.some((item) => equals(item, value)))
+        errors.push({ path: path, reason: 'should be one of enum values' });
+
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum)
+            errors.push({ path: path, reason: `should be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum)
+            errors.push({ path: path, reason: `should be <= ${schema.maximum}` });
+    } else if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength)
+            errors.push({ path: path, reason: `should have at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && value.length > schema.maxLength)
+            errors.push({ path: path, reason: `should have at most ${schema.maxLength} characters` });
+    } else if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            errors.push({ path: path, reason: `should have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems)
+            errors.push({ path: path, reason: `should have at most ${schema.maxItems} items` });
+
+        if (schema.items !== undefined) {
+            for(let i = 0; i < value.length; i++)
+                validateSchema(schema.items, value[i], path.concat(i), errors);
+        }
+    } else if (type === 'object') {
+        if (schema.required) {
+            for(let i = 0; i < schema.required.length; i++) {
+                if (value[schema.required[i]] === undefined)
+                    errors.push({ path: path.concat(schema.required[i]), reason: 'is required' });
+            }
+        }
+
+        for(let key in value) {
+            if (value[key] === undefined)
+                continue;
+
+            if (schema.properties && schema.properties.hasOwnProperty(key)) {
+                validateSchema(schema.properties[key], value[key], path.concat(key), errors);
+            } else {
+                validateSchema(schema.additionalProperties, value[key], path.concat(key), errors);
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ * @description Creates result of patching a node, without modifying it. Only patched objects are copied.
+ * @param {object|array} node - Current data.
+ * @param {object|array} data - Data for patching.
+ * @returns {object|array} Patched copy of data.
+ */
+function mergePatch(node, data) {
+    const result = Array.isArray(node) ? node.slice() : Object.assign({ }, node);
+
+    for(let key in data) {
+        if (data[key] === undefined)
+            continue;
+
+        const current = node[key];
+        if (typeof(current) === 'object' && current instanceof Object && typeof(data[key]) === 'object' && data[key] instanceof Object) {
+            result[key] = mergePatch(current, data[key]);
+        } else {
+            result[key] = data[key];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @private
+ * @description Parses array index of JSON Pointer.
+ * @param {string} part - Key of JSON Pointer.
+ * @param {number} max - Max valid index.
+ * @returns {number} Index or -1 if it is not valid.
+ */
+function pointerIndex(part, max) {
+    if (! /^(0|[1-9][0-9]*)$/.test(part))
+        return -1;
+
+    const index = parseInt(part, 10);
+    return index <= max ? index : -1;
+}
+
+/**
+ * @private
+ * @description Converts path to JSON Pointer (RFC 6901).
+ * @param {string} path - Path.
+ * @param {number} [index] - Array index to be appended.
+ * @returns {string} JSON Pointer.
+ */
+function pathToPointer(path, index) {
+    let pointer = '';
+
+    if (path !== '') {
+        const parts = parsePath(path);
+        for(let i = 0; i < parts.length; i++)
+            pointer += '/' + parts[i].replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    if (index !== undefined)
+        pointer += '/' + index;
+
+    return pointer;
+}
+
+/**
+ * @private
+ * @description Collapses `set` and `unset` events to a single net change per path, and `change` events to a single event per path. Array events are kept as is, and changes of paths within an array are not collapsed across array events of that array, as indices might have shifted. Events of paths that end up with the same value are dropped, and so are `change` events that only follow them.
+ * @param {Array.<Array|function>} events - List of events as arrays of arguments for `_emitWildcard`, or deferred callbacks.
+ * @returns {Array.<Array|function>} Collapsed list of events.
+ */
+function collapseEvents(events) {
+    const result = [ ];
+    const slots = new Map();
+    const changes = new Map();
+    // set and unset events since the last change event
+    let touched = [ ];
+    let other = false;
+
+    for(let i = 0; i < events.length; i++) {
+        const evt = events[i];
+
+        // deferred callbacks are kept as is
+        if (typeof(evt) === 'function') {
+            result.push(evt);
+            continue;
+        }
+
+        const type = evt[1];
+        const path = (evt[0] === null) ? '' : evt[0].toString();
+
+        if (type === 'set' || type === 'unset') {
+            const value = (type === 'set') ? evt[2] : undefined;
+            let slot = slots.get(path);
+
+            if (slot) {
+                slot.value = value;
+            } else {
+                slot = {
+                    path: evt[0],
+                    value: value,
+                    old: (type === 'set') ? evt[3] : evt[2]
+                };
+                slots.set(path, slot);
+                result.push(slot);
+            }
+
+            touched.push(slot);
+        } else if (type === 'change') {
+            // events that stop at a part of a path differ from events for a path and all its parents
+            const key = (evt[2] === undefined) ? path : path + ':' + evt[2];
+            let change = changes.get(key);
+
+            if (! change) {
+                change = {
+                    evt: evt,
+                    slots: [ ],
+                    kept: false
+                };
+                changes.set(key, change);
+                result.push(change);
+            }
+
+            if (other || ! touched.length) {
+                change.kept = true;
+            } else {
+                change.slots.push(...touched);
+            }
+
+            touched = [ ];
+            other = false;
+        } else {
+            // indices within an array might have shifted
+            const prefix = path ? path + '.' : '';
+            for(const key of slots.keys()) {
+                if (key.startsWith(prefix))
+                    slots.delete(key);
+            }
+
+            other = true;
+            result.push(evt);
+        }
+    }
+
+    for(let i = 0; i < result.length; i++) {
+        const slot = result[i];
+        if (Array.isArray(slot) || typeof(slot) === 'function')
+            continue;
+
+        if (slot.evt) {
+            // change is kept if any of its paths has changed
+            const changed = slot.kept || slot.slots.some((item) => {
+                return item.value !== item.old;
+            });
+            result[i] = changed ? slot.evt : null;
+        } else if (slot.value === slot.old) {
+            result[i] = null;
+        } else if (slot.value === undefined) {
+            result[i] = [ slot.path, 'unset', slot.old ];
+        } else {
+            result[i] = [ slot.path, 'set', slot.value, slot.old ];
+        }
+    }
+
+    return result.filter((evt) => {
+        return evt !== null;
+    });
+}
+
+/**
+ * @private
+ * @description Collapses `set` and `unset` operations to a single net operation per path, with the latest value and the old value from before a transaction, and drops operations of paths that end up with the same value. Operations of a path are collapsed only if its parents and values within it have not been changed in between, so order of changes is kept.
+ * @param {Array.<object>} ops - List of operations.
+ * @returns {Array.<object>} Collapsed list of operations.
+ */
+function collapseOps(ops) {
+    const result = [ ];
+    const slots = new Map();
+    // index of the latest operation by a path, and by a path or within it
+    const at = new Map();
+    const within = new Map();
+
+    for(let i = 0; i < ops.length; i++) {
+        const op = ops[i];
+        const parts = parsePath(op.path);
+        let slot = slots.get(op.path);
+
+        if (slot && within.get(op.path) !== slot.index)
+            slot = null;
+
+        let parent = '';
+        for(let p = 0; p < parts.length; p++) {
+            if (slot && at.get(parent) > slot.index)
+                slot = null;
+
+            within.set(parent, i);
+            parent = joinPath(parent, parts[p]);
+        }
+
+        at.set(op.path, i);
+        within.set(op.path, i);
+
+        if (op.type !== 'set' && op.type !== 'unset') {
+            slots.delete(op.path);
+            result.push(op);
+            continue;
+        }
+
+        if (slot) {
+            slot.op = op;
+            slot.index = i;
+        } else {
+            slot = {
+                first: op,
+                op: op,
+                index: i
+            };
+            slots.set(op.path, slot);
+            result.push(slot);
+        }
+    }
+
+    for(let i = 0; i < result.length; i++) {
+        const slot = result[i];
+        if (! slot.first)
+            continue;
+
+        const value = (slot.op.type === 'set') ? slot.op.value : undefined;
+
+        if (slot.first === slot.op) {
+            result[i] = slot.op;
+        } else if (equals(value, slot.first.old)) {
+            result[i] = null;
+        } else if (slot.op.type === 'unset') {
+            result[i] = { type: 'unset', path: slot.op.path, old: slot.first.old };
+        } else {
+            result[i] = { type: 'set', path: slot.op.path, value: value, old: slot.first.old };
+        }
+    }
+
+    return result.filter((op) => {
+        return op !== null;
+    });
+}
+
+/**
+ * @private
+ * @description Creates serializable copy of an operation, without old values. Patch is converted to `batch` of its `set` operations.
+ * @param {object} op - Operation.
+ * @returns {object} Serializable operation.
+ */
+function compactOp(op) {
+    switch(op.type) {
+        case 'set':
+            return { type: op.type, path: op.path, value: clone(op.value) };
+        case 'insert':
+            return { type: op.type, path: op.path, value: clone(op.value), index: op.index };
+        case 'unset':
+            return { type: op.type, path: op.path };
+        case 'move':
+            return { type: op.type, path: op.path, from: op.from, to: op.to };
+        case 'remove':
+            return { type: op.type, path: op.path, index: op.index };
+        case 'patch':
+        case 'batch':
+            return { type: 'batch', path: '', ops: op.ops.map(compactOp) };
+    }
+}
+
+/**
+ * @private
+ * @description Transforms operation against concurrent operation that has been applied first, so operation still has the same intention. Array indices are shifted by inserts, moves and removes, operations on removed or replaced data are dropped, and concurrent changes of the same path are won by operation with a priority.
+ * @param {object} op - Operation to be transformed.
+ * @param {object} other - Concurrent operation that has been applied first.
+ * @param {boolean} priority - True if operation wins over concurrent operation.
+ * @returns {object|null} Transformed operation, or null if it should not be applied.
+ */
+function transformOp(op, other, priority) {
+    if (op.type === 'batch') {
+        const ops = [ ];
+        for(let i = 0; i < op.ops.length; i++) {
+            const item = other ? transformOp(op.ops[i], other, priority) : op.ops[i];
+            if (item) ops.push(item);
+            if (other) other = transformOp(other, op.ops[i], ! priority);
+        }
+        return Object.assign({ }, op, { ops: ops });
+    }
+
+    if (other.type === 'batch') {
+        for(let i = 0; i < other.ops.length && op; i++)
+            op = transformOp(op, other.ops[i], priority);
+        return op;
+    }
+
+    const opArray = (op.type === 'insert' || op.type === 'move' || op.type === 'remove');
+    const otherArray = (other.type === 'insert' || other.type === 'move' || other.type === 'remove');
+    const opParts = parsePath(op.path);
+    const otherParts = parsePath(other.path);
+
+    let prefix = otherParts.length <= opParts.length;
+    for(let i = 0; prefix && i < otherParts.length; i++)
+        prefix = (otherParts[i] === opParts[i]);
+
+    if (otherArray) {
+        if (! prefix)
+            return op;
+
+        if (opParts.length === otherParts.length)
+            return opArray ? transformArrayOp(op, other, priority) : op;
+
+        // path through an array
+        const index = transformIndex(parseInt(opParts[otherParts.length], 10), other);
+        if (index === -1)
+            return null;
+
+        opParts[otherParts.length] = index;
+        return Object.assign({ }, op, { path: formatPath(opParts) });
+    }
+
+    if (! prefix)
+        return op;
+
+    // same path
+    if (! opArray && opParts.length === otherParts.length)
+        return priority ? op : null;
+
+    // within replaced or unset data
+    return null;
+}
+
+/**
+ * @private
+ * @description Transforms index of an item against concurrent array operation.
+ * @param {number} index - Index of an item.
+ * @param {object} other - Array operation.
+ * @returns {number} Transformed index, or -1 if item has been removed.
+ */
+function transformIndex(index, other) {
+    switch(other.type) {
+        case 'insert':
+            return (other.index <= index) ? index + 1 : index;
+        case 'remove':
+            if (other.index === index) return -1;
+            return (other.index < index) ? index - 1 : index;
+        case 'move':
+            if (other.from === index) return other.to;
+            if (other.from < index) index--;
+            if (other.to <= index) index++;
+            return index;
+    }
+    return index;
+}
+
+/**
+ * @private
+ * @description Transforms array operation against concurrent array operation on the same array. Moves are treated as a remove followed by an insert.
+ * @param {object} op - Array operation to be transformed.
+ * @param {object} other - Concurrent array operation that has been applied first.
+ * @param {boolean} priority - True if operation wins over concurrent operation.
+ * @returns {object|null} Transformed operation, or null if it should not be applied.
+ */
+function transformArrayOp(op, other, priority) {
+    // same item is moved or removed
+    if (op.type === 'move' && other.type === 'move' && op.from === other.from) {
+        if (! priority || op.to === other.to) return null;
+        return Object.assign({ }, op, { from: other.to });
+    } else if (op.type === 'move' && other.type === 'remove' && op.from === other.index) {
+        return null;
+    } else if (op.type === 'remove' && other.type === 'move' && op.index === other.from) {
+        return Object.assign({ }, op, { index: other.to });
+    }
+
+    const items = arrayOpItems(op);
+    const others = arrayOpItems(other);
+
+    for(let o = 0; o < others.length; o++) {
+        let item = others[o];
+
+        for(let i = 0; i < items.length && item; i++) {
+            if (! items[i])
+                continue;
+
+            const transformed = transformArrayItem(items[i], item, priority);
+            item = transformArrayItem(item, items[i], ! priority);
+            items[i] = transformed;
+        }
+    }
+
+    switch(op.type) {
+        case 'insert':
+            return Object.assign({ }, op, { index: items[0][1] });
+        case 'remove':
+            return items[0] ? Object.assign({ }, op, { index: items[0][1] }) : null;
+        case 'move':
+            if (! items[0] || items[0][1] === items[1][1]) return null;
+            return Object.assign({ }, op, { from: items[0][1], to: items[1][1] });
+    }
+}
+
+/**
+ * @private
+ * @description Represents array operation as a list of inserts and removes.
+ * @param {object} op - Array operation.
+ * @returns {Array.<Array>} List of `[ 'insert' | 'remove', index ]` items.
+ */
+function arrayOpItems(op) {
+    switch(op.type) {
+        case 'insert':
+            return [ [ 'insert', op.index ] ];
+        case 'remove':
+            return [ [ 'remove', op.index ] ];
+        case 'move':
+            return [ [ 'remove', op.from ], [ 'insert', op.to ] ];
+    }
+}
+
+/**
+ * @private
+ * @description Transforms single insert or remove against concurrent insert or remove.
+ * @param {Array} item - Item to be transformed, as `[ type, index ]`.
+ * @param {Array} other - Concurrent item that has been applied first.
+ * @param {boolean} priority - True if item is inserted first when both are inserted at the same index.
+ * @returns {Array|null} Transformed item, or null if the same index is removed.
+ */
+function transformArrayItem(item, other, priority) {
+    const index = item[1];
+
+    if (other[0] === 'insert') {
+        if (other[1] < index || (other[1] === index && (item[0] === 'remove' || ! priority)))
+            return [ item[0], index + 1 ];
+    } else if (item[0] === 'insert') {
+        if (other[1] < index)
+            return [ item[0], index - 1 ];
+    } else {
+        if (other[1] === index)
+            return null;
+        if (other[1] < index)
+            return [ item[0], index - 1 ];
+    }
+
+    return item;
+}
+
+/**
+ * @private
+ * @description Creates list of operations that revert provided list of operations. Patch operations are expanded into their `set` operations.
+ * @param {Array.<object>} ops - List of operations.
+ * @returns {Array.<object>} List of inverse operations in order they should be applied.
+ */
+function invertOps(ops) {
+    const result = [ ];
+
+    let i = ops.length;
+    while(i--) {
+        const op = ops[i];
+
+        switch(op.type) {
+            case 'set':
+                if (op.old === undefined) {
+                    result.push({ type: 'unset', path: op.path, old: op.value });
+                } else {
+                    result.push({ type: 'set', path: op.path, value: op.old, old: op.value });
+                }
+                break;
+            case 'unset':
+                result.push({ type: 'set', path: op.path, value: op.old, old: undefined });
+                break;
+            case 'patch':
+            case 'batch':
+                result.push(...invertOps(op.ops));
+                break;
+            case 'insert':
+                result.push({ type: 'remove', path: op.path, value: op.value, index: op.index });
+                break;
+            case 'move':
+                result.push({ type: 'move', path: op.path, from: op.to, to: op.from });
+                break;
+            case 'remove':
+                result.push({ type: 'insert', path: op.path, value: op.value, index: op.index });
+                break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @class
+ * @name ObserverHistory
+ * @augments EventEmitter
+ * @classdesc History of changes of an {@link Observer}, providing undo and redo. It records each applied operation of an observer, and every mutation becomes its own undoable step, unless they are grouped. Remote operations and writes of computed values are not recorded. Recorded values are copied, so they are not affected by further changes.
+ * @param {Observer} observer - Observer to record changes of.
+ * @param {object} [options] - Options.
+ * @param {number} [options.depth] - Max number of undoable steps, oldest steps are dropped. Defaults to 100.
+ * @param {Array.<string>} [options.ignore] - List of paths, changes of which (including deeper paths) will not be recorded. Wildcard notation can be used.
+ * @property {Observer} observer Observer that history is recording.
+ * @property {number} depth Max number of undoable steps.
+ * @property {boolean} canUndo True if there is a step to undo.
+ * @property {boolean} canRedo True if there is a step to redo.
+ * @example
+ * const obj = new Observer({ position: { x: 4, y: 2 } });
+ * const history = new ObserverHistory(obj, { ignore: [ 'selection' ] });
+ *
+ * history.on('history:change', () => {
+ *     buttonUndo.disabled = ! history.canUndo;
+ *     buttonRedo.disabled = ! history.canRedo;
+ * });
+ *
+ * obj.set('position.x', 8);
+ * history.undo(); // position.x is 4 again
+ * history.redo(); // position.x is 8 again
+ */
+class ObserverHistory extends EventEmitter {
+    constructor(observer, options = { }) {
+        super();
+
+        this.observer = observer;
+        this.depth = options.depth || 100;
+
+        this._ignore = (options.ignore || [ ]).map((path) => {
+            return parsePath(path);
+        });
+        this._undo = [ ];
+        this._redo = [ ];
+        this._group = null;
+        this._applying = false;
+
+        this._evtOp = observer.on('op', this._onOp, this);
+    }
+
+    /**
+     * @event
+     * @name ObserverHistory#history:add
+     * @description Fired when new step is recorded.
+     * @param {Array.<object>} ops - List of operations of a step.
+     */
+
+    /**
+     * @event
+     * @name ObserverHistory#history:undo
+     * @description Fired when step has been undone.
+     * @param {Array.<object>} ops - List of operations of a step.
+     */
+
+    /**
+     * @event
+     * @name ObserverHistory#history:redo
+     * @description Fired when step has been redone.
+     * @param {Array.<object>} ops - List of operations of a step.
+     */
+
+    /**
+     * @event
+     * @name ObserverHistory#history:change
+     * @description Fired when list of undo or redo steps has been changed, useful to update state of undo/redo controls.
+     * @example
+     * history.on('history:change', () => {
+     *     buttonUndo.disabled = ! history.canUndo;
+     * });
+     */
+
+    get canUndo() {
+        return this._undo.length !== 0;
+    }
+
+    get canRedo() {
+        return this._redo.length !== 0;
+    }
+
+    /**
+     * @function
+     * @name ObserverHistory#undo
+     * @description Reverts the last recorded step.
+     * @returns {boolean} True if step has been undone.
+     */
+    undo() {
+        if (! this._undo.length)
+            return false;
+
+        const ops = this._undo.pop();
+        this._apply(invertOps(ops));
+        this._redo.push(ops);
+
+        this.emit('history:undo', ops);
+        this.emit('history:change');
+        return true;
+    }
+
+    /**
+     * @function
+     * @name ObserverHistory#redo
+     * @description Applies again the last undone step.
+     * @returns {boolean} True if step has been redone.
+     */
+    redo() {
+        if (! this._redo.length)
+            return false;
+
+        const ops = this._redo.pop();
+        this._apply(ops);
+        this._undo.push(ops);
+
+        this.emit('history:redo', ops);
+        this.emit('history:change');
+        return true;
+    }
+
+    /**
+     * @function
+     * @name ObserverHistory#group
+     * @description Records all changes done within a function as a single step. Nested groups are merged into the outer group.
+     * @param {function} fn - Function that changes data of an observer.
+     * @example
+     * history.group(() => {
+     *     obj.set('position.x', 0);
+     *     obj.set('position.y', 0);
+     * });
+     * history.undo(); // reverts both changes
+     */
+    group(fn) {
+        if (this._group) {
+            fn();
+            return;
+        }
+
+        this._group = [ ];
+
+        try {
+            fn();
+        } finally {
+            const ops = this._group;
+            this._group = null;
+
+            if (ops.length)
+                this._add(ops);
+        }
+    }
+
+    /**
+     * @function
+     * @name ObserverHistory#clear
+     * @description Removes all undo and redo steps.
+     */
+    clear() {
+        if (! this._undo.length && ! this._redo.length)
+            return;
+
+        this._undo = [ ];
+        this._redo = [ ];
+        this.emit('history:change');
+    }
+
+    /**
+     * @function
+     * @name ObserverHistory#destroy
+     * @description Stops recording changes of an observer and removes all steps.
+     */
+    destroy() {
+        if (! this._evtOp)
+            return;
+
+        this._evtOp.off();
+        this._evtOp = null;
+        this.clear();
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverHistory#_onOp
+     * @description Records an operation of an observer.
+     * @param {object} op - Operation.
+     */
+    _onOp(op) {
+        // computed values follow their dependencies
+        if (this._applying || op.remote || this.observer._computedWrite)
+            return;
+
+        op = this._filter(op);
+        if (! op)
+            return;
+
+        op = clone(op);
+
+        if (this._group) {
+            this._group.push(op);
+        } else {
+            this._add([ op ]);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverHistory#_add
+     * @description Adds a step to undo list, and clears redo list.
+     * @param {Array.<object>} ops - List of operations of a step.
+     */
+    _add(ops) {
+        this._undo.push(ops);
+        if (this._undo.length > this.depth)
+            this._undo.splice(0, this._undo.length - this.depth);
+
+        this._redo = [ ];
+
+        this.emit('history:add', ops);
+        this.emit('history:change');
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverHistory#_apply
+     * @description Applies operations to an observer without recording them.
+     * @param {Array.<object>} ops - List of operations.
+     */
+    _apply(ops) {
+        const restoring = this.observer._restoring;
+        this.observer._restoring = true;
+        this._applying = true;
+
+        try {
+            for(let i = 0; i < ops.length; i++)
+                this.observer._applyOp(clone(ops[i]));
+        } finally {
+            this._applying = false;
+            this.observer._restoring = restoring;
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverHistory#_filter
+     * @description Excludes operations of ignored paths, including nested operations of `patch` and `batch`.
+     * @param {object} op - Operation.
+     * @returns {object|null} Operation to be recorded or null if nothing to record.
+     */
+    _filter(op) {
+        if (op.type === 'patch' || op.type === 'batch') {
+            const ops = [ ];
+            for(let i = 0; i < op.ops.length; i++) {
+                const item = this._filter(op.ops[i]);
+                if (item) ops.push(item);
+            }
+
+            if (! ops.length)
+                return null;
+
+            return { type: op.type, path: op.path, value: op.value, ops: ops };
+        }
+
+        return this._isIgnored(op.path) ? null : op;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverHistory#_isIgnored
+     * @description Checks if path matches any of ignored paths, including deeper paths.
+     * @param {string} path - Path.
+     * @returns {boolean} True if changes of a path should not be recorded.
+     */
+    _isIgnored(path) {
+        if (! this._ignore.length)
+            return false;
+
+        const parts = parsePath(path);
+
+        for(let i = 0; i < this._ignore.length; i++) {
+            const ignore = this._ignore[i];
+            if (ignore.length > parts.length)
+                continue;
+
+            let match = true;
+            for(let p = 0; p < ignore.length; p++) {
+                if (ignore[p] !== '*' && ignore[p] !== parts[p]) {
+                    match = false;
+                    break;
+                }
+            }
+
+            if (match)
+                return true;
+        }
+
+        return false;
+    }
+}
+
+/**
+ * @class
+ * @name ObserverPatchRecorder
+ * @classdesc Records changes of an {@link Observer} as [JSON Patch (RFC 6902)](https://tools.ietf.org/html/rfc6902) document, which can be applied to another observer using {@link Observer#applyPatch} or sent to services that speak JSON Patch. Values are copied, so they are not affected by further changes.
+ * @param {Observer} observer - Observer to record changes of.
+ * @property {Observer} observer Observer that is recorded.
+ * @property {Array.<object>} patch List of recorded JSON Patch operations.
+ * @example
+ * const recorder = new ObserverPatchRecorder(obj);
+ *
+ * obj.set('position.x', 8);
+ * obj.insert('planets', 'mars');
+ *
+ * const patch = recorder.take();
+ * // [
+ * //     { op: 'replace', path: '/position/x', value: 8 },
+ * //     { op: 'add', path: '/planets/3', value: 'mars' }
+ * // ]
+ */
+class ObserverPatchRecorder {
+    constructor(observer) {
+        this.observer = observer;
+        this.patch = [ ];
+        this._evtOp = observer.on('op', this._onOp, this);
+    }
+
+    /**
+     * @function
+     * @name ObserverPatchRecorder#take
+     * @description Returns recorded operations and starts a new patch.
+     * @returns {Array.<object>} List of JSON Patch operations.
+     */
+    take() {
+        const patch = this.patch;
+        this.patch = [ ];
+        return patch;
+    }
+
+    /**
+     * @function
+     * @name ObserverPatchRecorder#destroy
+     * @description Stops recording changes of an observer.
+     */
+    destroy() {
+        if (! this._evtOp)
+            return;
+
+        this._evtOp.off();
+        this._evtOp = null;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverPatchRecorder#_onOp
+     * @description Converts an operation of an observer to JSON Patch operations.
+     * @param {object} op - Operation.
+     */
+    _onOp(op) {
+        switch(op.type) {
+            case 'set':
+                this.patch.push({ op: (op.old === undefined) ? 'add' : 'replace', path: pathToPointer(op.path), value: clone(op.value) });
+                break;
+            case 'unset':
+                this.patch.push({ op: 'remove', path: pathToPointer(op.path) });
+                break;
+            case 'patch':
+            case 'batch':
+                for(let i = 0; i < op.ops.length; i++)
+                    this._onOp(op.ops[i]);
+                break;
+            case 'insert':
+                this.patch.push({ op: 'add', path: pathToPointer(op.path, op.index), value: clone(op.value) });
+                break;
+            case 'move':
+                this.patch.push({ op: 'move', from: pathToPointer(op.path, op.from), path: pathToPointer(op.path, op.to) });
+                break;
+            case 'remove':
+                this.patch.push({ op: 'remove', path: pathToPointer(op.path, op.index) });
+                break;
+        }
+    }
+}
+
+/**
+ * @class
+ * @name ObserverScope
+ * @augments EventEmitter
+ * @classdesc View of a subtree of an {@link Observer}, created using {@link Observer#scope}. It provides the same `get`, `set`, `unset`, `patch`, `insert`, `move`, `remove` and `on` methods, but paths are relative to the root of the scope, and paths in events are relative too. Event names without a path, e.g. `set`, match changes anywhere within the scope. If the scope goes through an array item, and its index is shifted by `insert`, `move` or `remove`, the scope and its events follow the item.
+ * @param {Observer} observer - Observer to create a view of.
+ * @param {string|number|Array.<string|number>} [path] - Path to a root of the scope.
+ * @property {Observer} observer Observer that is viewed.
+ * @property {string} path Current absolute path of the root of the scope.
+ * @property {boolean} detached True if array item the scope goes through has been removed. Detached scope does not modify data.
+ * @example
+ * const light = obj.scope('entities.42.components.light');
+ *
+ * light.on('intensity:set', (path, value) => {
+ *     element.textContent = value;
+ * });
+ *
+ * light.on('replace', (value) => {
+ *     // light component has been replaced or unset
+ * });
+ *
+ * light.set('intensity', 2);
+ */
+class ObserverScope extends EventEmitter {
+    constructor(observer, path = '') {
+        super();
+
+        this.observer = observer;
+        this.detached = false;
+        this._parts = parsePath(path);
+        this.path = formatPath(this._parts);
+        this._handlers = [ ];
+
+        observer._scopes.add(this);
+    }
+
+    /**
+     * @event
+     * @name ObserverScope#replace
+     * @description Fired when root of the scope has been replaced by `set` or `patch` of it or any of its parents, or has been unset.
+     * @param {*} value - New value of the root of the scope, or undefined if it has been unset.
+     */
+
+    /**
+     * @event
+     * @name ObserverScope#detach
+     * @description Fired when array item the scope goes through has been removed. The scope is detached from data after that, and should be destroyed.
+     */
+
+    /**
+     * @function
+     * @name ObserverScope#get
+     * @description Get data by a path relative to the scope.
+     * @param {string|number|Array.<string|number>} [path] - Relative path of data to be returned. If path is not provided, will return root data of the scope.
+     * @returns {*} Data based on provided path.
+     */
+    get(path = '') {
+        if (this.detached)
+            return undefined;
+
+        return this.observer.get(this._path(path));
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#set
+     * @description Set data by a path relative to the scope, see {@link Observer#set}.
+     * @param {string|number|Array.<string|number>} [path] - Relative path in data to be set. If path is not provided, it will set the root of the scope.
+     * @param {*} data - Data to be set.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    set(path, data, actor) {
+        if (data === undefined) {
+            data = path;
+            path = '';
+        }
+
+        if (this.detached)
+            return;
+
+        this.observer.set(this._path(path), data, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#unset
+     * @description Unset data by a path relative to the scope, see {@link Observer#unset}.
+     * @param {string|number|Array.<string|number>} [path] - Relative path in data to be unset. If path is not provided, it will unset the root of the scope.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    unset(path = '', actor) {
+        if (this.detached)
+            return;
+
+        this.observer.unset(this._path(path), actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#patch
+     * @description Patch data by a path relative to the scope, see {@link Observer#patch}.
+     * @param {string|number|Array.<string|number>} [path] - Relative path in data to be patched. If path is not provided, it will patch the root of the scope.
+     * @param {*} data - Data for patching.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    patch(path, data, actor) {
+        if (data === undefined) {
+            data = path;
+            path = '';
+        }
+
+        if (this.detached)
+            return;
+
+        this.observer.patch(this._path(path), data, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#insert
+     * @description Insert an item into an array by a path relative to the scope, see {@link Observer#insert}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {*} data - Data to be inserted.
+     * @param {number} [index] - Index of position for the item to be inserted.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    insert(path, data, index = -1, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.insert(this._path(path), data, index, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#move
+     * @description Move an item in an array by a path relative to the scope, see {@link Observer#move}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {number} from - Index of an item to be moved.
+     * @param {number} to - Index where item should be moved to.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    move(path, from, to, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.move(this._path(path), from, to, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#remove
+     * @description Remove an item from an array by a path relative to the scope, see {@link Observer#remove}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {number} [index] - Index of an item to be removed.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    remove(path, index = -1, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.remove(this._path(path), index, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#reconcile
+     * @description Replace data by a path relative to the scope by changing only what is different, see {@link Observer#reconcile}.
+     * @param {string|number|Array.<string|number>} [path] - Relative path in data to be reconciled. If path is not provided, it will reconcile the root of the scope.
+     * @param {*} data - New data.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    reconcile(path, data, actor) {
+        if (data === undefined) {
+            data = path;
+            path = '';
+        }
+
+        if (this.detached)
+            return;
+
+        this.observer.reconcile(this._path(path), data, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#splice
+     * @description Remove and insert items in an array by a path relative to the scope, see {@link Observer#splice}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {number} start - Index to start changing an array from.
+     * @param {number} [deleteCount] - Number of items to remove.
+     * @param {...*} [items] - Items to insert.
+     * @returns {Array} Removed items.
+     */
+    splice(path, start, deleteCount, ...items) {
+        if (this.detached)
+            return [ ];
+
+        return this.observer._splice(this._path(path), start, deleteCount, items);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#insertMany
+     * @description Insert multiple items into an array by a path relative to the scope, see {@link Observer#insertMany}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {Array} items - Items to insert.
+     * @param {number} [index] - Index of position for items to be inserted.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    insertMany(path, items, index = -1, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.insertMany(this._path(path), items, index, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#removeMany
+     * @description Remove multiple items from an array by a path relative to the scope, see {@link Observer#removeMany}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {Array.<number>} indices - Indices of items to remove.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     * @returns {Array} Removed items.
+     */
+    removeMany(path, indices, actor) {
+        if (this.detached)
+            return [ ];
+
+        return this.observer.removeMany(this._path(path), indices, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#sort
+     * @description Sort items of an array by a path relative to the scope, see {@link Observer#sort}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {function} [compareFn] - Function that compares two items.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    sort(path, compareFn, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.sort(this._path(path), compareFn, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#reverse
+     * @description Reverse order of items of an array by a path relative to the scope, see {@link Observer#reverse}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    reverse(path, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.reverse(this._path(path), actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#swap
+     * @description Swap two items of an array by a path relative to the scope, see {@link Observer#swap}.
+     * @param {string|number|Array.<string|number>} path - Relative path to an array. Empty string for the root of the scope.
+     * @param {number} a - Index of an item.
+     * @param {number} b - Index of another item.
+     * @param {*} [actor] - Who is making the change, see {@link Observer#set}.
+     */
+    swap(path, a, b, actor) {
+        if (this.detached)
+            return;
+
+        this.observer.swap(this._path(path), a, b, actor);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#scope
+     * @description Creates a view of a subtree by a path relative to the scope. Nested scope is independent, and should be destroyed separately.
+     * @param {string|number|Array.<string|number>} [path] - Relative path to a root of the nested scope.
+     * @returns {ObserverScope} View of a subtree.
+     */
+    scope(path = '') {
+        return this.observer.scope(this._path(path));
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#on
+     * @description Subscribes to changes within the scope, using relative paths. Paths provided to callbacks are relative too. Event names without a path, e.g. `set`, match changes anywhere within the scope. Other names, e.g. `replace`, subscribe to events of the scope itself.
+     * @param {string} name - Name of an event.
+     * @param {function} callback - Callback of an event.
+     * @param {object} [scope] - Scope for a callback.
+     * @param {boolean|object} [options] - If true, callback is called only once. Or options object, same as for {@link Observer#on} except `owner`, and paths provided to `filter` are relative.
+     * @returns {object} Event handler with `off` method.
+     * @example
+     * const position = obj.scope('entities.42.position');
+     * position.on('*:set', (path, value) => {
+     *     console.log(`${path[0]} changed to ${value}`);
+     * });
+     */
+    on(name, callback, scope, options = false) {
+        let once = options;
+
+        if (typeof(options) === 'object' && options !== null) {
+            once = !! options.once;
+            options = Object.assign({ }, options, { once: false, owner: null });
+
+            if (options.filter) {
+                const filter = options.filter;
+                options.filter = (path, value, old) => {
+                    return filter(path.slice(this._parts.length), value, old);
+                };
+            }
+        }
+
+        if (! Array.isArray(name) && ! /(^|:)(set|unset|insert|move|remove|change|reorder)$/.test(name))
+            return super.on(name, callback, scope, once);
+
+        const handler = {
+            name: name,
+            options: (typeof(options) === 'object') ? options : false,
+            evt: null,
+            fn: null,
+            off: null,
+            done: false
+        };
+
+        handler.fn = (path, ...args) => {
+            if (once) {
+                if (handler.done)
+                    return;
+
+                handler.done = true;
+                this._off(handler);
+            }
+
+            callback.call(scope || this, path.slice(this._parts.length), ...args);
+        };
+        handler.off = () => {
+            this._off(handler);
+        };
+        handler.evt = this.observer.on(this._eventName(name), handler.fn, null, handler.options);
+
+        // called straight away by `immediate` option
+        if (handler.done) {
+            handler.evt.off();
+            return handler;
+        }
+
+        this._handlers.push(handler);
+        return handler;
+    }
+
+    once(name, callback, scope) {
+        return this.on(name, callback, scope, true);
+    }
+
+    /**
+     * @function
+     * @name ObserverScope#destroy
+     * @description Removes all events subscribed through the scope, and stops following the subtree.
+     */
+    destroy() {
+        if (! this.observer._scopes.delete(this))
+            return;
+
+        for(let i = 0; i < this._handlers.length; i++)
+            this._handlers[i].evt.off();
+
+        this._handlers = [ ];
+        this.off();
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverScope#_path
+     * @description Converts relative path to an absolute path.
+     * @param {string|number|Array.<string|number>} path - Relative path.
+     * @returns {Array.<string>} Absolute path as an array.
+     */
+    _path(path) {
+        return this._parts.concat(parsePath(path));
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverScope#_eventName
+     * @description Converts relative event name to an event name of observer.
+     * @param {string|Array.<string|number>} name - Relative event name.
+     * @returns {string} Event name of observer.
+     */
+    _eventName(name) {
+        let parts;
+        let type;
+
+        if (Array.isArray(name)) {
+            parts = name.slice(0, -1);
+            type = name[name.length - 1];
+        } else {
+            const match = name.match(/(^|:)(set|unset|insert|move|remove|change|reorder)$/);
+            parts = parsePath(name.slice(0, match.index));
+            type = match[2];
+        }
+
+        // any changes within the scope
+        if (! parts.length) {
+            if (! this._parts.length)
+                return type;
+
+            parts = [ '**' ];
+        }
+
+        return formatPath(this._parts.concat(parts)) + ':' + type;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverScope#_off
+     * @description Removes event subscribed through the scope.
+     * @param {object} handler - Event handler.
+     */
+    _off(handler) {
+        const index = this._handlers.indexOf(handler);
+        if (index === -1)
+            return;
+
+        this._handlers.splice(index, 1);
+        handler.evt.off();
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverScope#_onOp
+     * @description Follows array items the scope goes through, and notifies when root of the scope is replaced or removed. It is called for each operation straight after it is applied, even within a transaction.
+     * @param {object} op - Operation.
+     */
+    _onOp(op) {
+        // operations of a transaction are followed one by one, as they are applied
+        if (op.type === 'batch')
+            return;
+
+        if (op.type === 'patch') {
+            for(let i = 0; i < op.ops.length; i++)
+                this._onOp(op.ops[i]);
+            return;
+        }
+
+        if (this.detached)
+            return;
+
+        // operation has to be on a root of the scope or any of its parents
+        const parts = parsePath(op.path);
+        if (parts.length > this._parts.length)
+            return;
+
+        for(let i = 0; i < parts.length; i++) {
+            if (this._parts[i] instanceof KeyedPart) {
+                if (! this._parts[i].match(this.observer.get(parts.slice(0, i + 1))))
+                    return;
+            } else if (parts[i] !== this._parts[i]) {
+                return;
+            }
+        }
+
+        if (op.type === 'set' || op.type === 'unset') {
+            const value = this.observer.get(this.path);
+            this._notify('replace', value);
+            return;
+        }
+
+        // array operations within the scope
+        if (parts.length === this._parts.length)
+            return;
+
+        // array item by a key is followed without changes of the path
+        if (this._parts[parts.length] instanceof KeyedPart) {
+            if (op.type === 'remove' && this._parts[parts.length].match(op.value)) {
+                this.detached = true;
+                this._notify('detach');
+            }
+            return;
+        }
+
+        const index = parseInt(this._parts[parts.length], 10);
+        const indexNew = transformIndex(index, op);
+
+        if (indexNew === -1) {
+            this.detached = true;
+            this._notify('detach');
+        } else if (indexNew !== index) {
+            this._parts[parts.length] = indexNew.toString();
+            this._rebase();
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverScope#_rebase
+     * @description Updates path of the scope and resubscribes its events after an index has been shifted, with the same options, except `immediate`.
+     */
+    _rebase() {
+        this.path = formatPath(this._parts);
+
+        for(let i = 0; i < this._handlers.length; i++) {
+            const handler = this._handlers[i];
+
+            if (handler.options && handler.options.immediate)
+                handler.options = Object.assign({ }, handler.options, { immediate: false });
+
+            handler.evt.off();
+            handler.evt = this.observer.on(this._eventName(handler.name), handler.fn, null, handler.options);
+        }
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverScope#_notify
+     * @description Emits an event of the scope. Within a transaction, it is emitted together with other events when transaction is finished.
+     * @param {string} name - Name of an event.
+     * @param {*} [value] - Value for an event.
+     */
+    _notify(name, value) {
+        const batch = this.observer._batch;
+
+        if (! batch) {
+            this.emit(name, value);
+        } else if (! batch.silent) {
+            batch.events.push(() => {
+                this.emit(name, value);
+            });
+        }
+    }
+}
+
+/**
+ * @class
+ * @name ObserverQuery
+ * @augments EventEmitter
+ * @classdesc Query of an {@link Observer}, created using {@link Observer#liveQuery}, that keeps its results up to date. Results are updated after each mutation that can affect them, by collecting again only matches within changed data. Paths that start or stop matching are reported by `add` and `remove` events, and changed values and paths of matches by `update` event.
+ * @param {Observer} observer - Observer to query.
+ * @param {string|Array.<string>} path - Path in wildcard notation, see {@link Observer#query}.
+ * @property {Observer} observer Observer that is queried.
+ * @property {string} path Path in wildcard notation.
+ * @property {Array.<object>} results Current matches in order of data, each with `path` as an array of strings or numbers, and `value`.
+ * @example
+ * const lights = obj.liveQuery('entities.*.components.light');
+ *
+ * lights.on('add', (path, value) => {
+ *     console.log(`light added at ${path.join('.')}`);
+ * });
+ *
+ * console.log(lights.results.length);
+ */
+class ObserverQuery extends EventEmitter {
+    constructor(observer, path) {
+        super();
+
+        this.observer = observer;
+        this.path = formatPath(parsePath(path));
+        this.results = observer.query(this.path);
+
+        this._parts = parsePath(this.path);
+        this._fields = new Set();
+        this._evtOp = observer.on('op', this._onOp, this);
+
+        for(let i = 0; i < this._parts.length; i++) {
+            if (this._parts[i] instanceof KeyedPart)
+                this._fields.add(this._parts[i].field);
+        }
+    }
+
+    /**
+     * @event
+     * @name ObserverQuery#add
+     * @description Fired when a path starts matching a query.
+     * @param {Array.<string|number>} path - Path of a match.
+     * @param {*} value - Value of a match.
+     */
+
+    /**
+     * @event
+     * @name ObserverQuery#remove
+     * @description Fired when a path stops matching a query.
+     * @param {Array.<string|number>} path - Path of a match.
+     * @param {*} value - Last value of a match.
+     */
+
+    /**
+     * @event
+     * @name ObserverQuery#update
+     * @description Fired when a value of a match is changed, or changes are made within it, or when its path is changed, as an index of an array item has been shifted by inserts, moves or removes.
+     * @param {Array.<string|number>} path - Current path of a match.
+     * @param {*} value - Value of a match.
+     * @param {*} old - Previous value of a match, which is the same object if it has been changed within.
+     * @param {Array.<string|number>} from - Previous path of a match.
+     */
+
+    /**
+     * @function
+     * @name ObserverQuery#destroy
+     * @description Stops updating results, and removes all events of the query.
+     */
+    destroy() {
+        if (! this._evtOp)
+            return;
+
+        this._evtOp.off();
+        this._evtOp = null;
+        this.off();
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverQuery#_onOp
+     * @description Updates results after an operation that can affect them. Only matches within changed data are collected again, and matches within array items shifted by an operation keep their identity.
+     * @param {object} op - Operation.
+     */
+    _onOp(op) {
+        if (! this._affected(op))
+            return;
+
+        const ops = [ ];
+        flattenOps(op, ops);
+
+        const changed = [ ];
+        const shifted = new Map();
+        let roots = [ ];
+
+        for(let i = 0; i < ops.length; i++) {
+            if (! this._affected(ops[i]))
+                continue;
+
+            const parts = indexKeys(parsePath(ops[i].path));
+            changed.push(parts);
+
+            if (ops[i].type === 'insert' || ops[i].type === 'move' || ops[i].type === 'remove') {
+                roots = roots.filter((root) => {
+                    return shiftPath(root, parts, ops[i]);
+                });
+
+                for(let r = 0; r < this.results.length; r++) {
+                    const match = this.results[r];
+                    const path = shifted.has(match) ? shifted.get(match) : match.path.slice(0);
+
+                    if (path && path.length > parts.length && pathStartsWith(path, parts))
+                        shifted.set(match, shiftPath(path, parts, ops[i]) ? path : null);
+                }
+            }
+
+            // predicate of an item can change by a change of its field
+            if (parts.length && ops[i].type !== 'insert' && ops[i].type !== 'move' && ops[i].type !== 'remove' && this._fields.has(String(parts[parts.length - 1]))) {
+                roots.push(parts.slice(0, -1));
+            } else {
+                roots.push(parts);
+            }
+        }
+
+        // roots within other roots are collected already
+        roots.sort((a, b) => {
+            return a.length - b.length;
+        });
+        roots = roots.filter((root, index) => {
+            for(let i = 0; i < index; i++) {
+                if (pathStartsWith(root, roots[i]))
+                    return false;
+            }
+            return true;
+        });
+
+        const data = this.observer.data;
+        const results = [ ];
+        const stale = [ ];
+        const updated = [ ];
+
+        for(let i = 0; i < this.results.length; i++) {
+            const match = this.results[i];
+            const path = shifted.has(match) ? shifted.get(match) : match.path;
+
+            if (path && ! roots.some((root) => pathStartsWith(path, root))) {
+                results.push(match);
+
+                // value of a match is changed within
+                if (roots.some((root) => root.length > path.length && pathStartsWith(root, path)))
+                    updated.push([ match, this.observer.get(path), match.value, match.path ]);
+            } else {
+                stale.push([ match, path ]);
+            }
+        }
+
+        const fresh = new Map();
+
+        for(let i = 0; i < roots.length; i++) {
+            const matches = this._collect(roots[i]);
+            if (! matches.length)
+                continue;
+
+            let low = 0;
+            let high = results.length;
+
+            while(low < high) {
+                const mid = (low + high) >> 1;
+                if (comparePaths(results[mid].path, matches[0].path, data) < 0) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            results.splice(low, 0, ...matches);
+
+            for(let m = 0; m < matches.length; m++)
+                fresh.set(formatPath(matches[m].path), matches[m]);
+        }
+
+        this.results = results;
+
+        const removed = [ ];
+
+        for(let i = 0; i < stale.length; i++) {
+            const [ match, path ] = stale[i];
+            const key = path ? formatPath(path) : null;
+            const next = key !== null ? fresh.get(key) : undefined;
+
+            if (! next) {
+                removed.push(match);
+                continue;
+            }
+
+            fresh.delete(key);
+
+            if (next.value !== match.value || key !== formatPath(match.path) || (typeof(next.value) === 'object' && changed.some((parts) => pathStartsWith(parts, path))))
+                updated.push([ next, next.value, match.value, match.path ]);
+        }
+
+        for(let i = 0; i < removed.length; i++)
+            this.emit('remove', removed[i].path, removed[i].value);
+
+        for(let i = 0; i < updated.length; i++) {
+            const [ match, value, old, from ] = updated[i];
+            match.value = value;
+            this.emit('update', match.path, value, old, from);
+        }
+
+        for(const match of fresh.values())
+            this.emit('add', match.path, match.value);
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverQuery#_collect
+     * @description Collects matches of the query within data by a path, in order of data.
+     * @param {Array.<string|number>} root - Path to collect matches within.
+     * @returns {Array.<object>} List of matches, each with `path` and `value`.
+     */
+    _collect(root) {
+        const path = [ ];
+        const items = [ ];
+        let node = this.observer.data;
+
+        for(let i = 0; i < root.length; i++) {
+            if (typeof(node) !== 'object' || ! (node instanceof Object))
+                return [ ];
+
+            path.push(Array.isArray(node) ? parseInt(root[i], 10) : String(root[i]));
+            node = node[root[i]];
+            items.push(node);
+        }
+
+        const states = patternStates(this._parts, path, items);
+        const result = [ ];
+
+        for(let i = 0; i < states.length; i++)
+            collectValues(node, this._parts, states[i], result, path.slice(0));
+
+        // same path can be matched multiple ways by recursive wildcards
+        if (states.length > 1 || this._parts.indexOf('**') !== this._parts.lastIndexOf('**')) {
+            const paths = new Set();
+            const data = this.observer.data;
+
+            return result.filter((match) => {
+                const key = formatPath(match.path);
+                if (paths.has(key))
+                    return false;
+                paths.add(key);
+                return true;
+            }).sort((a, b) => {
+                return comparePaths(a.path, b.path, data);
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * @function
+     * @private
+     * @name ObserverQuery#_affected
+     * @description Checks if an operation can affect results of the query.
+     * @param {object} op - Operation.
+     * @returns {boolean} True if operation can affect results.
+     */
+    _affected(op) {
+        if (op.type === 'batch') {
+            for(let i = 0; i < op.ops.length; i++) {
+                if (this._affected(op.ops[i]))
+                    return true;
+            }
+            return false;
+        }
+
+        const parts = parsePath(op.path);
+        const length = Math.min(parts.length, this._parts.length);
+
+        for(let i = 0; i < length; i++) {
+            const part = this._parts[i];
+
+            // any change within an item can change if it matches a predicate
+            if (part === '**' || part instanceof KeyedPart)
+                return true;
+
+            if (part !== '*' && part !== parts[i])
+                return false;
+        }
+
+        return true;
+    }
+}
+
+/**
+ * @class
+ * @name ObserverSync
+ * @augments EventEmitter
+ * @classdesc Keeps data of {@link Observer} instances in different contexts the same, e.g. on the main thread and in a Web Worker or Node.js `worker_threads` worker, by attaching to any `postMessage`-style port. Other side requests a snapshot of data from primary side, and then both sides stream their changes as compact operations. Received operations are applied through `set`, `unset`, `insert`, `move` and `remove` methods, so local events are fired, and `remote` property of an observer is true while they are applied. Received operations are not sent back. Messages are numbered, and if a message is missed, data is synchronized again from a snapshot of the primary side, so data of primary side wins. Concurrent changes of the same data by both sides are not transformed, for that use {@link Observer#applyRemote}.
+ * @param {Observer} observer - Observer to synchronize.
+ * @param {object} port - Port to send and receive messages. It should implement `postMessage(message)` and either `addEventListener('message', fn)` (`MessagePort`, `Worker`, `self` in a worker) or `on('message', fn)` (`worker_threads` `Worker` and `parentPort`).
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.primary] - True if data of this side is the source of truth. Exactly one side should be primary. Defaults to false.
+ * @param {boolean} [options.readOnly] - If true, local changes are not sent, so this side only mirrors data of the other side. Defaults to false.
+ * @param {string} [options.channel] - Name of a channel, so many observers can be synchronized using the same port, and other messages are ignored. Defaults to `observer`.
+ * @property {Observer} observer Observer that is synchronized.
+ * @property {boolean} synced True if data has been synchronized, and changes are streamed. Primary side is always synced, other side is synced after it receives a snapshot.
+ * @example
+ * // main thread
+ * const worker = new Worker('simulation.js');
+ * const obj = new Observer({ entities: [ ] });
+ * const sync = new ObserverSync(obj, worker, { primary: true });
+ *
+ * // simulation.js
+ * const obj = new Observer();
+ * const sync = new ObserverSync(obj, self);
+ * sync.on('sync', () => {
+ *     obj.insert('entities', { name: 'box' });
+ * });
+ */
+class ObserverSync extends EventEmitter {
+    constructor(observer, port, options = { }) {
+        super();
+
+        this.observer = observer;
+        this.synced = !! options.primary;
+
+        this._port = port;
+        this._primary = !! options.primary;
+        this._readOnly = !! options.readOnly;
+        this._channel = options.channel || 'observer';
+        this._seq = 0;
+        this._ack = 0;
+        this._snapshotSeq = 0;
+        this._request = 0;
+        this._applying = false;
+
+        this._onMessage = (message) => {
+            if (message && message.channel === this._channel)
+                this._receive(message);
+        };
+        this._onMessageEvent = (evt) => {
+            this._onMessage(evt.data);
+        };
+
+        if (typeof(port.addEventListener) === 'function') {
+            port.addEventListener('message', this._onMessageEvent);
+            if (typeof(port.start) === 'function')
+                port.start();
+        } else {
+            port.on('message', this._onMessage);
+        }
+
+        this._evtOp = observer.on('op', this._onOp, this);
+
+        // other side might be created before or after this one, so primary tells it is ready,
+        // and other side asks for a snapshot, using only a reply to its latest request
+        if (this._primary) {
+            this._post({ type: 'ready' });
+        } else {
+            this._requestSnapshot();
+        }
+    }
+
+    /**
+     * @event
+     * @name ObserverSync#sync
+     * @description Fired on a side that is not primary, when data is synchronized from a snapshot, initially and after missed messages.
+     */
+
+    /**
+     * @event
+     * @name ObserverSync#missed
+     * @description Fired when a missed message is detected, before data is synchronized again.
+     */
+
+    /**
+     * @function
+     * @name ObserverSync#resync
+     * @description Synchronizes data again, e.g. after a port has been reconnected. Other side requests a snapshot from primary side, ignoring changes until it is received.
+     */
+    resync() {
+        if (! this._evtOp)
+            return;
+
+        if (this._primary) {
+            this._post({ type: 'ready' });
+        } else {
+            this._requestSnapshot();
+        }
+    }
+
+    /**
+     * @function
+     * @name ObserverSync#destroy
+     * @description Stops synchronizing, detaches from a port, and removes all events.
+     */
+    destroy() {
+        if (! this._evtOp)
+            return;
+
+        if (typeof(this._port.removeEventListener) === 'function') {
+            this._port.removeEventListener('message', this._onMessageEvent);
+        } else {
+            this._port.off('message', this._onMessage);
+        }
+
+        this._evtOp.off();
+        this._evtOp = null;
+        this.synced = false;
         this.off();
     }
 
-    on(name, callback, scope, once = false) {
-        const path = name.replace(/:(set|unset|insert|move|remove)$/, '');
-        const pathParts = this._makePathParts(path);
+    /**
+     * @function
+     * @private
+     * @name ObserverSync#_onOp
+     * @description Sends local operation to the other side.
+     * @param {object} op - Operation.
+     */
+    _onOp(op) {
+        if (this._applying || this._readOnly || ! this.synced)
+            return;
 
-        let i = pathParts.length;
-        let node = this._eventsCache;
-        while(i--) {
-            const part = pathParts[i];
-            let map;
+        this._post({ type: 'op', seq: ++this._seq, ack: this._ack, op: compactOp(op) });
+    }
 
-            if (node.has(part)) {
-                map = node.get(part);
-            } else {
-                map = new Map();
-                map.counter = 0;
-                map.end = 0;
-                node.set(part, map);
-            }
-            node = map;
+    /**
+     * @function
+     * @private
+     * @name ObserverSync#_receive
+     * @description Handles a message of the channel from the other side.
+     * @param {object} message - Message.
+     */
+    _receive(message) {
+        switch(message.type) {
+            case 'ready':
+                if (this._primary)
+                    break;
 
-            map.counter++
-            if (i === 0)
-                node.end++;
-        }
+                // primary side could have been created again, or missed a message
+                this._requestSnapshot();
+                break;
+            case 'resync':
+                if (! this._primary)
+                    break;
 
-        const evt = super.on(name, callback, scope, once);
+                // other side could have been created again, so its numbering is taken from the request
+                this._ack = message.seq;
+                this._sendSnapshot(message.req);
+                break;
+            case 'snapshot':
+                // snapshot replies to an older request, or is already applied
+                if (this._primary || this.synced || message.req !== this._request)
+                    break;
 
-        evt._destroy = evt.destroy;
-        evt.destroy = () => {
-            let i = pathParts.length;
-            let node = this._eventsCache;
-            while(i--) {
-                const part = pathParts[i];
-                let map = node.get(part);
-                map.counter--;
+                this._ack = message.seq;
+                this._apply(() => {
+                    this.observer.reconcile(message.data);
+                });
+                this.synced = true;
+                this.emit('sync');
+                break;
+            case 'op':
+                if (! this.synced)
+                    break;
 
-                if (! map.counter) {
-                    node.delete(part);
+                if (message.seq !== this._ack + 1) {
+                    this._ack = message.seq;
+                    this.emit('missed');
+                    this.resync();
                     break;
                 }
 
-                node = map;
+                this._ack = message.seq;
 
-                if (i === 0)
-                    node.end--;
-            }
+                // change is made before the other side received the last snapshot,
+                // and has been overwritten by it
+                if (this._primary && message.ack < this._snapshotSeq)
+                    break;
 
-            evt._destroy.call(this);
-        };
+                this._apply(() => {
+                    this.observer._applyOp(message.op);
+                });
+                break;
+        }
+    }
 
-        return evt;
+    /**
+     * @function
+     * @private
+     * @name ObserverSync#_apply
+     * @description Applies changes received from the other side, as remote changes that are not sent back.
+     * @param {function} fn - Function that applies changes.
+     */
+    _apply(fn) {
+        const remote = this.observer.remote;
+        this.observer.remote = true;
+        this._applying = true;
+
+        try {
+            fn();
+        } finally {
+            this._applying = false;
+            this.observer.remote = remote;
+        }
     }
 
     /**
      * @function
      * @private
-     * @name Observer#_emitWildcard
-     * @description Scans cache for event paths and emits related events taking in account wildcards.
-     * @param {string|number} path - Path.
-     * @param {string} type - Type of a change: `set`, `unset`, `insert`, `move`, `remove`.
-     * @param {*} value - Value for an event.
-     * @param {*} [old] - Old value for an event.
+     * @name ObserverSync#_requestSnapshot
+     * @description Requests a snapshot of data from primary side, ignoring changes until it is received.
      */
-    _emitWildcard(path, type, value, old, to) {
-        const pathParts = this._makePathParts(path);
-        this._emitWildcardDeeper(this._eventsCache, '', pathParts, 1, type, value, old, to);
-        this.emit(type, pathParts, value, old, to);
+    _requestSnapshot() {
+        this.synced = false;
+        this._post({ type: 'resync', seq: this._seq, req: ++this._request });
     }
 
     /**
      * @function
      * @private
-     * @name Observer#_emitWildcardDeeper
-     * @description Each node scan against an events cache.
-     * @param {object} node - Node in events cache to be scanned.
-     * @param {string} path - Constructed event path as a string.
-     * @param {Array.<string|number>} pathParts - Original path as an array of string.
-     * @param {number} depth - Depth of a scan.
-     * @param {string} type - Type of a change: `set` or `unset`.
-     * @param {*} value - Value for an event.
-     * @param {*} old - Old value for an event.
+     * @name ObserverSync#_sendSnapshot
+     * @description Sends a snapshot of data, changes after which are streamed.
+     * @param {number} req - Number of a request that snapshot replies to.
      */
-    _emitWildcardDeeper(node, path, pathParts, depth, type, value, old, to) {
-        if (node.end && (depth - 1) === pathParts.length) {
-            this.emit(path + ':' + type, pathParts, value, old, to);
-        }
+    _sendSnapshot(req) {
+        this._snapshotSeq = this._seq;
+        this._post({ type: 'snapshot', seq: this._seq, req: req, data: clone(this.observer.data) });
+    }
 
-        const part = pathParts[pathParts.length - depth];
+    /**
+     * @function
+     * @private
+     * @name ObserverSync#_post
+     * @description Posts a message of the channel to the other side.
+     * @param {object} message - Message.
+     */
+    _post(message) {
+        message.channel = this._channel;
+        this._port.postMessage(message);
+    }
+}
 
-        // specific
-        if (node.has(part)) {
-            this._emitWildcardDeeper(node.get(part), (path ? part + '.' + path : part), pathParts, depth + 1, type, value, old, to);
-        }
+/**
+ * @class
+ * @name ObserverGroup
+ * @classdesc Group of events of an {@link Observer}, created using {@link Observer#group}, that are removed together. Events removed individually leave the group.
+ * @param {Observer} observer - Observer to subscribe to.
+ * @param {object} [options] - Options, see {@link Observer#group}.
+ * @property {Observer} observer Observer that events are subscribed to.
+ * @property {number} size Number of events in the group.
+ * @example
+ * const controller = new AbortController();
+ * const events = obj.group({ signal: controller.signal });
+ *
+ * events.on('*.name:set', (path, value) => { });
+ * events.once('entities:insert', (path, value) => { });
+ *
+ * controller.abort(); // all events are removed
+ */
+class ObserverGroup {
+    constructor(observer, options = { }) {
+        this.observer = observer;
 
-        // wildcard
-        if (node.has('*')) {
-            this._emitWildcardDeeper(node.get('*'), (path ? '*.' + path : '*'), pathParts, depth + 1, type, value, old, to);
-        }
+        this._signal = options.signal || null;
+        this._owner = options.owner || null;
+        this._handlers = new Set();
+    }
+
+    get size() {
+        return this._handlers.size;
     }
 
     /**
      * @function
-     * @private
-     * @name Observer#_makePathParts
-     * @description Returns list of strings based on provided path. Uses caching to reduce calls of `split('.')`.
-     * @param {string|number} path - Path.
-     * @returns {Array.<string|number>} List of strings based on provided path.
+     * @name ObserverGroup#on
+     * @description Subscribes to an event of an observer, see {@link Observer#on}.
+     * @param {string|Array.<string>} name - Name of an event.
+     * @param {function} callback - Callback of an event.
+     * @param {object} [scope] - Scope for a callback.
+     * @param {boolean|object} [options] - If true, callback is called only once. Or options object, see {@link Observer#on}.
+     * @returns {object} Event handler with `off` method.
      */
-    _makePathParts(path, generateLefts = false) {
-        let parts = this._pathCache.get(path);
-        if (! parts) {
-            if (path === null || path === '') {
-                parts = [ ];
-            } else {
-                if (Number.isInteger(path))
-                    path = path.toString();
+    on(name, callback, scope, options = false) {
+        if (typeof(options) !== 'object' || options === null)
+            options = { once: options };
 
-                parts = path.split('.');
+        options = Object.assign({ signal: this._signal, owner: this._owner }, options);
 
-                let node = this.data;
-                for(let i = 0; i < parts.length; i++) {
-                    let part = parts[i];
+        const evt = this.observer.on(name, callback, scope, options);
+        const destroy = evt.destroy;
+        evt.destroy = () => {
+            this._handlers.delete(evt);
+            destroy();
+        };
 
-                    if (Array.isArray(node)) {
-                        const int = parseInt(part, 10);
-                        if (Number.isInteger(int))
-                            parts[i] = part = int;
-                    }
+        // signal could have been aborted already
+        if (! options.signal || ! options.signal.aborted)
+            this._handlers.add(evt);
 
-                    node = node[part];
+        return evt;
+    }
 
-                    if (node === null || node === undefined)
-                        break;
-                }
-            }
-            this._pathCache.set(path, parts);
-        }
-        return parts;
+    /**
+     * @function
+     * @name ObserverGroup#once
+     * @description Subscribes to an event of an observer, and callback is called only once.
+     * @param {string|Array.<string>} name - Name of an event.
+     * @param {function} callback - Callback of an event.
+     * @param {object} [scope] - Scope for a callback.
+     * @returns {object} Event handler with `off` method.
+     */
+    once(name, callback, scope) {
+        return this.on(name, callback, scope, true);
     }
 
     /**
      * @function
-     * @private
-     * @name Observer#_checkSet
-     * @description Check if data should generate `set` events based on new and old data.
-     * @param {string|number} path - Path.
-     * @param {*} data - New data to be set.
-     * @param {*} old - Previous data.
+     * @name ObserverGroup#off
+     * @description Removes all events of the group. Group can still be used to subscribe to events.
      */
-    _checkSet(path, data, old) {
-        const dataIsObject = (typeof(data) === 'object' && data instanceof Object);
-        const oldIsObject = (typeof(old) === 'object' && old instanceof Object);
+    off() {
+        for(const evt of Array.from(this._handlers))
+            evt.off();
 
-        if (dataIsObject) {
-            for(let key in data) {
-                this._checkSet(path + (path ? '.' : '') + key, data[key], oldIsObject ? old[key] : undefined);
-            }
-        }
+        this._handlers.clear();
+    }
+}
 
-        if (data !== old && ((dataIsObject && ! oldIsObject) || (! dataIsObject && oldIsObject) || (! dataIsObject && ! oldIsObject))) {
-            this._emitWildcard(path, 'set', data, old);
-        }
+/**
+ * @class
+ * @name ObserverMemoryStorage
+ * @classdesc Storage adapter for {@link Observer#persist}, that keeps data in memory. Useful for tests, or as a base for custom adapters.
+ * @property {object|array|null} data Saved data.
+ * @property {Array.<object>} ops Operations appended since data has been saved.
+ * @example
+ * const storage = new ObserverMemoryStorage();
+ * obj.persist(storage);
+ */
+class ObserverMemoryStorage {
+    constructor() {
+        this.data = null;
+        this.ops = [ ];
     }
 
     /**
      * @function
-     * @private
-     * @name Observer#_checkUnset
-     * @description Check if data should generate `unset` events based on old and new data.
-     * @param {string|number} path - Path.
-     * @param {*} old - Previous data.
-     * @param {*} data - New data.
+     * @name ObserverMemoryStorage#load
+     * @description Loads saved data and operations appended after that.
+     * @returns {Promise<object|null>} Resolves to an object with `data` and `ops`, or null if nothing has been saved.
      */
-    _checkUnset(path, old, data) {
-        if (typeof(old) === 'object' && old instanceof Object) {
-            const dataIsObject = (typeof(data) === 'object' && data instanceof Object);
+    load() {
+        if (this.data === null)
+            return Promise.resolve(null);
 
-            for(let key in old) {
-                this._checkUnset(path + (path ? '.' : '') + key, old[key], dataIsObject ? data[key] : undefined);
-            }
-        }
+        return Promise.resolve({
+            data: clone(this.data),
+            ops: clone(this.ops)
+        });
+    }
 
-        if (data === undefined) {
-            this._emitWildcard(path, 'unset', old);
-        }
+    /**
+     * @function
+     * @name ObserverMemoryStorage#save
+     * @description Saves whole data, and discards appended operations.
+     * @param {object|array} data - Data.
+     * @returns {Promise} Resolves when data is saved.
+     */
+    save(data) {
+        this.data = clone(data);
+        this.ops = [ ];
+        return Promise.resolve();
     }
 
     /**
      * @function
-     * @private
-     * @name Observer#_patchNode
-     * @description Patch node of data based on path and new data.
-     * @param {string|number} path - Path.
-     * @param {object} node - Node of current data.
-     * @param {*} data - New partial data to be used for patching.
+     * @name ObserverMemoryStorage#append
+     * @description Saves operations applied since data or previous operations have been saved.
+     * @param {Array.<object>} ops - List of operations.
+     * @returns {Promise} Resolves when operations are saved.
      */
-    _patchNode(path, node, data) {
-        // update existing data first
-        for(let key in node) {
-            if (data[key] === undefined)
-                continue;
+    append(ops) {
+        for(let i = 0; i < ops.length; i++)
+            this.ops.push(clone(ops[i]));
+        return Promise.resolve();
+    }
+}
 
-            let current = node[key];
-            let currentIsObject = (typeof(current) === 'object' && current instanceof Object);
-            let pathDeeper = path + (path ? '.' : '') + key;
+/**
+ * @class
+ * @name ObserverWebStorage
+ * @classdesc Storage adapter for {@link Observer#persist}, that keeps data as JSON in [Web Storage](https://developer.mozilla.org/en-US/docs/Web/API/Web_Storage_API), e.g. `localStorage`. Whole data is saved on each write.
+ * @param {string} key - Key of an item in a storage.
+ * @param {Storage} [storage] - Web Storage. Defaults to `localStorage`.
+ * @property {string} key Key of an item in a storage.
+ * @example
+ * obj.persist(new ObserverWebStorage('settings'), { debounce: 500 });
+ */
+class ObserverWebStorage {
+    constructor(key, storage) {
+        this.key = key;
+        this._storage = storage || localStorage;
+    }
 
-            if (currentIsObject) {
-                if (typeof(data[key]) === 'object' && data[key] instanceof Object) {
-                    this._patchNode(pathDeeper, current, data[key]);
-                } else {
-                    node[key] = data[key];
-                    this._checkUnset(pathDeeper, current, data[key]);
-                    this._emitWildcard(pathDeeper, 'set', data[key], current);
+    /**
+     * @function
+     * @name ObserverWebStorage#load
+     * @description Loads saved data.
+     * @returns {Promise<object|null>} Resolves to an object with `data`, or null if nothing has been saved.
+     */
+    load() {
+        const json = this._storage.getItem(this.key);
+        if (json === null)
+            return Promise.resolve(null);
+
+        return Promise.resolve({
+            data: JSON.parse(json),
+            ops: [ ]
+        });
+    }
+
+    /**
+     * @function
+     * @name ObserverWebStorage#save
+     * @description Saves whole data.
+     * @param {object|array} data - Data.
+     * @returns {Promise} Resolves when data is saved.
+     */
+    save(data) {
+        this._storage.setItem(this.key, JSON.stringify(data));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * @class
+ * @name ObserverFileStorage
+ * @classdesc Storage adapter for {@link Observer#persist} in Node.js, that keeps whole data in a JSON file, and operations applied after that in a journal file next to it, one JSON per line. Data file is replaced atomically, and incomplete last line of a journal is ignored, so data survives a crash while writing. `fs` module is provided by application, so library does not depend on it in browsers.
+ * @param {object} fs - Node.js `fs` module.
+ * @param {string} filename - Path to a data file. Journal file has the same path with `.journal` extension added.
+ * @property {string} filename Path to a data file.
+ * @example
+ * const fs = require('fs');
+ *
+ * obj.persist(new ObserverFileStorage(fs, './data/world.json'));
+ */
+class ObserverFileStorage {
+    constructor(fs, filename) {
+        this.filename = filename;
+        this._fs = fs.promises || fs;
+        this._seq = 0;
+    }
+
+    /**
+     * @function
+     * @name ObserverFileStorage#load
+     * @description Loads saved data and operations from a journal, that have been appended after that.
+     * @returns {Promise<object|null>} Resolves to an object with `data` and `ops`, or null if data file does not exist.
+     */
+    load() {
+        return this._fs.readFile(this.filename, 'utf8').then((json) => {
+            const saved = JSON.parse(json);
+            this._seq = saved.seq;
+
+            return this._fs.readFile(this.filename + '.journal', 'utf8').catch((err) => {
+                if (err.code === 'ENOENT') return '';
+                throw err;
+            }).then((text) => {
+                const lines = text.split('\n');
+                const ops = [ ];
+
+                for(let i = 0; i < lines.length; i++) {
+                    if (! lines[i])
+                        continue;
+
+                    let entry;
+                    try {
+                        entry = JSON.parse(lines[i]);
+                    } catch(ex) {
+                        // incomplete write
+                        break;
+                    }
+
+                    // already in saved data
+                    if (entry.seq <= saved.seq)
+                        continue;
+
+                    this._seq = entry.seq;
+                    ops.push(entry.op);
                 }
-            } else {
-                node[key] = data[key];
-                this._checkSet(pathDeeper, data[key], current);
-            }
-        }
 
-        // add new data
-        for(let key in data) {
-            if (node.hasOwnProperty(key))
-                continue;
+                return {
+                    data: saved.data,
+                    ops: ops
+                };
+            });
+        }, (err) => {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        });
+    }
 
-            let value = data[key];
-            let pathDeeper = path + (path ? '.' : '') + key;
+    /**
+     * @function
+     * @name ObserverFileStorage#save
+     * @description Saves whole data, and clears a journal.
+     * @param {object|array} data - Data.
+     * @returns {Promise} Resolves when data is saved.
+     */
+    save(data) {
+        const tmp = this.filename + '.tmp';
+        const json = JSON.stringify({ seq: this._seq, data: data });
 
-            node[key] = value;
-            this._checkSet(pathDeeper, value, undefined);
+        return this._fs.writeFile(tmp, json).then(() => {
+            return this._fs.rename(tmp, this.filename);
+        }).then(() => {
+            return this._fs.writeFile(this.filename + '.journal', '');
+        });
+    }
 
-            if (Array.isArray(node)) {
-                this._emitWildcard(path, 'insert', node[key], parseInt(key, 10));
-            }
-        }
+    /**
+     * @function
+     * @name ObserverFileStorage#append
+     * @description Appends operations to a journal.
+     * @param {Array.<object>} ops - List of operations.
+     * @returns {Promise} Resolves when operations are saved.
+     */
+    append(ops) {
+        let text = '';
+        for(let i = 0; i < ops.length; i++)
+            text += JSON.stringify({ seq: ++this._seq, op: ops[i] }) + '\n';
+
+        return this._fs.appendFile(this.filename + '.journal', text);
     }
 }
 
-if (typeof(module) !== 'undefined')
+if (typeof(module) !== 'undefined') {
     module.exports = Observer;
+    module.exports.ObserverHistory = ObserverHistory;
+    module.exports.ObserverPatchRecorder = ObserverPatchRecorder;
+    module.exports.ObserverScope = ObserverScope;
+    module.exports.ObserverQuery = ObserverQuery;
+    module.exports.ObserverSync = ObserverSync;
+    module.exports.ObserverGroup = ObserverGroup;
+    module.exports.ObserverMemoryStorage = ObserverMemoryStorage;
+    module.exports.ObserverWebStorage = ObserverWebStorage;
+    module.exports.ObserverFileStorage = ObserverFileStorage;
+    module.exports.ObserverDiff = diff;
+}
 
-if (typeof(window) !== 'undefined')
+if (typeof(window) !== 'undefined') {
     window['Observer'] = Observer;
+    window['ObserverHistory'] = ObserverHistory;
+    window['ObserverPatchRecorder'] = ObserverPatchRecorder;
+    window['ObserverScope'] = ObserverScope;
+    window['ObserverQuery'] = ObserverQuery;
+    window['ObserverSync'] = ObserverSync;
+    window['ObserverGroup'] = ObserverGroup;
+    window['ObserverMemoryStorage'] = ObserverMemoryStorage;
+    window['ObserverWebStorage'] = ObserverWebStorage;
+    window['ObserverFileStorage'] = ObserverFileStorage;
+    window['ObserverDiff'] = diff;
+}
 
+export { ObserverHistory, ObserverPatchRecorder, ObserverScope, ObserverQuery, ObserverSync, ObserverGroup, ObserverMemoryStorage, ObserverWebStorage, ObserverFileStorage, diff, diff as ObserverDiff };
 export default Observer;
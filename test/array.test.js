@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory } from '../src/index.js';
+
+const record = (obj, path) => {
+    const events = [ ];
+    for(const type of [ 'insert', 'move', 'remove' ])
+        obj.on(path + ':' + type, (path, value, a, b) => events.push((type === 'move') ? [ type, value, a, b ] : [ type, value, a ]));
+    obj.on(path + ':reorder', (path, order) => events.push([ 'reorder', order ]));
+    return events;
+};
+
+test('splice removes and inserts items, same as native', () => {
+    const obj = new Observer({ list: [ 'a', 'b', 'c', 'd' ] });
+    const events = record(obj, 'list');
+
+    const removed = obj.splice('list', 1, 2, 'x', 'y', 'z');
+
+    assert.deepEqual(removed, [ 'b', 'c' ]);
+    assert.deepEqual(obj.data.list, [ 'a', 'x', 'y', 'z', 'd' ]);
+    assert.deepEqual(events[events.length - 1], [ 'reorder', [ 0, -1, -1, -1, 3 ] ]);
+    assert.deepEqual(events.filter((evt) => evt[0] === 'remove').map((evt) => evt[1]).sort(), [ 'b', 'c' ]);
+    assert.deepEqual(events.filter((evt) => evt[0] === 'insert').map((evt) => [ evt[1], evt[2] ]), [ [ 'x', 1 ], [ 'y', 2 ], [ 'z', 3 ] ]);
+
+    assert.deepEqual(obj.splice('list', -2), [ 'z', 'd' ]);
+    assert.deepEqual(obj.data.list, [ 'a', 'x', 'y' ]);
+});
+
+test('insertMany and removeMany', () => {
+    const obj = new Observer({ list: [ 'a', 'b' ] });
+
+    obj.insertMany('list', [ 'x', 'y' ], 1);
+    assert.deepEqual(obj.data.list, [ 'a', 'x', 'y', 'b' ]);
+    obj.insertMany('list', [ 'z' ]);
+    assert.deepEqual(obj.data.list, [ 'a', 'x', 'y', 'b', 'z' ]);
+
+    assert.deepEqual(obj.removeMany('list', [ -1, 0, 2, 9 ]), [ 'a', 'y', 'z' ]);
+    assert.deepEqual(obj.data.list, [ 'x', 'b' ]);
+});
+
+test('sort, reverse and swap fire moves and a single reorder', () => {
+    const obj = new Observer({ list: [ 3, 1, 2 ] });
+    const events = record(obj, 'list');
+
+    obj.sort('list', (a, b) => a - b);
+    assert.deepEqual(obj.data.list, [ 1, 2, 3 ]);
+    assert.deepEqual(events, [ [ 'move', 1, 1, 0 ], [ 'move', 2, 2, 1 ], [ 'move', 3, 0, 2 ], [ 'reorder', [ 1, 2, 0 ] ] ]);
+
+    events.length = 0;
+    obj.reverse('list');
+    assert.deepEqual(obj.data.list, [ 3, 2, 1 ]);
+    assert.deepEqual(events[events.length - 1], [ 'reorder', [ 2, 1, 0 ] ]);
+
+    events.length = 0;
+    obj.swap('list', 0, -1);
+    assert.deepEqual(obj.data.list, [ 1, 2, 3 ]);
+    assert.deepEqual(events, [ [ 'move', 1, 2, 0 ], [ 'move', 3, 0, 2 ], [ 'reorder', [ 2, 1, 0 ] ] ]);
+
+    events.length = 0;
+    obj.sort('list', (a, b) => a - b);
+    obj.swap('list', 1, 1);
+    assert.deepEqual(events, [ ]);
+});
+
+test('default sort order is same as native', () => {
+    const list = [ 10, 9, 1, undefined, 'b', 'B', 2 ];
+    const obj = new Observer({ list: list.slice(0) });
+
+    obj.sort('list');
+
+    assert.deepEqual(obj.data.list, list.slice(0).sort());
+    assert.deepEqual(obj.data.list.slice(0, 3), [ 1, 10, 2 ]);
+});
+
+test('bulk mutations are a single undo step', () => {
+    const obj = new Observer({ list: [ 'c', 'a', 'b' ] });
+    const history = new ObserverHistory(obj);
+
+    obj.sort('list');
+    obj.splice('list', 0, 1, 'x', 'y');
+
+    history.undo();
+    assert.deepEqual(obj.data.list, [ 'a', 'b', 'c' ]);
+    history.undo();
+    assert.deepEqual(obj.data.list, [ 'c', 'a', 'b' ]);
+});
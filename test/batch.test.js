@@ -0,0 +1,219 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory } from '../src/index.js';
+
+test('events are fired after transaction, with a single op', () => {
+    const obj = new Observer({ p: { x: 1 }, list: [ 1, 2, 3 ] });
+    const events = [ ];
+    const ops = [ ];
+    obj.on('p.x:set', (path, value) => events.push(value));
+    obj.on('op', (op) => ops.push(op));
+
+    obj.batch(() => {
+        obj.set('p.x', 5);
+        obj.set('p.x', 6);
+        obj.remove('list', 0);
+        assert.deepEqual(events, [ ]);
+    });
+
+    assert.deepEqual(events, [ 5, 6 ]);
+    assert.equal(ops.length, 1);
+    assert.equal(ops[0].type, 'batch');
+    assert.equal(ops[0].ops.length, 3);
+});
+
+test('collapse fires a single event per path', () => {
+    const obj = new Observer({ p: { x: 1, y: 2 } });
+    const events = [ ];
+    obj.on('*.*:set', (path, value) => events.push([ path.join('.'), value ]));
+
+    obj.batch(() => {
+        obj.set('p.x', 7);
+        obj.set('p.x', 8);
+        obj.set('p.y', 2);
+    }, { collapse: true });
+
+    assert.deepEqual(events, [ [ 'p.x', 8 ] ]);
+});
+
+test('failed transaction reverts data and discards events and ops', () => {
+    const obj = new Observer({ p: { x: 1 }, list: [ 1, 2, 3 ] });
+    const before = structuredClone(obj.data);
+    let events = 0;
+    let ops = 0;
+    obj.on('*:set', () => events++);
+    obj.on('list:insert', () => events++);
+    obj.on('op', () => ops++);
+
+    assert.throws(() => {
+        obj.batch(() => {
+            obj.set('p', { z: 1 });
+            obj.insert('list', 9, 0);
+            obj.move('list', 0, 2);
+            obj.set('list.5', 'x');
+            throw new Error('failed');
+        });
+    }, /failed/);
+
+    assert.deepEqual(obj.data, before);
+    assert.equal(events, 0);
+    assert.equal(ops, 0);
+});
+
+test('failed nested transaction reverts only its changes', () => {
+    const obj = new Observer({ });
+    const history = new ObserverHistory(obj);
+
+    obj.batch(() => {
+        obj.set('a', 1);
+        try {
+            obj.batch(() => {
+                obj.set('b', 2);
+                throw new Error('failed');
+            });
+        } catch(ex) { }
+        obj.set('c', 3);
+    });
+
+    assert.deepEqual(obj.data, { a: 1, c: 3 });
+    history.undo();
+    assert.deepEqual(obj.data, { });
+});
+
+test('revert is not blocked by interceptors', () => {
+    const obj = new Observer({ cfg: { } });
+    const rejected = [ ];
+    obj.intercept('cfg.*', (op) => {
+        if (op.type === 'unset') return false;
+    });
+    obj.on('rejected', (op) => rejected.push(op));
+
+    assert.throws(() => {
+        obj.batch(() => {
+            obj.set('cfg.k', 1);
+            throw new Error('failed');
+        });
+    });
+
+    assert.deepEqual(obj.data, { cfg: { } });
+    assert.deepEqual(rejected, [ ]);
+});
+
+test('revert is not blocked by locks', () => {
+    const obj = new Observer({ doc: { title: 'a' } });
+
+    assert.throws(() => {
+        obj.batch(() => {
+            obj.set('doc.title', 'b', 'alice');
+            obj.lock('doc', 'alice');
+            throw new Error('failed');
+        });
+    });
+
+    assert.deepEqual(obj.data, { doc: { title: 'a' } });
+});
+
+test('revert restores computed values', () => {
+    const obj = new Observer({ a: { b: 1 } });
+    obj.computed('a.sum', [ 'a.b' ], (b) => b * 2);
+
+    assert.throws(() => {
+        obj.batch(() => {
+            obj.set('a.b', 5);
+            throw new Error('failed');
+        });
+    });
+
+    assert.deepEqual(obj.data, { a: { b: 1, sum: 2 } });
+});
+
+test('undo and redo are not blocked by interceptors', () => {
+    const obj = new Observer({ cfg: { } });
+    const history = new ObserverHistory(obj);
+    let locked = false;
+    obj.intercept('cfg.*', () => {
+        if (locked) return false;
+    });
+
+    obj.set('cfg.k', 1);
+    locked = true;
+
+    assert.equal(history.undo(), true);
+    assert.deepEqual(obj.data, { cfg: { } });
+    assert.equal(history.redo(), true);
+    assert.deepEqual(obj.data, { cfg: { k: 1 } });
+
+    obj.set('cfg.k', 2);
+    assert.equal(obj.data.cfg.k, 1);
+});
+
+test('returns value of a function and merges nested transactions', () => {
+    const obj = new Observer({ });
+    const ops = [ ];
+    obj.on('op', (op) => ops.push(op));
+
+    const result = obj.batch(() => {
+        obj.set('a', 1);
+        obj.batch(() => obj.set('b', 2));
+        return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal(ops.length, 1);
+    assert.deepEqual(ops[0].ops.map((op) => op.path), [ 'a', 'b' ]);
+});
+
+test('collapse skips paths that end up with the same value', () => {
+    const obj = new Observer({ a: 1, b: 1 });
+    const events = [ ];
+    obj.on('*:set', (path, value, old) => events.push([ path[0], value, old ]));
+    obj.on('*:unset', (path, old) => events.push([ path[0], old ]));
+
+    obj.batch(() => {
+        obj.set('a', 2);
+        obj.set('a', 1);
+        obj.set('b', 2);
+        obj.set('b', 3);
+        obj.set('c', 1);
+        obj.unset('c');
+    }, { collapse: true });
+
+    assert.deepEqual(events, [ [ 'b', 3, 1 ] ]);
+});
+
+test('collapse drops change events and ops of paths that end up with the same value', () => {
+    const obj = new Observer({ a: 1, p: { x: 1 }, list: [ 1 ] });
+    const changes = [ ];
+    const ops = [ ];
+    obj.on('*:change', (path) => changes.push(path.join('.')));
+    obj.on('op', (op) => ops.push(op));
+
+    obj.batch(() => {
+        obj.set('a', 2);
+        obj.set('a', 1);
+    }, { collapse: true });
+
+    assert.deepEqual(changes, [ ]);
+    assert.deepEqual(ops, [ ]);
+
+    obj.batch(() => {
+        obj.set('a', 2);
+        obj.set('a', 3);
+        obj.set('p.x', 2);
+        obj.set('p', { x: 5 });
+        obj.set('p.x', 1);
+        obj.insert('list', 2);
+        obj.remove('list', -1);
+    }, { collapse: true });
+
+    // p ends up with the same value, but its ops are kept in order
+    assert.deepEqual(changes, [ 'a', 'list.1' ]);
+    assert.deepEqual(ops[0].ops.map((op) => [ op.type, op.path, op.value ]), [
+        [ 'set', 'a', 3 ],
+        [ 'set', 'p.x', 2 ],
+        [ 'set', 'p', obj.get('p') ],
+        [ 'set', 'p.x', 1 ],
+        [ 'insert', 'list', 2 ],
+        [ 'remove', 'list', 2 ]
+    ]);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('path cache is bounded, and keeps recently used paths', () => {
+    const obj = new Observer({ a: { b: 1 } }, { pathCacheSize: 4 });
+
+    obj.get('a.b');
+    assert.deepEqual(obj.pathCacheStats(), { size: 1, limit: 4, misses: 1, evictions: 0 });
+
+    obj.get('a.b');
+    assert.equal(obj.pathCacheStats().misses, 1);
+
+    for(let i = 0; i < 3; i++)
+        obj.get('a.x' + i);
+    obj.get('a.b');
+
+    for(let i = 3; i < 6; i++)
+        obj.get('a.x' + i);
+
+    const stats = obj.pathCacheStats();
+    assert.ok(stats.size <= stats.limit);
+    assert.ok(stats.evictions > 0);
+
+    // recently used path is not evicted
+    obj.get('a.b');
+    assert.equal(obj.pathCacheStats().misses, stats.misses);
+    assert.equal(obj.get('a.b'), 1);
+});
+
+test('path cache can be disabled', () => {
+    const obj = new Observer({ a: { b: 1 } }, { pathCacheSize: 0 });
+
+    assert.equal(obj.get('a.b'), 1);
+    assert.equal(obj.get('a.b'), 1);
+    assert.deepEqual(obj.pathCacheStats(), { size: 0, limit: 0, misses: 2, evictions: 0 });
+});
+
+test('cached paths are resolved by keys after keyed paths are used', () => {
+    const obj = new Observer({ list: [ { id: 'a', v: 1 }, { id: 'b', v: 2 } ] });
+
+    assert.equal(obj.get('list.0.v'), 1);
+    assert.equal(obj.get('list[id=b].v'), 2);
+
+    obj.move('list', 1, 0);
+    assert.equal(obj.get('list[id=b].v'), 2);
+    assert.equal(obj.get([ 'list', 0, 'v' ]), 2);
+});
+
+test('events are emitted after first subscription', () => {
+    const obj = new Observer({ a: 1 });
+    const events = [ ];
+
+    obj.set('a', 2);
+    obj.on('set', (path, value) => events.push(value));
+    obj.set('a', 3);
+    obj.once('a:set', (path, value) => events.push('once ' + value));
+    obj.set('a', 4);
+    obj.set('a', 5);
+
+    assert.deepEqual(events, [ 3, 'once 4', 4, 5 ]);
+});
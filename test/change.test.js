@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('recursive wildcard matches zero or more levels', () => {
+    const obj = new Observer({ scene: { a: { b: 1 } } });
+    const events = [ ];
+    obj.on('scene.**:set', (path) => events.push(path.join('.')));
+    obj.on('**.b:set', (path) => events.push('b ' + path.join('.')));
+
+    obj.set('scene.a.b', 2);
+    obj.set('scene', 3);
+    obj.set('other', { b: 1 });
+
+    assert.deepEqual(events, [ 'b scene.a.b', 'scene.a.b', 'scene', 'b other.b' ]);
+});
+
+test('change is fired once on a path and each of its parents', () => {
+    const obj = new Observer({ scene: { entities: [ { x: 1 } ] } });
+    const events = [ ];
+    obj.on('scene:change', (path) => events.push([ 'scene', path.join('.') ]));
+    obj.on('scene.entities.*:change', (path) => events.push([ 'entity', path.join('.') ]));
+    obj.on('change', (path) => events.push([ '', path.join('.') ]));
+
+    obj.set('scene.entities.0.x', 2);
+    obj.insert('scene.entities', { x: 3 });
+    obj.move('scene.entities', 1, 0);
+    obj.remove('scene.entities', 0);
+    obj.unset('scene.entities.0.x');
+
+    assert.deepEqual(events, [
+        [ 'entity', 'scene.entities.0.x' ], [ 'scene', 'scene.entities.0.x' ], [ '', 'scene.entities.0.x' ],
+        [ 'entity', 'scene.entities.1' ], [ 'scene', 'scene.entities.1' ], [ '', 'scene.entities.1' ],
+        [ 'scene', 'scene.entities' ], [ '', 'scene.entities' ],
+        [ 'entity', 'scene.entities.0' ], [ 'scene', 'scene.entities.0' ], [ '', 'scene.entities.0' ],
+        [ 'entity', 'scene.entities.0.x' ], [ 'scene', 'scene.entities.0.x' ], [ '', 'scene.entities.0.x' ]
+    ]);
+});
+
+test('patch fires change once for each path', () => {
+    const obj = new Observer({ config: { a: 1, b: 2, deep: { c: 3 } } });
+    const events = [ ];
+    obj.on('config:change', (path) => events.push([ 'config', path.join('.') ]));
+    obj.on('config.deep:change', (path) => events.push([ 'deep', path.join('.') ]));
+    obj.on('config.*:change', (path) => events.push([ '*', path.join('.') ]));
+    obj.on('change', (path) => events.push([ '', path.join('.') ]));
+
+    obj.patch('', { config: { a: 5, b: 6, deep: { c: 7, d: 8 } } });
+
+    const count = (name) => events.filter((evt) => evt[0] === name).length;
+    assert.equal(count('config'), 1);
+    assert.equal(count('deep'), 1);
+    assert.equal(count(''), 1);
+    assert.deepEqual(events.filter((evt) => evt[0] === '*').map((evt) => evt[1]), [ 'config.a', 'config.b', 'config.deep.c' ]);
+    assert.deepEqual(events[events.length - 1], [ '', '' ]);
+});
+
+test('change is not tracked without subscribers', () => {
+    const obj = new Observer({ a: { b: 1 } });
+    const events = [ ];
+
+    obj.set('a.b', 2);
+
+    const evt = obj.on('a:change', (path) => events.push(path.join('.')));
+    obj.batch(() => obj.set('a.b', 3));
+    evt.off();
+    obj.set('a.b', 4);
+
+    assert.deepEqual(events, [ 'a.b' ]);
+});
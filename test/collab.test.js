@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+// authority and clients, connected by queues of serialized messages, delivered on demand
+const network = (data, ids) => {
+    const server = new Observer(structuredClone(data), { clientId: 'server', authority: true });
+    const toServer = [ ];
+    const clients = { };
+    const inboxes = { };
+
+    server.on('op:send', (op) => {
+        for(const id of ids)
+            inboxes[id].push(JSON.stringify(op));
+    });
+
+    for(const id of ids) {
+        clients[id] = new Observer(structuredClone(data), { clientId: id });
+        inboxes[id] = [ ];
+        clients[id].on('op:send', (op) => toServer.push(JSON.stringify(op)));
+    }
+
+    const flush = () => {
+        while(toServer.length || ids.some((id) => inboxes[id].length)) {
+            while(toServer.length)
+                server.applyRemote(JSON.parse(toServer.shift()));
+
+            for(const id of ids) {
+                while(inboxes[id].length)
+                    clients[id].applyRemote(JSON.parse(inboxes[id].shift()));
+            }
+        }
+    };
+
+    return { server, clients, flush };
+};
+
+test('concurrent array changes converge', () => {
+    const { server, clients, flush } = network({ list: [ 'a', 'b', 'c' ] }, [ 'alice', 'bob' ]);
+
+    clients.alice.insert('list', 'x', 0);
+    clients.alice.move('list', 1, 3);
+    clients.bob.remove('list', 1);
+    clients.bob.insert('list', 'y', 2);
+    server.set('title', 'doc');
+    flush();
+
+    assert.deepEqual(clients.alice.data, server.data);
+    assert.deepEqual(clients.bob.data, server.data);
+    assert.deepEqual([ ...server.data.list ].sort(), [ 'a', 'c', 'x', 'y' ]);
+    assert.equal(server.data.title, 'doc');
+    assert.equal(clients.alice.rev, server.rev);
+    assert.equal(clients.bob.rev, server.rev);
+});
+
+test('concurrent sets of the same path are resolved by client id', () => {
+    const { server, clients, flush } = network({ name: '' }, [ 'alice', 'bob' ]);
+
+    clients.bob.set('name', 'bob');
+    clients.alice.set('name', 'alice');
+    flush();
+
+    assert.equal(clients.alice.data.name, server.data.name);
+    assert.equal(clients.bob.data.name, server.data.name);
+});
+
+test('remote changes are flagged', () => {
+    const { clients, flush } = network({ }, [ 'alice', 'bob' ]);
+    const remote = [ ];
+    const ops = [ ];
+    clients.bob.on('*:set', (path, value) => remote.push([ value, clients.bob.remote ]));
+    clients.bob.on('op', (op) => ops.push(!! op.remote));
+
+    clients.alice.set('a', 1);
+    flush();
+    clients.bob.set('b', 2);
+    flush();
+
+    assert.deepEqual(remote, [ [ 1, true ], [ 2, false ] ]);
+    assert.deepEqual(ops, [ true, false ]);
+    assert.equal(clients.bob.remote, false);
+});
+
+test('authority refuses operations older than its log', () => {
+    const server = new Observer({ }, { clientId: 'server', authority: true, logSize: 2 });
+    server.set('a', 1);
+    server.set('b', 2);
+    server.set('c', 3);
+
+    assert.throws(() => server.applyRemote({ type: 'set', path: 'd', value: 4, client: 'alice', seq: 1, rev: 0 }), /too old/);
+    assert.equal(server.data.d, undefined);
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory } from '../src/index.js';
+
+test('computed value follows its dependencies', () => {
+    const obj = new Observer({ items: [ { price: 4 }, { price: 2 } ], tax: 0.5, total: 0 });
+    const totals = [ ];
+    obj.on('total:set', (path, value) => totals.push(value));
+
+    obj.computed('total', [ 'items.*.price', 'tax' ], (prices, tax) => {
+        return prices.reduce((a, b) => a + b, 0) * (1 + tax);
+    });
+    assert.equal(obj.get('total'), 9);
+
+    obj.insert('items', { price: 4 });
+    obj.set('items.0.name', 'milk');
+    obj.set('tax', 0);
+    assert.deepEqual(totals, [ 9, 15, 10 ]);
+});
+
+test('computed path is read-only', () => {
+    const obj = new Observer({ a: 1 });
+    obj.computed('b', [ 'a' ], (a) => a + 1);
+
+    obj.set('b', 0);
+    obj.unset('b');
+    assert.equal(obj.get('b'), 2);
+});
+
+test('circular dependencies throw', () => {
+    const obj = new Observer({ a: 1 });
+    obj.computed('b', [ 'a', 'c' ], (a, c) => a + (c || 0));
+
+    assert.throws(() => obj.computed('c', [ 'b' ], (b) => b), /circular/);
+});
+
+test('destroy stops recomputing', () => {
+    const obj = new Observer({ a: 1 });
+    const computed = obj.computed('b', [ 'a' ], (a) => a + 1);
+
+    computed.destroy();
+    obj.set('a', 5);
+    assert.equal(obj.get('b'), 2);
+    obj.set('b', 0);
+    assert.equal(obj.get('b'), 0);
+});
+
+for(const immutable of [ false, true ]) {
+    test(`computed value is restored when its parent is replaced${immutable ? ' (immutable)' : ''}`, () => {
+        const obj = new Observer({ a: { b: 3 } }, { immutable: immutable });
+        obj.computed('a.sum', [ 'a.b' ], (b) => b * 2);
+
+        obj.set('a', { b: 3 });
+        assert.deepEqual(obj.data, { a: { b: 3, sum: 6 } });
+
+        obj.set('a', { b: 4, sum: 100 });
+        assert.deepEqual(obj.data, { a: { b: 4, sum: 8 } });
+
+        obj.set({ a: { b: 1 } });
+        assert.deepEqual(obj.data, { a: { b: 1, sum: 2 } });
+
+        obj.batch(() => {
+            obj.set('a', { b: 2 });
+        });
+        assert.deepEqual(obj.data, { a: { b: 2, sum: 4 } });
+    });
+}
+
+test('undo of a replaced parent keeps computed value', () => {
+    const obj = new Observer({ a: { b: 3 } });
+    const history = new ObserverHistory(obj);
+    obj.computed('a.sum', [ 'a.b' ], (b) => b * 2);
+
+    obj.set('a', { b: 5 });
+    assert.deepEqual(obj.data, { a: { b: 5, sum: 10 } });
+
+    history.undo();
+    assert.deepEqual(obj.data, { a: { b: 3, sum: 6 } });
+
+    history.redo();
+    assert.deepEqual(obj.data, { a: { b: 5, sum: 10 } });
+});
+
+for(const immutable of [ false, true ]) {
+    test(`computed value follows unset of its dependencies${immutable ? ' (immutable)' : ''}`, () => {
+        const obj = new Observer({ items: [ { price: 4 }, { price: 2 } ], cart: { items: [ 1, 2, 3 ] } }, { immutable: immutable });
+        const sum = (list) => list.reduce((a, b) => a + (b || 0), 0);
+        obj.computed('total', [ 'items.*.price' ], sum);
+        obj.computed('count', [ 'cart.items' ], (items) => items ? sum(items) : 0);
+        assert.equal(obj.get('total'), 6);
+        assert.equal(obj.get('count'), 6);
+
+        obj.unset('items.0.price');
+        assert.equal(obj.get('total'), 2);
+
+        obj.unset('items');
+        obj.unset('cart');
+        assert.equal(obj.get('total'), 0);
+        assert.equal(obj.get('count'), 0);
+
+        obj.batch(() => {
+            obj.set('cart', { items: [ 5 ] });
+            obj.unset('cart');
+        });
+        assert.equal(obj.get('count'), 0);
+    });
+}
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('events of a group are removed together', () => {
+    const obj = new Observer({ position: { x: 0 }, list: [ ] });
+    const calls = [ ];
+    const events = obj.group();
+
+    events.on('position.x:set', (path, value) => calls.push(value));
+    events.once('list:insert', (path, value) => calls.push(value));
+    obj.on('set', () => { });
+    assert.equal(events.size, 2);
+
+    obj.insert('list', 'a');
+    obj.insert('list', 'b');
+    assert.equal(events.size, 1);
+
+    events.off();
+    obj.set('position.x', 1);
+
+    assert.deepEqual(calls, [ 'a' ]);
+    assert.equal(events.size, 0);
+    assert.deepEqual(obj.subscriptions(), [ { name: 'set', count: 1 } ]);
+
+    // group can be used again
+    events.on('position.x:set', (path, value) => calls.push(value));
+    obj.set('position.x', 2);
+    assert.deepEqual(calls, [ 'a', 2 ]);
+});
+
+test('event removed individually leaves a group', () => {
+    const obj = new Observer({ n: 0 });
+    const events = obj.group();
+
+    const evt = events.on('n:set', () => { });
+    events.on('n:unset', () => { });
+    evt.off();
+
+    assert.equal(events.size, 1);
+    assert.deepEqual(obj.subscriptions(), [ { name: 'n:unset', count: 1 } ]);
+});
+
+test('events are removed by a signal', () => {
+    const obj = new Observer({ n: 0 });
+    const controller = new AbortController();
+    const events = obj.group({ signal: controller.signal });
+    let calls = 0;
+
+    events.on('n:set', () => calls++);
+    obj.on('n:set', () => calls++, null, { signal: controller.signal });
+    obj.set('n', 1);
+
+    controller.abort();
+    obj.set('n', 2);
+
+    assert.equal(calls, 2);
+    assert.equal(events.size, 0);
+    assert.deepEqual(obj.subscriptions(), [ ]);
+
+    // signal is aborted already
+    events.on('n:set', () => calls++);
+    obj.set('n', 3);
+    assert.equal(calls, 2);
+    assert.equal(events.size, 0);
+});
+
+test('owner is a scope of callbacks', () => {
+    const obj = new Observer({ name: 'a' });
+    const owner = {
+        names: [ ],
+        render(path, value) {
+            this.names.push(value);
+        }
+    };
+
+    obj.group({ owner: owner }).on('name:set', owner.render);
+    obj.on('name:set', owner.render, null, { owner: owner });
+    obj.set('name', 'b');
+
+    assert.deepEqual(owner.names, [ 'b', 'b' ]);
+});
+
+test('subscriptions are listed by name', () => {
+    const obj = new Observer({ });
+    const a = obj.on('position.x:set', () => { });
+    obj.on('position.x:set', () => { });
+    obj.on('entities.*:insert', () => { });
+
+    assert.deepEqual(obj.subscriptions(), [
+        { name: 'position.x:set', count: 2 },
+        { name: 'entities.*:insert', count: 1 }
+    ]);
+
+    a.off();
+    a.off();
+    assert.deepEqual(obj.subscriptions()[0], { name: 'position.x:set', count: 1 });
+});
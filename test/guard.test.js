@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('guard reports writes outside of observer methods', () => {
+    const obj = new Observer({ position: { x: 4 }, list: [ 1 ] }, { guard: true });
+    const violations = [ ];
+    obj.on('violation', (path, err) => violations.push([ path, err instanceof Error ]));
+
+    obj.set('position.x', 2);
+    obj.insert('list', 2);
+    assert.deepEqual(violations, [ ]);
+
+    obj.get('position').x = 3;
+    obj.get('list').push(3);
+    delete obj.data.position;
+
+    assert.deepEqual(violations, [
+        [ [ 'position', 'x' ], true ],
+        [ [ 'list', 2 ], true ],
+        [ [ 'list', 'length' ], true ],
+        [ [ 'position' ], true ]
+    ]);
+    // write is still applied
+    assert.deepEqual(obj.data, { list: [ 1, 2, 3 ] });
+});
+
+test('guard throws on writes if requested', () => {
+    const obj = new Observer({ position: { x: 4 } }, { guard: 'throw' });
+
+    assert.throws(() => {
+        obj.get('position').x = 3;
+    }, /"position\.x" is modified outside of observer/);
+});
+
+test('guard reports writes to values provided in events', () => {
+    const obj = new Observer({ list: [ ], a: { b: { c: 1 } } }, { guard: true });
+    const violations = [ ];
+    obj.on('violation', (path) => violations.push(path.join('.')));
+
+    obj.on('list:insert', (path, value) => {
+        value.changed = true;
+    });
+    obj.on('a.b:unset', (path, value) => {
+        value.c = 2;
+    });
+
+    obj.insert('list', { n: 1 });
+    obj.unset('a.b');
+
+    assert.deepEqual(violations, [ 'list.0.changed', 'a.b.c' ]);
+});
+
+test('guard copies values provided to methods', () => {
+    const obj = new Observer({ list: [ ] }, { guard: true });
+    const value = { tags: [ 'a' ] };
+
+    obj.set('value', value);
+    obj.insert('list', value);
+    obj.splice('list', 0, 0, value);
+    value.tags.push('b');
+
+    assert.deepEqual(obj.data, { list: [ { tags: [ 'a' ] }, { tags: [ 'a' ] } ], value: { tags: [ 'a' ] } });
+});
+
+test('guard reports path of removed items where they have been', () => {
+    const obj = new Observer({ list: [ { id: 1, tags: [ ] }, { id: 2 } ] }, { guard: true });
+    const violations = [ ];
+    obj.on('violation', (path) => violations.push(path.join('.')));
+
+    const item = obj.get('list.0');
+    obj.remove('list', 0);
+    item.id = 3;
+    item.tags.push('a');
+
+    assert.deepEqual(violations, [ 'list.0.id', 'list.0.tags.0', 'list.0.tags.length' ]);
+});
+
+test('guard is disabled by default', () => {
+    const data = { position: { x: 4 } };
+    const obj = new Observer(data);
+
+    assert.equal(obj.get('position'), data.position);
+});
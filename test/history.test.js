@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory } from '../src/index.js';
+
+test('undo and redo every kind of mutation', () => {
+    const obj = new Observer({ position: { x: 4, y: 2 }, list: [ 1, 2, 3 ], selection: [ ] });
+    const history = new ObserverHistory(obj, { ignore: [ 'selection' ] });
+    const initial = structuredClone(obj.data);
+
+    obj.set('position.x', 8);
+    obj.patch('position', { z: 1, y: 5 });
+    obj.set('position', { q: 1 });
+    obj.insert('list', 9, 1);
+    obj.move('list', 0, -1);
+    obj.remove('list', 0);
+    obj.unset('list.1');
+    obj.insert('selection', 'a');
+    const changed = structuredClone(obj.data);
+
+    while(history.undo());
+    assert.deepEqual(obj.data, Object.assign(initial, { selection: [ 'a' ] }));
+
+    while(history.redo());
+    assert.deepEqual(obj.data, changed);
+});
+
+test('group is a single step', () => {
+    const obj = new Observer({ });
+    const history = new ObserverHistory(obj);
+
+    history.group(() => {
+        obj.set('a', 1);
+        obj.set('b', { c: [ 1 ] });
+        obj.insert('b.c', 2, 0);
+    });
+
+    assert.deepEqual(obj.data, { a: 1, b: { c: [ 2, 1 ] } });
+    assert.equal(history.undo(), true);
+    assert.deepEqual(obj.data, { });
+    assert.equal(history.canUndo, false);
+});
+
+test('undo of set beyond array length removes padding', () => {
+    const obj = new Observer({ l: [ ] });
+    const history = new ObserverHistory(obj);
+    const inserts = [ ];
+    obj.on('l:insert', (path, value, index) => inserts.push([ value, index ]));
+
+    obj.set('l.3', 'x');
+    assert.deepEqual(obj.data.l, [ null, null, null, 'x' ]);
+    assert.deepEqual(inserts, [ [ null, 0 ], [ null, 1 ], [ null, 2 ], [ 'x', 3 ] ]);
+
+    history.undo();
+    assert.deepEqual(obj.data.l, [ ]);
+
+    history.redo();
+    assert.deepEqual(obj.data.l, [ null, null, null, 'x' ]);
+
+    obj.set('l.4', 'y');
+    history.undo();
+    assert.deepEqual(obj.data.l, [ null, null, null, 'x' ]);
+});
+
+test('depth limits number of steps', () => {
+    const obj = new Observer({ a: 0 });
+    const history = new ObserverHistory(obj, { depth: 2 });
+
+    obj.set('a', 1);
+    obj.set('a', 2);
+    obj.set('a', 3);
+
+    while(history.undo());
+    assert.equal(obj.data.a, 1);
+});
+
+test('op is emitted only while subscribed', () => {
+    const obj = new Observer({ l: [ ] });
+    const ops = [ ];
+
+    obj.set('a', 1);
+
+    const evt = obj.on('op', (op) => ops.push(op.type));
+    obj.set('a', 2);
+    obj.insert('l', 1);
+    obj.set('l.2', 3);
+    obj.unset('a');
+    evt.off();
+
+    obj.set('b', 1);
+    assert.deepEqual(ops, [ 'set', 'insert', 'batch', 'unset' ]);
+});
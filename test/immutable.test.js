@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory } from '../src/index.js';
+
+test('changes copy nodes up to the root and share the rest', () => {
+    const obj = new Observer({ a: { x: 1 }, b: { y: [ 1, 2 ] } }, { immutable: true });
+    const before = obj.snapshot();
+
+    obj.set('a.x', 2);
+    const after = obj.snapshot();
+
+    assert.notEqual(before, after);
+    assert.notEqual(before.a, after.a);
+    assert.equal(before.b, after.b);
+    assert.equal(before.a.x, 1);
+    assert.equal(after.a.x, 2);
+    assert.equal(obj.data, after);
+});
+
+test('data is frozen, including values that are set', () => {
+    const obj = new Observer({ a: { x: 1 } }, { immutable: true });
+    const value = { list: [ { z: 1 } ] };
+
+    obj.set('b', value);
+
+    assert.ok(Object.isFrozen(obj.data));
+    assert.ok(Object.isFrozen(obj.get('a')));
+    assert.ok(Object.isFrozen(value.list[0]));
+    assert.throws(() => {
+        obj.data.a.x = 5;
+    }, TypeError);
+});
+
+test('every mutation keeps older values intact', () => {
+    const obj = new Observer({ list: [ 'a', 'b', 'c' ], o: { p: 1 } }, { immutable: true });
+    const history = new ObserverHistory(obj);
+    const values = [ ];
+    obj.on('list:remove', (path, value) => values.push(value));
+
+    const snapshots = [ obj.snapshot() ];
+    obj.insert('list', 'd');
+    snapshots.push(obj.snapshot());
+    obj.move('list', 0, 2);
+    snapshots.push(obj.snapshot());
+    obj.remove('list', 0);
+    snapshots.push(obj.snapshot());
+    obj.patch('o', { q: 2 });
+    snapshots.push(obj.snapshot());
+    obj.unset('o.p');
+    snapshots.push(obj.snapshot());
+
+    assert.deepEqual(snapshots.map((data) => data.list), [
+        [ 'a', 'b', 'c' ],
+        [ 'a', 'b', 'c', 'd' ],
+        [ 'b', 'c', 'a', 'd' ],
+        [ 'c', 'a', 'd' ],
+        [ 'c', 'a', 'd' ],
+        [ 'c', 'a', 'd' ]
+    ]);
+    assert.deepEqual(snapshots.map((data) => data.o), [ { p: 1 }, { p: 1 }, { p: 1 }, { p: 1 }, { p: 1, q: 2 }, { q: 2 } ]);
+    assert.deepEqual(values, [ 'b' ]);
+
+    while(history.undo());
+    assert.deepEqual(obj.data, snapshots[0]);
+});
+
+test('snapshot of mutable observer is a frozen copy', () => {
+    const obj = new Observer({ a: { x: 1 } });
+    const snapshot = obj.snapshot();
+
+    obj.set('a.x', 2);
+
+    assert.equal(snapshot.a.x, 1);
+    assert.ok(Object.isFrozen(snapshot.a));
+    assert.ok(! Object.isFrozen(obj.data));
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory } from '../src/index.js';
+
+const clamp = (op) => {
+    op.value = Math.min(Math.max(op.value, 0), 50);
+};
+
+test('interceptor changes or cancels a mutation', () => {
+    const obj = new Observer({ n: 1, config: { v: 1 } });
+    const rejected = [ ];
+    obj.on('rejected', (op) => rejected.push(op.path));
+    obj.intercept('n', clamp);
+    const config = obj.intercept('config.**', () => false);
+
+    obj.set('n', 70);
+    obj.set('config.v', 2);
+    obj.unset('config');
+    assert.deepEqual(obj.data, { n: 50, config: { v: 1 } });
+    assert.deepEqual(rejected, [ 'config.v', 'config' ]);
+
+    config.off();
+    obj.set('config.v', 2);
+    assert.equal(obj.get('config.v'), 2);
+});
+
+test('values within written objects are intercepted', () => {
+    const obj = new Observer({ n: 1, config: { v: 1, w: 1 }, other: 1 });
+    const rejected = [ ];
+    obj.on('rejected', (op) => rejected.push(op.type + ' ' + op.path));
+    obj.intercept('n', clamp);
+    obj.intercept('config.**', () => false);
+
+    const data = { n: 70, config: { v: 3 }, other: 2 };
+    obj.patch('', data);
+    assert.deepEqual(obj.data, { n: 50, config: { v: 1, w: 1 }, other: 2 });
+    assert.deepEqual(data, { n: 70, config: { v: 3 }, other: 2 });
+
+    obj.set('', { n: 80 });
+    assert.deepEqual(obj.data, { n: 50, config: { v: 1, w: 1 } });
+
+    assert.deepEqual(rejected, [ 'set config', 'unset config' ]);
+});
+
+test('nested values are intercepted when a parent is set', () => {
+    const obj = new Observer({ list: [ { n: 1 } ] });
+    obj.intercept('list.*.n', clamp);
+    obj.intercept('list.*.locked', () => false);
+
+    obj.set('list', [ { n: 90, locked: true }, { n: -5 } ]);
+    assert.deepEqual(obj.data.list, [ { n: 50 }, { n: 0 } ]);
+
+    obj.set('list.0', { n: 60 });
+    assert.deepEqual(obj.data.list[0], { n: 50 });
+});
+
+test('array changes of many items are intercepted', () => {
+    const obj = new Observer({ list: [ 3, 1, 2 ] });
+    const ops = [ ];
+    const interceptor = obj.intercept('list', (op) => {
+        ops.push(op.type);
+        if (op.type === 'insert')
+            op.value *= 10;
+    });
+
+    obj.splice('list', 0, 1, 4);
+    assert.deepEqual(obj.data.list, [ 40, 1, 2 ]);
+    assert.deepEqual(ops, [ 'remove', 'insert' ]);
+
+    obj.insertMany('list', [ 5, 6 ]);
+    obj.removeMany('list', [ 0 ]);
+    assert.deepEqual(obj.data.list, [ 1, 2, 50, 60 ]);
+
+    interceptor.off();
+    obj.intercept('list', (op) => op.type !== 'move');
+
+    obj.sort('list', (a, b) => b - a);
+    obj.reverse('list');
+    obj.swap('list', 0, 1);
+    obj.proxy().list.sort((a, b) => b - a);
+    assert.deepEqual(obj.data.list, [ 1, 2, 50, 60 ]);
+
+    obj.removeMany('list', [ 0, 1 ]);
+    assert.deepEqual(obj.data.list, [ 50, 60 ]);
+});
+
+test('cancelled array change is not applied partially', () => {
+    const obj = new Observer({ list: [ 'a', 'b', 'c' ] });
+    const history = new ObserverHistory(obj);
+    const events = [ ];
+    obj.on('list:remove', () => events.push('remove'));
+    obj.intercept('list', (op) => op.type !== 'insert' || op.value !== 'x');
+
+    assert.deepEqual(obj.splice('list', 0, 2, 'y', 'x'), [ ]);
+    assert.deepEqual(obj.data.list, [ 'a', 'b', 'c' ]);
+    assert.deepEqual(events, [ ]);
+    assert.equal(history.canUndo, false);
+});
+
+test('indices of intercepted array changes are kept within an array', () => {
+    const obj = new Observer({ list: [ 'a', 'b', 'c' ] });
+    const events = [ ];
+    const ops = [ ];
+    obj.on('list:insert', (path, value, index) => events.push('insert ' + index));
+    obj.on('list:remove', (path, value, index) => events.push('remove ' + index));
+    obj.on('op', (op) => ops.push(op.type + ' ' + (op.type === 'move' ? op.from + '-' + op.to : op.index)));
+    obj.intercept('list', (op) => {
+        if (op.type === 'move') {
+            op.to = 50;
+        } else {
+            op.index = 99;
+        }
+    });
+
+    obj.remove('list', 0);
+    obj.move('list', 0, 1);
+    obj.insert('list', 'd', 0);
+    assert.deepEqual(obj.data.list, [ 'b', 'a', 'd' ]);
+    assert.deepEqual(events, [ 'remove 2', 'insert 2' ]);
+    assert.deepEqual(ops, [ 'remove 2', 'move 0-1', 'insert 2' ]);
+
+    obj.intercept('list', (op) => {
+        if (op.type === 'move')
+            op.to = -3;
+    });
+    obj.move('list', 0, 2);
+    assert.deepEqual(obj.data.list, [ 'b', 'a', 'd' ]);
+});
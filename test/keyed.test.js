@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('items are addressed by a key in lookups and mutations', () => {
+    const obj = new Observer({ entities: [ { id: 'a', name: 'box' }, { id: 'b', name: 'sphere' } ] });
+
+    assert.equal(obj.get('entities[id=b].name'), 'sphere');
+    assert.equal(obj.get('entities[id=c].name'), undefined);
+
+    obj.set('entities[id=a].name', 'cube');
+    obj.move('entities', 1, 0);
+    obj.set('entities[id=a].name', 'cone');
+
+    assert.deepEqual(obj.data.entities, [ { id: 'b', name: 'sphere' }, { id: 'a', name: 'cone' } ]);
+});
+
+test('patch merges items of keyed arrays by a key', () => {
+    const obj = new Observer({ entities: [ { id: 'a', name: 'box' }, { id: 'b', name: 'sphere' } ] });
+    obj.keyArray('entities', 'id');
+
+    obj.patch('entities', [ { id: 'b', name: 'ball' }, { id: 'c', name: 'cone' } ]);
+
+    assert.deepEqual(obj.data.entities, [ { id: 'a', name: 'box' }, { id: 'b', name: 'ball' }, { id: 'c', name: 'cone' } ]);
+});
+
+test('subscriptions by a key follow an item, and report its key and current index', () => {
+    const obj = new Observer({ entities: [ { id: 'a', name: 'box' }, { id: 'b', name: 'sphere' } ] });
+    const events = [ ];
+    obj.on('entities[id=b].name:set', (path, value, old, keys) => events.push([ path.join('.'), value, old, keys ]));
+    obj.on('entities.*.name:set', (path, value, old, keys) => events.push([ 'any', keys ]));
+
+    obj.set('entities.0.name', 'cube');
+    obj.set('entities.1.name', 'ball');
+    obj.move('entities', 1, 0);
+    obj.set('entities.0.name', 'cone');
+
+    assert.deepEqual(events, [
+        [ 'any', undefined ],
+        [ 'any', undefined ],
+        [ 'entities.1.name', 'ball', 'sphere', [ 'b' ] ],
+        [ 'any', undefined ],
+        [ 'entities.0.name', 'cone', 'ball', [ 'b' ] ]
+    ]);
+});
+
+test('nested keyed parts report keys in order of a path', () => {
+    const obj = new Observer({ entities: [ { id: 'a', components: [ { type: 'light', on: false } ] } ] });
+    const events = [ ];
+    obj.on('entities[id=a].components[type=light].on:set', (path, value, old, keys) => events.push([ path.join('.'), keys ]));
+    obj.on('entities[id=a]:change', (path, keys) => events.push([ 'change', path.join('.'), keys ]));
+
+    obj.set('entities.0.components.0.on', true);
+
+    assert.deepEqual(events, [
+        [ 'entities.0.components.0.on', [ 'a', 'light' ] ],
+        [ 'change', 'entities.0.components.0.on', [ 'a' ] ]
+    ]);
+});
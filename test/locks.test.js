@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+const create = function() {
+    const obj = new Observer({ entities: { a: { name: 'a', pos: [ 0, 0 ] }, b: { name: 'b' } }, list: [ 1, 2, 3 ] });
+    const denied = [ ];
+    const locks = [ ];
+    obj.on('denied', (op, actor, owner) => denied.push([ op.type, op.path, actor, owner ]));
+    obj.on('lock:change', (path, owner) => locks.push([ path, owner ]));
+    return { obj, denied, locks };
+};
+
+test('lock overlaps with deeper and parent paths', () => {
+    const { obj, locks } = create();
+
+    assert.equal(obj.lock('entities.a', 'alice'), true);
+    assert.equal(obj.lock('entities.a', 'alice'), true);
+    assert.equal(obj.lock('entities.a.name', 'bob'), false);
+    assert.equal(obj.lock('entities', 'bob'), false);
+    assert.equal(obj.lock('entities.b', 'bob'), true);
+    assert.deepEqual(locks, [ [ 'entities.a', 'alice' ], [ 'entities.b', 'bob' ] ]);
+
+    assert.equal(obj.lockOwner('entities.a.pos.0'), 'alice');
+    assert.equal(obj.lockOwner('entities.b'), 'bob');
+    assert.equal(obj.lockOwner('list'), null);
+});
+
+test('changes of other actors are denied', () => {
+    const { obj, denied } = create();
+    obj.lock('entities.a', 'alice');
+
+    obj.set('entities.a.name', 'x', 'bob');
+    assert.equal(obj.get('entities.a.name'), 'a');
+    obj.set('entities.a.name', 'y', 'alice');
+    assert.equal(obj.get('entities.a.name'), 'y');
+    obj.set('entities.a.name', 'z');
+    assert.equal(obj.get('entities.a.name'), 'z');
+
+    obj.set('entities', { }, 'carol');
+    obj.unset('entities.a', 'bob');
+    obj.patch('entities.a', { name: 'p' }, 'bob');
+    obj.insert('entities.a.pos', 1, 0, 'bob');
+    obj.move('entities.a.pos', 0, 1, 'bob');
+    obj.remove('entities.a.pos', 0, 'bob');
+    obj.scope('entities.a').set('name', 's', 'bob');
+
+    assert.deepEqual(denied.map((item) => item[0]), [ 'set', 'set', 'unset', 'patch', 'insert', 'move', 'remove', 'set' ]);
+    assert.ok(denied.every((item) => item[3] === 'alice'));
+    assert.deepEqual(obj.get('entities.a'), { name: 'z', pos: [ 0, 0 ] });
+});
+
+test('unlock', () => {
+    const { obj, locks } = create();
+    obj.lock('entities.a', 'alice');
+
+    assert.equal(obj.unlock('entities.a', 'bob'), false);
+    assert.equal(obj.unlock('entities.a', 'alice'), true);
+    assert.deepEqual(locks[locks.length - 1], [ 'entities.a', null ]);
+
+    obj.set('entities.a.name', 'q', 'bob');
+    assert.equal(obj.get('entities.a.name'), 'q');
+});
+
+test('wildcard lock', () => {
+    const { obj } = create();
+    obj.lock('list.*', 'alice');
+
+    obj.set('list.1', 9, 'bob');
+    assert.equal(obj.get('list.1'), 2);
+});
+
+test('permission function', () => {
+    const { obj, denied } = create();
+    obj.permission = (actor, op) => actor !== 'guest' || op.path.startsWith('list');
+
+    obj.insert('list', 4, -1, 'guest');
+    obj.set('entities.a.name', 'g', 'guest');
+    assert.deepEqual(obj.get('list'), [ 1, 2, 3, 4 ]);
+    assert.equal(obj.get('entities.a.name'), 'a');
+    assert.deepEqual(denied, [ [ 'set', 'entities.a.name', 'guest', null ] ]);
+});
+
+test('lock:change event is not fired by data changes', () => {
+    const obj = new Observer({ });
+    let calls = 0;
+    obj.on('lock:change', () => calls++);
+
+    obj.set('lock', 1);
+    obj.set('lock', { a: 1 });
+    obj.set('lock.a', 2);
+    obj.unset('lock');
+    assert.equal(calls, 0);
+
+    obj.lock('lock', 'alice');
+    assert.equal(calls, 1);
+});
+
+test('changes of many items by other actors are denied', () => {
+    const { obj, denied } = create();
+    obj.lock('list', 'alice');
+
+    obj.insertMany('list', [ 4, 5 ], -1, 'bob');
+    obj.removeMany('list', [ 0 ], 'bob');
+    obj.sort('list', (a, b) => b - a, 'bob');
+    obj.reverse('list', 'bob');
+    obj.swap('list', 0, 1, 'bob');
+    obj.scope('list').reverse('', 'bob');
+    assert.deepEqual(obj.get('list'), [ 1, 2, 3 ]);
+    assert.deepEqual(denied.map((item) => item[0]), [ 'insert', 'remove', 'move', 'move', 'move', 'move' ]);
+
+    obj.reverse('list', 'alice');
+    obj.removeMany('list', [ 0 ], 'alice');
+    assert.deepEqual(obj.get('list'), [ 2, 1 ]);
+});
+
+test('reconcile and patch are denied as a whole', () => {
+    const { obj, denied } = create();
+    const events = [ ];
+    obj.on('set', (path) => events.push(path.join('.')));
+    obj.lock('entities.b', 'alice');
+
+    obj.reconcile('entities', { a: { name: 'x', pos: [ 0, 0 ] }, b: { name: 'y' } }, 'bob');
+    assert.throws(() => {
+        obj.applyPatch([
+            { op: 'replace', path: '/entities/a/name', value: 'x' },
+            { op: 'replace', path: '/entities/b/name', value: 'y' }
+        ], 'bob');
+    }, /"\/entities\/b\/name" is denied/);
+
+    assert.deepEqual(obj.get('entities'), { a: { name: 'a', pos: [ 0, 0 ] }, b: { name: 'b' } });
+    assert.deepEqual(events, [ ]);
+    assert.deepEqual(denied.map((item) => item[1]), [ 'entities.b.name', 'entities.b.name' ]);
+
+    obj.applyPatch([ { op: 'replace', path: '/entities/b/name', value: 'y' } ], 'alice');
+    obj.reconcile('entities.b', { name: 'z' }, 'alice');
+    assert.equal(obj.get('entities.b.name'), 'z');
+});
+
+test('keyed lock affects only an item with a key', () => {
+    const obj = new Observer({ items: [ { id: 'a', n: 0 }, { id: 'b', n: 0 } ] });
+    const denied = [ ];
+    obj.on('denied', (op) => denied.push(op.path));
+
+    assert.equal(obj.lock('items[id=a]', 'alice'), true);
+    assert.equal(obj.lock('items[id=b]', 'bob'), true);
+    assert.equal(obj.lock('items.0.n', 'bob'), false);
+    obj.unlock('items[id=b]', 'bob');
+
+    assert.equal(obj.lockOwner('items[id=a].n'), 'alice');
+    assert.equal(obj.lockOwner('items[id=b].n'), null);
+    assert.equal(obj.lockOwner('items.0.n'), 'alice');
+    assert.equal(obj.lockOwner('items.1.n'), null);
+
+    obj.set('items.1.n', 5, 'bob');
+    obj.set('items[id=b].n', 6, 'bob');
+    obj.set('items.0.n', 7, 'bob');
+    assert.deepEqual(obj.get('items'), [ { id: 'a', n: 0 }, { id: 'b', n: 6 } ]);
+    assert.deepEqual(denied, [ 'items.0.n' ]);
+
+    // lock follows an item
+    obj.reverse('items', 'alice');
+    obj.set('items.0.n', 8, 'bob');
+    obj.set('items.1.n', 9, 'bob');
+    assert.deepEqual(obj.get('items'), [ { id: 'b', n: 8 }, { id: 'a', n: 0 } ]);
+});
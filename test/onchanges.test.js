@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('changes are delivered once per microtask, with net values', async () => {
+    const obj = new Observer({ a: 1, b: 1, list: [ 'x' ] });
+    const calls = [ ];
+    obj.onChanges((changes) => calls.push(changes));
+
+    obj.set('a', 2);
+    obj.set('a', 3);
+    obj.set('b', 2);
+    obj.set('b', 1);
+    obj.set('c', 1);
+    obj.unset('c');
+    obj.set('d', 1);
+    assert.deepEqual(calls, [ ]);
+
+    await Promise.resolve();
+    assert.deepEqual(calls, [ [
+        { path: [ 'a' ], value: 3, old: 1 },
+        { path: [ 'd' ], value: 1, old: undefined }
+    ] ]);
+});
+
+test('path limits changes, and off discards changes not delivered yet', async () => {
+    const obj = new Observer({ entities: { a: { x: 1 }, b: { x: 1 } } });
+    const calls = [ ];
+    const changes = obj.onChanges('entities.*.x', (list) => calls.push(list.map((change) => change.path.join('.'))));
+
+    obj.set('entities.a.x', 2);
+    obj.set('entities.b.y', 2);
+    changes.flush();
+    obj.set('entities.b.x', 2);
+    changes.off();
+
+    await Promise.resolve();
+    assert.deepEqual(calls, [ [ 'entities.a.x' ] ]);
+});
+
+test('custom schedule is called once per flush', () => {
+    const obj = new Observer({ });
+    const flushes = [ ];
+    const calls = [ ];
+    obj.onChanges((changes) => calls.push(changes.length), { schedule: (flush) => flushes.push(flush) });
+
+    obj.set('a', 1);
+    obj.set('b', 1);
+    assert.equal(flushes.length, 1);
+
+    flushes[0]();
+    obj.set('c', 1);
+    assert.equal(flushes.length, 2);
+    assert.deepEqual(calls, [ 2 ]);
+});
+
+test('frame schedule falls back to a timer without requestAnimationFrame', async () => {
+    const obj = new Observer({ });
+    let changes = null;
+    obj.onChanges((list) => {
+        changes = list;
+    }, { schedule: 'frame' });
+
+    obj.set('a', 1);
+    assert.equal(obj.get('a'), 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(changes, [ { path: [ 'a' ], value: 1, old: undefined } ]);
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('filter and once', () => {
+    const obj = new Observer({ n: 0 });
+    const values = [ ];
+
+    obj.on('n:set', (path, value) => values.push(value), null, { filter: (path, value) => value > 10 });
+    obj.on('n:set', (path, value) => values.push('once ' + value), null, { once: true, filter: (path, value) => value > 20 });
+
+    obj.set('n', 6);
+    obj.set('n', 12);
+    obj.set('n', 24);
+    obj.set('n', 30);
+
+    assert.deepEqual(values, [ 12, 24, 'once 24', 30 ]);
+});
+
+test('distinct ignores equal values', () => {
+    const obj = new Observer({ a: { b: 1 } });
+    const values = [ ];
+    obj.on('a.b:set', (path, value) => values.push(value), null, { distinct: true });
+
+    obj.set('a.b', 1);
+    obj.set('a.b', 2);
+    obj.unset('a.b');
+    obj.set('a.b', 2);
+    obj.set('a.b', 3);
+
+    assert.deepEqual(values, [ 2, 3 ]);
+});
+
+test('immediate calls back for existing values', () => {
+    const obj = new Observer({ entities: { a: { name: 'a' }, b: { name: 'b' } } });
+    const names = [ ];
+
+    obj.on('entities.*.name:set', (path, value) => names.push(value), null, { immediate: true });
+    obj.set('entities.c', { name: 'c' });
+
+    assert.deepEqual(names, [ 'a', 'b', 'c' ]);
+});
+
+test('debounce and throttle each path separately', async () => {
+    const obj = new Observer({ a: 0, b: 0 });
+    const debounced = [ ];
+    const throttled = [ ];
+
+    obj.on('*:set', (path, value) => debounced.push(path[0] + value), null, { debounce: 20 });
+    obj.on('*:set', (path, value) => throttled.push(path[0] + value), null, { throttle: 20 });
+
+    for(let i = 1; i <= 3; i++) {
+        obj.set('a', i);
+        obj.set('b', i);
+    }
+
+    assert.deepEqual(debounced, [ ]);
+    assert.deepEqual(throttled, [ 'a1', 'b1' ]);
+
+    await sleep(60);
+    assert.deepEqual(debounced, [ 'a3', 'b3' ]);
+    assert.deepEqual(throttled, [ 'a1', 'b1', 'a3', 'b3' ]);
+});
+
+test('pending calls are cancelled when event is removed', async () => {
+    const obj = new Observer({ n: 0 });
+    let calls = 0;
+
+    const evt = obj.on('n:set', () => calls++, null, { debounce: 10 });
+    obj.set('n', 1);
+    evt.off();
+
+    await sleep(30);
+    assert.equal(calls, 0);
+});
+
+test('scope keeps options of events when its index is shifted', () => {
+    const obj = new Observer({ list: [ { v: 0 }, { v: 0 }, { v: 0 } ] });
+    const scope = obj.scope('list.2');
+    const controller = new AbortController();
+    const values = [ ];
+
+    scope.on('v:set', (path, value) => values.push(value), null, {
+        filter: (path, value) => value > 10,
+        distinct: true,
+        immediate: true,
+        signal: controller.signal
+    });
+
+    obj.remove('list', 0);
+    assert.equal(scope.path, 'list.1');
+
+    scope.set('v', 6);
+    scope.set('v', 12);
+    scope.set('v', 12);
+    obj.remove('list', 0);
+    assert.equal(scope.path, 'list.0');
+    scope.set('v', 12);
+    scope.set('v', 14);
+
+    controller.abort();
+    scope.set('v', 16);
+
+    assert.deepEqual(values, [ 12, 14 ]);
+});
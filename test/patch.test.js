@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverPatchRecorder } from '../src/index.js';
+
+test('applies every kind of operation', () => {
+    const obj = new Observer({ position: { x: 1 }, planets: [ 'earth', 'venus' ], a: { 'b/c': 1, 'd~e': 2 } });
+    const inserts = [ ];
+    obj.on('planets:insert', (path, value, index) => inserts.push([ value, index ]));
+
+    obj.applyPatch([
+        { op: 'replace', path: '/position/x', value: 8 },
+        { op: 'add', path: '/position/y', value: 2 },
+        { op: 'add', path: '/planets/-', value: 'mars' },
+        { op: 'add', path: '/planets/0', value: 'mercury' },
+        { op: 'move', from: '/planets/0', path: '/planets/3' },
+        { op: 'remove', path: '/planets/1' },
+        { op: 'copy', from: '/position', path: '/origin' },
+        { op: 'remove', path: '/a/b~1c' },
+        { op: 'test', path: '/a/d~0e', value: 2 }
+    ]);
+
+    assert.deepEqual(obj.data, {
+        position: { x: 8, y: 2 },
+        planets: [ 'earth', 'mars', 'mercury' ],
+        a: { 'd~e': 2 },
+        origin: { x: 8, y: 2 }
+    });
+    assert.deepEqual(inserts, [ [ 'mars', 2 ], [ 'mercury', 0 ] ]);
+
+    obj.set('position.x', 0);
+    assert.equal(obj.data.origin.x, 8);
+});
+
+test('failed operation reverts whole patch', () => {
+    const obj = new Observer({ a: 1, list: [ 1 ] });
+    let events = 0;
+    obj.on('*:set', () => events++);
+
+    assert.throws(() => {
+        obj.applyPatch([
+            { op: 'replace', path: '/a', value: 2 },
+            { op: 'test', path: '/a', value: 3 }
+        ]);
+    }, /test failed/);
+    assert.throws(() => obj.applyPatch([ { op: 'replace', path: '/b', value: 1 } ]), /does not exist/);
+    assert.throws(() => obj.applyPatch([ { op: 'add', path: '/list/5', value: 1 } ]));
+    assert.throws(() => obj.applyPatch([ { op: 'move', from: '/list', path: '/list/0' } ]), /own child/);
+    assert.throws(() => obj.applyPatch([ { op: 'nope', path: '/a' } ]), /unknown operation/);
+
+    assert.deepEqual(obj.data, { a: 1, list: [ 1 ] });
+    assert.equal(events, 0);
+});
+
+test('recorder produces patch that replicates changes', () => {
+    const obj = new Observer({ position: { x: 1 }, planets: [ 'earth' ] });
+    const replica = new Observer(structuredClone(obj.data));
+    const recorder = new ObserverPatchRecorder(obj);
+
+    obj.set('position.x', 8);
+    obj.set('position.y', 2);
+    obj.insert('planets', 'mars');
+    obj.move('planets', 1, 0);
+    obj.patch('position', { z: 3 });
+    obj.batch(() => {
+        obj.remove('planets', 1);
+        obj.unset('position.x');
+    });
+
+    const patch = recorder.take();
+    assert.deepEqual(patch.slice(0, 3), [
+        { op: 'replace', path: '/position/x', value: 8 },
+        { op: 'add', path: '/position/y', value: 2 },
+        { op: 'add', path: '/planets/1', value: 'mars' }
+    ]);
+    assert.deepEqual(recorder.take(), [ ]);
+
+    replica.applyPatch(JSON.parse(JSON.stringify(patch)));
+    assert.deepEqual(replica.data, obj.data);
+
+    recorder.destroy();
+    obj.set('a', 1);
+    assert.deepEqual(recorder.take(), [ ]);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('path can be an array, or use escapes and bracket notation', () => {
+    const obj = new Observer({ files: { }, list: [ 'a', 'b' ] });
+
+    obj.set([ 'files', 'a.txt' ], 1);
+    obj.set('files.b\\.txt', 2);
+    obj.set('files["c.txt"]', 3);
+    obj.set('list[1]', 'c');
+    obj.set([ 'files', 'd\\e' ], 4);
+
+    assert.deepEqual(obj.data, { files: { 'a.txt': 1, 'b.txt': 2, 'c.txt': 3, 'd\\e': 4 }, list: [ 'a', 'c' ] });
+    assert.equal(obj.get('files.a\\.txt'), 1);
+    assert.equal(obj.get([ 'files', 'b.txt' ]), 2);
+    assert.equal(obj.get('files[\'c.txt\']'), 3);
+    assert.equal(obj.get('list.1'), 'c');
+});
+
+test('paths in events and operations are escaped', () => {
+    const obj = new Observer({ files: { } });
+    const events = [ ];
+    const ops = [ ];
+    obj.on('files.*:set', (path, value) => events.push(path));
+    obj.on('files.a\\.txt:set', (path, value) => events.push(value));
+    obj.on('op', (op) => ops.push(op.path));
+
+    obj.set([ 'files', 'a.txt' ], 1);
+    obj.set([ 'files', '*' ], 2);
+    obj.set([ 'files', 'x[0]' ], 3);
+    obj.set([ 'files', 'd\\e' ], 4);
+
+    assert.deepEqual(events, [ 1, [ 'files', 'a.txt' ], [ 'files', '*' ], [ 'files', 'x[0]' ], [ 'files', 'd\\e' ] ]);
+    assert.deepEqual(ops, [ 'files.a\\.txt', 'files.\\*', 'files.x\\[0]', 'files.d\\\\e' ]);
+
+    for(let i = 0; i < ops.length; i++)
+        assert.equal(obj.get(ops[i]), i + 1);
+});
+
+test('same path written differently matches the same events', () => {
+    const obj = new Observer({ list: [ { x: 1 } ] });
+    const events = [ ];
+    obj.on('list[0].x:set', (path, value) => events.push(value));
+    obj.on([ 'list', 0, 'x', 'set' ], (path, value) => events.push(value));
+
+    obj.set('list.0.x', 2);
+    obj.set([ 'list', 0, 'x' ], 3);
+
+    assert.deepEqual(events, [ 2, 2, 3, 3 ]);
+});
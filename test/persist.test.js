@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Observer, { ObserverMemoryStorage, ObserverWebStorage, ObserverFileStorage } from '../src/index.js';
+
+test('empty storage is filled, and changes are appended', async () => {
+    const storage = new ObserverMemoryStorage();
+    const obj = new Observer({ a: 1, list: [ ] });
+    const persistence = await obj.persist(storage, { debounce: 0 });
+    await persistence.flush();
+    assert.deepEqual(storage.data, { a: 1, list: [ ] });
+
+    obj.set('a', 2);
+    obj.insert('list', 'x');
+    await persistence.flush();
+    assert.deepEqual(storage.data, { a: 1, list: [ ] });
+    assert.equal(storage.ops.length, 2);
+
+    const restored = new Observer({ });
+    await restored.persist(storage);
+    assert.deepEqual(restored.data, { a: 2, list: [ 'x' ] });
+
+    await persistence.destroy();
+    obj.set('a', 3);
+    await persistence.flush();
+    assert.equal(storage.ops.length, 2);
+});
+
+test('changes are debounced, and compacted by saving whole data', async () => {
+    const storage = new ObserverMemoryStorage();
+    await storage.save({ n: 0 });
+
+    const obj = new Observer({ });
+    const persistence = await obj.persist(storage, { debounce: 10, compact: 3 });
+    assert.deepEqual(obj.data, { n: 0 });
+
+    obj.set('n', 1);
+    obj.set('n', 2);
+    assert.equal(storage.ops.length, 0);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.equal(storage.ops.length, 2);
+
+    obj.set('n', 3);
+    obj.set('n', 4);
+    await persistence.flush();
+    assert.deepEqual(storage.data, { n: 4 });
+    assert.equal(storage.ops.length, 0);
+
+    await persistence.destroy();
+});
+
+test('compact of 0 always saves whole data', async () => {
+    const storage = new ObserverMemoryStorage();
+    const obj = new Observer({ n: 0 });
+    const persistence = await obj.persist(storage, { debounce: 0, compact: 0 });
+
+    obj.set('n', 1);
+    await persistence.flush();
+    assert.deepEqual(storage.data, { n: 1 });
+    assert.equal(storage.ops.length, 0);
+
+    await persistence.destroy();
+});
+
+test('include and exclude limit persisted paths', async () => {
+    const storage = new ObserverMemoryStorage();
+    await storage.save({ settings: { volume: 0.5 }, selection: [ 'stale' ] });
+
+    const obj = new Observer({ settings: { volume: 1 }, selection: [ 'a' ] });
+    const persistence = await obj.persist(storage, { exclude: [ 'selection' ] });
+    assert.deepEqual(obj.data, { settings: { volume: 0.5 }, selection: [ 'a' ] });
+
+    obj.insert('selection', 'b');
+    obj.set('settings.volume', 0.7);
+    await persistence.destroy();
+    assert.deepEqual(storage.ops.map((op) => op.path), [ 'settings.volume' ]);
+
+    const restored = new Observer({ selection: [ ] });
+    await restored.persist(storage, { include: [ 'settings' ] });
+    assert.deepEqual(restored.data, { settings: { volume: 0.7 }, selection: [ ] });
+});
+
+test('storage errors are fired as persist:error', async () => {
+    const storage = new ObserverMemoryStorage();
+    storage.save = () => Promise.reject(new Error('disk full'));
+
+    const obj = new Observer({ });
+    const errors = [ ];
+    obj.on('persist:error', (err) => errors.push(err.message));
+
+    const persistence = await obj.persist(storage);
+    await persistence.flush();
+    assert.deepEqual(errors, [ 'disk full' ]);
+});
+
+test('web storage keeps data as JSON', async () => {
+    const items = new Map();
+    const storage = {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, value)
+    };
+
+    const obj = new Observer({ volume: 1 });
+    const persistence = await obj.persist(new ObserverWebStorage('app', storage), { debounce: 0 });
+    obj.set('volume', 0.5);
+    await persistence.destroy();
+
+    assert.deepEqual(JSON.parse(items.get('app')), { volume: 0.5 });
+});
+
+test('file storage survives incomplete journal write', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'observer-'));
+    const filename = path.join(dir, 'data.json');
+
+    try {
+        const obj = new Observer({ list: [ ] });
+        const persistence = await obj.persist(new ObserverFileStorage(fs, filename), { debounce: 0 });
+        await persistence.flush();
+
+        obj.insert('list', 'a');
+        await persistence.flush();
+        obj.insert('list', 'b');
+        await persistence.destroy();
+
+        fs.appendFileSync(filename + '.journal', '{"seq":9,"op":{"ty');
+
+        const restored = new Observer({ });
+        const next = await restored.persist(new ObserverFileStorage(fs, filename));
+        assert.deepEqual(restored.data, { list: [ 'a', 'b' ] });
+        await next.destroy();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+for(const immutable of [ false, true ]) {
+    test(`proxy routes writes through observer methods${immutable ? ' (immutable)' : ''}`, () => {
+        const obj = new Observer({ position: { x: 1, y: 2, z: 3 }, planets: [ 'venus', 'earth', 'mars' ] }, { immutable: immutable });
+        const events = [ ];
+        obj.on('*.*:set', (path) => events.push('set ' + path.join('.')));
+        obj.on('*.*:unset', (path) => events.push('unset ' + path.join('.')));
+        for(const type of [ 'insert', 'remove', 'move' ])
+            obj.on('planets:' + type, () => events.push(type));
+
+        const state = obj.proxy();
+        assert.equal(state, obj.proxy());
+        assert.equal(state.position, state.position);
+
+        state.position.x = 5;
+        assert.equal(obj.get('position.x'), 5);
+
+        delete state.position.z;
+        assert.equal(obj.get('position.z'), undefined);
+        assert.equal('z' in state.position, false);
+
+        assert.equal(state.planets.push('pluto'), 4);
+        assert.equal(state.planets.shift(), 'venus');
+        state.planets.unshift('mercury');
+        assert.deepEqual(state.planets.splice(1, 1, 'E'), [ 'earth' ]);
+        state.planets.sort();
+        assert.deepEqual(obj.get('planets'), [ 'E', 'mars', 'mercury', 'pluto' ]);
+        assert.deepEqual([ ...state.planets ], obj.get('planets'));
+
+        state.planets.length = 2;
+        assert.deepEqual(obj.get('planets'), [ 'E', 'mars' ]);
+
+        state.copy = state.position;
+        assert.deepEqual(obj.get('copy'), obj.get('position'));
+        assert.notEqual(obj.get('copy'), obj.get('position'));
+
+        assert.deepEqual(events.slice(0, 2), [ 'set position.x', 'unset position.z' ]);
+        assert.ok(events.includes('insert') && events.includes('remove') && events.includes('move'));
+    });
+}
+
+test('assigning undefined unsets a key', () => {
+    const obj = new Observer({ a: { x: 1, y: 2 }, l: [ 1, 2, 3 ] });
+    const events = [ ];
+    obj.on('a.x:unset', (path, old) => events.push(old));
+
+    const state = obj.proxy();
+    state.a.x = undefined;
+    assert.deepEqual(obj.data, { a: { y: 2 }, l: [ 1, 2, 3 ] });
+    assert.deepEqual(events, [ 1 ]);
+
+    state.a.z = undefined;
+    assert.deepEqual(obj.data.a, { y: 2 });
+
+    state.l[1] = undefined;
+    assert.deepEqual(obj.data.l, [ 1, null, 3 ]);
+});
+
+test('proxy of a keyed path follows an item', () => {
+    const obj = new Observer({ l: [ { id: 'a', v: 1 }, { id: 'b', v: 2 } ] });
+    const item = obj.proxy('l[id=b]');
+
+    obj.move('l', 1, 0);
+    item.v = 9;
+    assert.equal(obj.get('l.0.v'), 9);
+    assert.equal(obj.proxy('nothing'), undefined);
+});
+
+test('array methods of proxy behave same as native', () => {
+    const list = [ 10, 9, 1, 'b', 'B', 2 ];
+    const obj = new Observer({ l: list.slice(0), e: [ ] });
+    const state = obj.proxy();
+
+    assert.equal(state.l.sort(), state.l);
+    assert.deepEqual(obj.data.l, list.slice(0).sort());
+
+    const byLength = (a, b) => String(a).length - String(b).length;
+    state.l.sort(byLength);
+    assert.deepEqual(obj.data.l, list.slice(0).sort().sort(byLength));
+
+    assert.equal(state.l.reverse(), state.l);
+    assert.deepEqual(obj.data.l, list.slice(0).sort().sort(byLength).reverse());
+
+    assert.equal(state.e.pop(), undefined);
+    assert.equal(state.e.shift(), undefined);
+    assert.deepEqual(obj.data.e, [ ]);
+
+    assert.equal(state.l.indexOf('b'), obj.data.l.indexOf('b'));
+    assert.deepEqual(state.l.map(String), obj.data.l.map(String));
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+const paths = (matches) => matches.map((match) => match.path.join('.'));
+
+test('query matches wildcards in order of data', () => {
+    const obj = new Observer({ a: { b: 1, c: { d: 2 } }, planets: [ { name: 'venus' }, { name: 'earth' } ] });
+
+    assert.deepEqual(obj.query('planets.*.name'), [
+        { path: [ 'planets', 0, 'name' ], value: 'venus' },
+        { path: [ 'planets', 1, 'name' ], value: 'earth' }
+    ]);
+    assert.deepEqual(paths(obj.query('a.**')), [ 'a', 'a.b', 'a.c', 'a.c.d' ]);
+    assert.deepEqual(paths(obj.query('**.d')), [ 'a.c.d' ]);
+    assert.deepEqual(obj.query('a.x.*'), [ ]);
+});
+
+test('trailing recursive wildcard matches same paths as events', () => {
+    const obj = new Observer({ a: { b: 1, c: { d: 2 } } });
+    const events = [ ];
+    obj.on('a.**:set', (path) => events.push(path.join('.')));
+
+    obj.set('a.b', 3);
+    obj.set('a.c.d', 4);
+
+    for(const path of events)
+        assert.ok(paths(obj.query('a.**')).includes(path));
+    assert.deepEqual(events, [ 'a.b', 'a.c.d' ]);
+});
+
+test('predicates are typed', () => {
+    const obj = new Observer({ list: [
+        { id: 1, enabled: true, name: 'a' },
+        { id: '1', enabled: 'true', name: 'b' },
+        { id: 2, enabled: null, name: 'c' }
+    ] });
+
+    assert.deepEqual(obj.query('list.*[enabled=true].name').map((match) => match.value), [ 'a' ]);
+    assert.deepEqual(obj.query('list[enabled="true"].name').map((match) => match.value), [ 'b' ]);
+    assert.deepEqual(obj.query('list[enabled=null].name').map((match) => match.value), [ 'c' ]);
+    assert.equal(obj.get('list[id=1].name'), 'a');
+    assert.equal(obj.get('list[id="1"].name'), 'b');
+
+    const events = [ ];
+    obj.on('list[enabled=true].name:set', (path, value) => events.push(value));
+    obj.set('list.0.name', 'x');
+    obj.set('list.1.name', 'y');
+    assert.deepEqual(events, [ 'x' ]);
+});
+
+test('live query reports added, removed and updated matches', () => {
+    const obj = new Observer({ list: [ { enabled: true, name: 'a' }, { enabled: false, name: 'b' } ] });
+    const query = obj.liveQuery('list.*[enabled=true].name');
+    const events = [ ];
+    query.on('add', (path, value) => events.push([ 'add', path.join('.'), value ]));
+    query.on('remove', (path, value) => events.push([ 'remove', path.join('.'), value ]));
+    query.on('update', (path, value, old, from) => events.push([ 'update', path.join('.'), value, old, from.join('.') ]));
+
+    obj.set('list.0.name', 'x');
+    obj.set('list.1.enabled', true);
+    obj.set('list.0.enabled', false);
+    obj.set('list.1.enabled', 'true');
+
+    assert.deepEqual(events, [
+        [ 'update', 'list.0.name', 'x', 'a', 'list.0.name' ],
+        [ 'add', 'list.1.name', 'b' ],
+        [ 'remove', 'list.0.name', 'x' ],
+        [ 'remove', 'list.1.name', 'b' ]
+    ]);
+    assert.deepEqual(query.results, [ ]);
+
+    query.destroy();
+    obj.set('list.0.enabled', true);
+    assert.equal(events.length, 4);
+});
+
+test('live query follows matches shifted by array changes', () => {
+    const obj = new Observer({ list: [ { name: 'a' }, { name: 'b' }, { name: 'c' } ] });
+    const query = obj.liveQuery('list.*.name');
+    const events = [ ];
+    query.on('add', (path, value) => events.push([ 'add', path.join('.'), value ]));
+    query.on('remove', (path, value) => events.push([ 'remove', path.join('.'), value ]));
+    query.on('update', (path, value, old, from) => events.push([ 'update', from.join('.'), path.join('.') ]));
+
+    obj.insert('list', { name: 'x' }, 1);
+    assert.deepEqual(events, [
+        [ 'update', 'list.1.name', 'list.2.name' ],
+        [ 'update', 'list.2.name', 'list.3.name' ],
+        [ 'add', 'list.1.name', 'x' ]
+    ]);
+
+    events.length = 0;
+    obj.move('list', 3, 0);
+    obj.remove('list', 1);
+    assert.deepEqual(events, [
+        [ 'update', 'list.0.name', 'list.1.name' ],
+        [ 'update', 'list.1.name', 'list.2.name' ],
+        [ 'update', 'list.2.name', 'list.3.name' ],
+        [ 'update', 'list.3.name', 'list.0.name' ],
+        [ 'remove', 'list.1.name', 'a' ],
+        [ 'update', 'list.2.name', 'list.1.name' ],
+        [ 'update', 'list.3.name', 'list.2.name' ]
+    ]);
+    assert.deepEqual(query.results, obj.query('list.*.name'));
+});
+
+test('live query collects again only changed data', () => {
+    const obj = new Observer({ a: { list: [ 1, 2 ] }, b: { list: [ 3 ] } });
+    const query = obj.liveQuery('*.list.*');
+    const [ first, second, third ] = query.results;
+
+    obj.batch(() => {
+        obj.set('b.list.0', 4);
+        obj.insert('b.list', 5);
+    });
+
+    assert.deepEqual(query.results, obj.query('*.list.*'));
+    assert.equal(query.results[0], first);
+    assert.equal(query.results[1], second);
+    assert.notEqual(query.results[2], third);
+
+    obj.patch('', { c: { list: [ 6 ] }, a: { list: [ 7 ] } });
+    obj.unset('b');
+    assert.deepEqual(query.results, obj.query('*.list.*'));
+});
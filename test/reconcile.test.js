@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverHistory, diff } from '../src/index.js';
+
+test('diff produces minimal operations', () => {
+    assert.deepEqual(diff({ list: [ 'a', 'b' ], x: 1 }, { list: [ 'b', 'a' ] }), [
+        { type: 'move', path: 'list', from: 1, to: 0 },
+        { type: 'unset', path: 'x', old: 1 }
+    ]);
+    assert.deepEqual(diff({ a: { b: 1, c: 2 } }, { a: { b: 1, c: 3 } }), [
+        { type: 'set', path: 'a.c', value: 3, old: 2 }
+    ]);
+    assert.deepEqual(diff({ a: 1 }, { a: 1 }), [ ]);
+    assert.deepEqual(diff({ 'x.y': 1 }, { 'x.y': 2 }), [
+        { type: 'set', path: 'x\\.y', value: 2, old: 1 }
+    ]);
+});
+
+test('reconcile applies only real changes', () => {
+    const obj = new Observer({ todos: [ { text: 'one' }, { text: 'two' } ], filter: 'all' });
+    const events = [ ];
+    obj.on('todos:move', (path, value, from, to) => events.push([ 'move', from, to ]));
+    obj.on('todos:insert', (path, value, index) => events.push([ 'insert', index ]));
+    obj.on('todos:remove', (path, value, index) => events.push([ 'remove', index ]));
+    obj.on('*:unset', (path) => events.push([ 'unset', path.join('.') ]));
+    obj.on('todos.*.*:set', (path, value) => events.push([ 'set', path.join('.'), value ]));
+
+    const two = obj.get('todos.1');
+    obj.reconcile({ todos: [ { text: 'two' }, { text: 'one', done: true } ] });
+
+    assert.deepEqual(obj.data, { todos: [ { text: 'two' }, { text: 'one', done: true } ] });
+    assert.equal(obj.get('todos.0'), two);
+    assert.deepEqual(events.filter((evt) => evt[0] !== 'move'), [ [ 'set', 'todos.1.done', true ], [ 'unset', 'filter' ] ]);
+    assert.ok(events.some((evt) => evt[0] === 'move' && evt[1] === 1 && evt[2] === 0));
+});
+
+test('reconcile of keyed arrays matches items by a key', () => {
+    const obj = new Observer({ list: [ { id: 'a', v: 1 }, { id: 'b', v: 2 } ] });
+    obj.keyArray('list', 'id');
+    const a = obj.get('list.0');
+
+    obj.reconcile('list', [ { id: 'c', v: 3 }, { id: 'a', v: 5 } ]);
+
+    assert.deepEqual(obj.data.list, [ { id: 'c', v: 3 }, { id: 'a', v: 5 } ]);
+    assert.equal(obj.get('list.1'), a);
+});
+
+test('reconcile is a single undo step, and does nothing without changes', () => {
+    const obj = new Observer({ list: [ 1, 2, 3 ], a: { b: 1 } });
+    const history = new ObserverHistory(obj);
+    let ops = 0;
+    obj.on('op', () => ops++);
+
+    obj.reconcile({ list: [ 1, 2, 3 ], a: { b: 1 } });
+    assert.equal(ops, 0);
+
+    obj.reconcile({ list: [ 3, 4 ], a: { c: 1 } });
+    assert.deepEqual(obj.data, { list: [ 3, 4 ], a: { c: 1 } });
+    assert.equal(ops, 1);
+
+    history.undo();
+    assert.deepEqual(obj.data, { list: [ 1, 2, 3 ], a: { b: 1 } });
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+const schema = {
+    type: 'object',
+    required: [ 'name' ],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'number', minimum: 0 },
+        tags: { type: 'array', maxItems: 3, items: { type: 'string' } },
+        list: { type: 'array', maxItems: 3 }
+    },
+    additionalProperties: false
+};
+
+const create = () => {
+    const obj = new Observer({ name: 'a', tags: [ 'x' ], list: [ ] }, { schema: schema });
+    const errors = [ ];
+    obj.on('validation:error', (path, reason, value) => errors.push({ path: path, reason: reason, value: value }));
+    return { obj, errors };
+};
+
+test('invalid changes are rejected with validation:error', () => {
+    const { obj, errors } = create();
+    let events = 0;
+    obj.on('*:set', () => events++);
+
+    obj.set('age', -1);
+    obj.set('name', 5);
+    obj.set('other', 1);
+    obj.unset('name');
+    obj.patch('', { age: 'old' });
+    obj.insert('tags', 1);
+
+    assert.deepEqual(obj.data, { name: 'a', tags: [ 'x' ], list: [ ] });
+    assert.equal(events, 0);
+    assert.deepEqual(errors.map((error) => error.path), [ [ 'age' ], [ 'name' ], [ 'other' ], [ 'name' ], [ 'age' ], [ 'tags', 1 ] ]);
+    assert.equal(errors[0].value, -1);
+    assert.ok(errors.every((error) => typeof(error.reason) === 'string'));
+});
+
+test('valid changes are applied', () => {
+    const { obj, errors } = create();
+
+    obj.set('age', 4);
+    obj.patch('', { name: 'b' });
+    obj.insert('tags', 'y');
+    obj.set('tags.2', 'z');
+
+    assert.deepEqual(obj.data, { name: 'b', age: 4, tags: [ 'x', 'y', 'z' ], list: [ ] });
+    assert.deepEqual(errors, [ ]);
+    assert.deepEqual(obj.validate(), [ ]);
+});
+
+test('array length is validated', () => {
+    const { obj, errors } = create();
+
+    obj.insertMany('tags', [ 'a', 'b' ]);
+    obj.insert('tags', 'c');
+    obj.set('tags.3', 'd');
+
+    assert.deepEqual(obj.data.tags, [ 'x', 'a', 'b' ]);
+    assert.deepEqual(errors.map((error) => error.path), [ [ 'tags' ], [ 'tags' ] ]);
+});
+
+test('set beyond length of an array validates padding', () => {
+    const { obj, errors } = create();
+    let inserts = 0;
+    obj.on('*:insert', () => inserts++);
+
+    obj.set('tags.2', 'a');
+    obj.set('list.5', 1);
+
+    assert.deepEqual(obj.data.tags, [ 'x' ]);
+    assert.deepEqual(obj.data.list, [ ]);
+    assert.equal(inserts, 0);
+    assert.deepEqual(errors.map((error) => [ error.path, error.value ]), [ [ [ 'tags', 1 ], null ], [ [ 'list' ], undefined ] ]);
+
+    obj.set('list.2', 1);
+    assert.deepEqual(obj.data.list, [ null, null, 1 ]);
+});
+
+test('validate reports all errors of current data', () => {
+    const obj = new Observer({ tags: [ 1 ] }, { schema: schema });
+
+    assert.deepEqual(obj.validate().map((error) => error.path), [ [ 'name' ], [ 'tags', 0 ] ]);
+    assert.deepEqual(new Observer({ }).validate(), [ ]);
+});
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer, { ObserverScope } from '../src/index.js';
+
+const create = function() {
+    return new Observer({ entities: [ { n: 'a', c: { light: { i: 1 } } }, { n: 'b', c: { light: { i: 2 } } }, { n: 'c', c: { light: { i: 3 } } } ] });
+};
+
+test('relative paths and events', () => {
+    const obj = create();
+    const light = obj.scope('entities.2.c.light');
+    const events = [ ];
+    light.on('i:set', (path, value) => events.push([ path.join('.'), value ]));
+
+    assert.ok(light instanceof ObserverScope);
+    assert.equal(light.get('i'), 3);
+
+    light.set('i', 5);
+    assert.equal(obj.get('entities.2.c.light.i'), 5);
+    assert.deepEqual(events, [ [ 'i', 5 ] ]);
+});
+
+test('scope follows array item', () => {
+    const obj = create();
+    const light = obj.scope('entities.2.c.light');
+    const events = [ ];
+    light.on('i:set', (path, value) => events.push(value));
+
+    obj.remove('entities', 0);
+    assert.equal(light.path, 'entities.1.c.light');
+    obj.move('entities', 1, 0);
+    assert.equal(light.path, 'entities.0.c.light');
+
+    obj.set('entities.0.c.light.i', 7);
+    assert.deepEqual(events, [ 7 ]);
+
+    obj.batch(() => {
+        obj.insert('entities', { n: 'z' }, 0);
+        light.set('i', 10);
+    });
+    assert.equal(light.path, 'entities.1.c.light');
+    assert.equal(obj.get('entities.1.c.light.i'), 10);
+});
+
+test('replace and detach', () => {
+    const obj = create();
+    const light = obj.scope('entities.1.c.light');
+    const events = [ ];
+    light.on('replace', (value) => events.push([ 'replace', value ]));
+    light.on('detach', () => events.push([ 'detach' ]));
+
+    obj.set('entities.1.c', { light: { i: 9 } });
+    obj.remove('entities', 1);
+
+    assert.equal(light.detached, true);
+    assert.equal(light.get('i'), undefined);
+    assert.deepEqual(events, [ [ 'replace', { i: 9 } ], [ 'detach' ] ]);
+
+    light.destroy();
+    assert.equal(obj._eventsCache.size, 0);
+});
+
+test('failed transaction restores scope', () => {
+    const obj = create();
+    const light = obj.scope('entities.1.c.light');
+    const other = obj.scope('entities.2');
+    const events = [ ];
+    light.on('i:set', (path, value) => events.push(value));
+    light.on('detach', () => events.push('detach'));
+
+    assert.throws(() => {
+        obj.batch(() => {
+            obj.remove('entities', 1);
+            obj.insert('entities', { n: 'y' }, 0);
+            throw new Error('failed');
+        });
+    });
+
+    assert.equal(light.detached, false);
+    assert.equal(light.path, 'entities.1.c.light');
+    assert.equal(other.path, 'entities.2');
+
+    light.set('i', 4);
+    assert.equal(obj.get('entities.1.c.light.i'), 4);
+    assert.deepEqual(events, [ 4 ]);
+});
+
+test('failed nested transaction restores scope', () => {
+    const obj = create();
+    const light = obj.scope('entities.1.c.light');
+
+    obj.batch(() => {
+        obj.insert('entities', { n: 'x' }, 0);
+        try {
+            obj.batch(() => {
+                obj.remove('entities', 0);
+                obj.remove('entities', 1);
+                throw new Error('failed');
+            });
+        } catch(ex) { }
+        assert.equal(light.path, 'entities.2.c.light');
+        assert.equal(light.detached, false);
+    });
+
+    assert.equal(light.path, 'entities.2.c.light');
+});
+
+test('keyed scope', () => {
+    const obj = new Observer({ l: [ { id: 'a', v: 1 }, { id: 'b', v: 2 } ] });
+    const item = obj.scope('l[id=b]');
+
+    obj.move('l', 1, 0);
+    assert.equal(item.get('v'), 2);
+
+    assert.throws(() => {
+        obj.batch(() => {
+            obj.remove('l', 0);
+            throw new Error('failed');
+        });
+    });
+    assert.equal(item.detached, false);
+
+    obj.remove('l', 0);
+    assert.equal(item.detached, true);
+});
@@ -0,0 +1,191 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageChannel } from 'node:worker_threads';
+import Observer, { ObserverSync } from '../src/index.js';
+
+const tick = function() {
+    return new Promise((resolve) => setTimeout(resolve, 20));
+};
+
+// port that delivers messages asynchronously only to listeners added by then, and can drop them
+const ports = function() {
+    const create = function() {
+        return {
+            handlers: [ ],
+            other: null,
+            drop: false,
+            postMessage(message) {
+                if (this.drop) return;
+                const other = this.other;
+                const data = JSON.parse(JSON.stringify(message));
+                queueMicrotask(() => other.handlers.forEach((fn) => fn(data)));
+            },
+            on(name, fn) {
+                this.handlers.push(fn);
+            },
+            off(name, fn) {
+                this.handlers = this.handlers.filter((item) => item !== fn);
+            }
+        };
+    };
+
+    const a = create();
+    const b = create();
+    a.other = b;
+    b.other = a;
+    return [ a, b ];
+};
+
+test('changes are streamed both ways over MessageChannel', async () => {
+    const { port1, port2 } = new MessageChannel();
+    const a = new Observer({ list: [ 1, 2, 3 ], pos: { x: 1 } });
+    const b = new Observer({ });
+    const syncA = new ObserverSync(a, port1, { primary: true });
+    const syncB = new ObserverSync(b, port2);
+
+    await tick();
+    assert.deepEqual(b.data, a.data);
+    assert.equal(syncB.synced, true);
+
+    a.set('pos.x', 5);
+    a.insert('list', 9, 0);
+    a.move('list', 0, 2);
+    a.remove('list', 1);
+    a.batch(() => {
+        a.set('pos.y', 2);
+        a.unset('pos.x');
+    });
+    await tick();
+    assert.deepEqual(b.data, a.data);
+
+    let ops = 0;
+    a.on('op', () => ops++);
+    b.set('pos.z', 7);
+    b.insert('list', 'w');
+    await tick();
+    assert.deepEqual(a.data, b.data);
+    assert.equal(ops, 2);
+
+    syncA.destroy();
+    syncB.destroy();
+    port1.close();
+});
+
+for(const primaryFirst of [ true, false ]) {
+    test(`sync is fired once when ${primaryFirst ? 'primary' : 'other side'} is created first`, async () => {
+        const { port1, port2 } = new MessageChannel();
+        const a = new Observer({ entities: [ ] });
+        const b = new Observer({ });
+        let syncA;
+        let syncB;
+
+        const secondary = () => {
+            syncB = new ObserverSync(b, port2);
+            syncB.on('sync', () => b.insert('entities', { name: 'box' }));
+        };
+
+        if (primaryFirst) {
+            syncA = new ObserverSync(a, port1, { primary: true });
+            secondary();
+        } else {
+            secondary();
+            syncA = new ObserverSync(a, port1, { primary: true });
+        }
+
+        await tick();
+        assert.deepEqual(a.data, { entities: [ { name: 'box' } ] });
+        assert.deepEqual(b.data, a.data);
+
+        syncA.destroy();
+        syncB.destroy();
+        port1.close();
+    });
+}
+
+test('missed messages synchronize data from primary', async () => {
+    const [ portA, portB ] = ports();
+    const a = new Observer({ n: 0, list: [ ] });
+    const b = new Observer({ });
+    new ObserverSync(a, portA, { primary: true });
+    const syncB = new ObserverSync(b, portB);
+    let missed = 0;
+    syncB.on('missed', () => missed++);
+
+    await tick();
+    assert.deepEqual(b.data, a.data);
+
+    portA.drop = true;
+    a.set('n', 1);
+    portA.drop = false;
+    a.set('n', 2);
+    a.insert('list', 'x');
+    await tick();
+    assert.equal(missed, 1);
+    assert.deepEqual(b.data, a.data);
+
+    portB.drop = true;
+    b.set('m', 1);
+    portB.drop = false;
+    b.set('k', 1);
+    await tick();
+    assert.deepEqual(b.data, a.data);
+    assert.equal(a.get('m'), undefined);
+});
+
+test('read only side does not send changes', async () => {
+    const [ portA, portB ] = ports();
+    const a = new Observer({ n: 0 });
+    const b = new Observer({ });
+    const syncB = new ObserverSync(b, portB, { readOnly: true });
+    new ObserverSync(a, portA, { primary: true });
+
+    await tick();
+    assert.deepEqual(b.data, a.data);
+
+    b.set('local', 1);
+    a.set('n', 3);
+    await tick();
+    assert.equal(a.get('local'), undefined);
+    assert.equal(b.get('n'), 3);
+
+    syncB.destroy();
+});
+
+test('other side can be created again', async () => {
+    const [ portA, portB ] = ports();
+    const a = new Observer({ n: 0 });
+    new ObserverSync(a, portA, { primary: true });
+    new ObserverSync(new Observer({ }), portB).destroy();
+
+    a.set('n', 1);
+    const b = new Observer({ });
+    new ObserverSync(b, portB);
+    await tick();
+    assert.deepEqual(b.data, { n: 1 });
+
+    b.set('fresh', 1);
+    await tick();
+    assert.deepEqual(a.data, { n: 1, fresh: 1 });
+});
+
+test('resync of primary overwrites other side', async () => {
+    const [ portA, portB ] = ports();
+    const a = new Observer({ n: 0 });
+    const b = new Observer({ });
+    const syncA = new ObserverSync(a, portA, { primary: true });
+    const syncB = new ObserverSync(b, portB);
+    let syncs = 0;
+    syncB.on('sync', () => syncs++);
+
+    await tick();
+    assert.equal(syncs, 1);
+
+    portB.drop = true;
+    b.set('lost', 1);
+    portB.drop = false;
+
+    syncA.resync();
+    await tick();
+    assert.equal(syncs, 2);
+    assert.deepEqual(b.data, a.data);
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Observer from '../src/index.js';
+
+test('watch yields records of changes in order', async () => {
+    const obj = new Observer({ job: { progress: 0 }, list: [ ] });
+    const watcher = obj.watch();
+
+    obj.set('job.progress', 10);
+    obj.insert('list', 'a');
+
+    assert.deepEqual((await watcher.next()).value, { type: 'set', path: [ 'job', 'progress' ], value: 10, old: 0 });
+    assert.deepEqual((await watcher.next()).value, { type: 'insert', path: [ 'list' ], value: 'a', index: 0 });
+    assert.deepEqual((await watcher.next()).value, { type: 'set', path: [ 'list', 0 ], value: 'a', old: undefined });
+
+    const pending = watcher.next();
+    obj.set('job.progress', 20);
+    assert.equal((await pending).value.value, 20);
+
+    await watcher.return();
+    obj.set('job.progress', 30);
+    assert.deepEqual(await watcher.next(), { value: undefined, done: true });
+});
+
+test('watch settles concurrent calls of next', async () => {
+    const obj = new Observer({ n: 0 });
+    const watcher = obj.watch('n:set');
+
+    obj.set('n', 1);
+    obj.set('n', 2);
+    const values = await Promise.all([ watcher.next(), watcher.next() ]);
+    assert.deepEqual(values.map((item) => item.value.value), [ 1, 2 ]);
+
+    const pending = Promise.all([ watcher.next(), watcher.next(), watcher.next() ]);
+    obj.set('n', 3);
+    obj.set('n', 4);
+    await watcher.return();
+
+    assert.deepEqual((await pending).map((item) => item.done ? 'done' : item.value.value), [ 3, 4, 'done' ]);
+});
+
+test('watch is stopped by a signal', async () => {
+    const obj = new Observer({ n: 0 });
+    const controller = new AbortController();
+    const values = [ ];
+
+    setTimeout(() => {
+        obj.set('n', 1);
+        controller.abort();
+    }, 0);
+
+    for await (const record of obj.watch('n:set', { signal: controller.signal }))
+        values.push(record.value);
+
+    assert.deepEqual(values, [ 1 ]);
+});
+
+test('when resolves on changes of a value, its descendants and parents', async () => {
+    const obj = new Observer({ job: { done: false }, list: [ ] });
+
+    assert.equal(await obj.when('job.done', false), false);
+
+    let pending = obj.when('job.done', true);
+    obj.set('job.done', true);
+    assert.equal(await pending, true);
+
+    pending = obj.when('job', (job) => job.state === 'ready');
+    obj.set('job.state', 'ready');
+    assert.deepEqual(await pending, { done: true, state: 'ready' });
+
+    pending = obj.when('job', (job) => job.id === 2);
+    obj.set('job', { id: 2 });
+    assert.deepEqual(await pending, { id: 2 });
+
+    pending = obj.when('list', (list) => list.length === 1);
+    obj.insert('list', 'a');
+    assert.deepEqual(await pending, [ 'a' ]);
+
+    pending = obj.when('job.id', 3);
+    obj.set('', { job: { id: 3 }, list: [ ] });
+    assert.equal(await pending, 3);
+
+    pending = obj.when('job.id', undefined);
+    obj.unset('job');
+    assert.equal(await pending, undefined);
+});
+
+test('when unsubscribes after it is finished', async () => {
+    const obj = new Observer({ n: 0 });
+    let checks = 0;
+
+    const pending = obj.when('n', (value) => {
+        checks++;
+        return value === 1;
+    });
+    obj.set('n', 1);
+    await pending;
+    obj.set('n', 2);
+    assert.equal(checks, 2);
+
+    await assert.rejects(obj.when('n', 5, { timeout: 1 }), /timed out/);
+    const controller = new AbortController();
+    const aborted = obj.when('n', 5, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(aborted);
+
+    checks = 0;
+    let events = 0;
+    obj.on('change', () => events++);
+    obj.set('n', 5);
+    assert.equal(events, 1);
+    assert.equal(checks, 0);
+});